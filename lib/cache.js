@@ -0,0 +1,139 @@
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+
+// ==================== RESULT CACHE ====================
+// Source results keyed by source, call kind and normalized arguments. Entries
+// are never dropped for age here - the runner decides whether an entry is
+// fresh, stale-but-servable or too old - only for space (least recently used).
+
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 2000;
+
+class MemoryBackend {
+    constructor(maxEntries = CACHE_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    // [key, entry] pairs, least recently used first, without touching their order
+    list() {
+        return [...this.entries];
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+// Memory backend mirrored to a JSON file so the cache survives restarts
+class FileBackend extends MemoryBackend {
+    constructor(file, maxEntries) {
+        super(maxEntries);
+        this.file = file;
+        readJsonFile(file, []).forEach(([key, entry]) => super.set(key, entry));
+        this.writer = createDebouncedWriter(file, () => [...this.entries], 2000);
+    }
+
+    set(key, entry) {
+        super.set(key, entry);
+        this.writer.schedule();
+    }
+
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) this.writer.schedule();
+        return deleted;
+    }
+
+    clear() {
+        super.clear();
+        this.writer.schedule();
+    }
+}
+
+function createBackend(type = process.env.RESULT_CACHE || 'file') {
+    if (type === 'memory') return new MemoryBackend();
+    if (type === 'file') return new FileBackend(dataPath('result-cache.json'));
+    throw new Error(`Unknown RESULT_CACHE backend "${type}" (expected memory or file)`);
+}
+
+// "  Phone   Stand " and "phone stand" share an entry; objects are key-sorted
+function normalizeArg(arg) {
+    if (typeof arg === 'string') return arg.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (Array.isArray(arg)) return arg.map(normalizeArg);
+    if (arg && typeof arg === 'object') {
+        return Object.keys(arg).sort()
+            .filter(key => arg[key] !== undefined)
+            .reduce((normalized, key) => ({ ...normalized, [key]: normalizeArg(arg[key]) }), {});
+    }
+    return arg;
+}
+
+function cacheKey(site, kind, args) {
+    return `${site}:${kind}:${JSON.stringify(normalizeArg(args))}`;
+}
+
+let backend = createBackend();
+
+function getEntry(key) {
+    return backend.get(key);
+}
+
+function setEntry(key, entry) {
+    backend.set(key, { ...entry, storedAt: Date.now() });
+}
+
+// Everything cached, for features built on past results (search suggestions);
+// a backend that can't list its entries offers nothing
+function listEntries() {
+    return typeof backend.list === 'function' ? backend.list() : [];
+}
+
+function clearCache() {
+    backend.clear();
+}
+
+// Swap the storage backend (e.g. a shared store) at runtime
+function setBackend(newBackend) {
+    backend = newBackend;
+}
+
+function getCacheStats() {
+    return { backend: backend.constructor.name, entries: backend.size, maxEntries: backend.maxEntries };
+}
+
+module.exports = {
+    MemoryBackend,
+    FileBackend,
+    cacheKey,
+    getEntry,
+    setEntry,
+    listEntries,
+    clearCache,
+    setBackend,
+    getCacheStats
+};
@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const sources = require('./sources');
+const { LICENSES, normalizeLicense } = require('./license');
+const { defuse, restore, toCsv, parseCsv } = require('./csv');
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+
+// ==================== COLLECTIONS ====================
+// Favorites and named lists of models, stored in DATA_DIR/collections.json.
+// Items hold a copy of the normalized model record (it may vanish upstream),
+// keyed "<source>:<id>", with a note and a print status.
+//
+//   { id, name, description, createdAt, updatedAt,
+//     items: [{ key, model, note, status, addedAt, updatedAt }] }
+//
+// "favorites" always exists and can be emptied but not deleted.
+
+const FAVORITES_ID = 'favorites';
+const STATUSES = ['to_print', 'printed'];
+const MAX_COLLECTIONS = 200;
+const MAX_ITEMS = 1000;
+const MAX_NOTE_LENGTH = 2000;
+
+// Export/import columns, one item per row
+const CSV_COLUMNS = ['source', 'id', 'title', 'creator', 'url', 'thumbnail', 'likes', 'downloads', 'license', 'status', 'note', 'addedAt'];
+
+class CollectionError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'CollectionError';
+        this.status = status;
+    }
+}
+
+const file = dataPath('collections.json');
+const collections = new Map(readJsonFile(file, []).map(collection => [collection.id, collection]));
+const writer = createDebouncedWriter(file, () => [...collections.values()]);
+
+if (!collections.has(FAVORITES_ID)) {
+    const now = new Date().toISOString();
+    collections.set(FAVORITES_ID, { id: FAVORITES_ID, name: 'Favorites', description: '', createdAt: now, updatedAt: now, items: [] });
+}
+
+function touch(collection) {
+    collection.updatedAt = new Date().toISOString();
+    writer.schedule();
+}
+
+function itemKey(source, id) {
+    return `${source}:${id}`;
+}
+
+function readName(value, field, required) {
+    if (value === undefined && !required) return undefined;
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (required && !text) {
+        throw new CollectionError(400, `Field "${field}" is required`);
+    }
+    return text.slice(0, 200);
+}
+
+function readStatus(value) {
+    if (value === undefined) return undefined;
+    if (value === null || value === '') return null;
+    if (!STATUSES.includes(value)) {
+        throw new CollectionError(400, `Field "status" must be one of: ${STATUSES.join(', ')} (or null)`);
+    }
+    return value;
+}
+
+function readNote(value) {
+    if (value === undefined) return undefined;
+    return String(value ?? '').slice(0, MAX_NOTE_LENGTH);
+}
+
+function readCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : 0;
+}
+
+// Keep the normalized record fields only, so a stored item looks like a search result
+function readModel(model) {
+    if (!model || typeof model !== 'object') {
+        throw new CollectionError(400, 'Field "model" is required');
+    }
+    if (!sources.getSource(model.source)) {
+        throw new CollectionError(400, `Unknown source: ${model.source}`);
+    }
+    const id = typeof model.id === 'number' ? String(model.id) : model.id;
+    const title = typeof model.title === 'string' ? model.title.trim() : '';
+    if (!id || typeof id !== 'string' || !title || !/^https?:\/\//.test(model.url || '')) {
+        throw new CollectionError(400, 'A model needs an id, a title and an http(s) url');
+    }
+
+    const license = normalizeLicense(model.license);
+    return {
+        id,
+        title,
+        creator: typeof model.creator === 'string' && model.creator ? model.creator : 'Unknown',
+        thumbnail: /^https?:\/\//.test(model.thumbnail || '') ? model.thumbnail : '',
+        url: model.url,
+        likes: readCount(model.likes),
+        downloads: readCount(model.downloads),
+        license: { id: license.id, ...LICENSES[license.id], name: typeof license.name === 'string' ? license.name : null },
+        source: model.source
+    };
+}
+
+function getCollection(id) {
+    const collection = collections.get(id);
+    if (!collection) {
+        throw new CollectionError(404, 'Collection not found');
+    }
+    return collection;
+}
+
+function getItem(collection, key) {
+    const item = collection.items.find(entry => entry.key === key);
+    if (!item) {
+        throw new CollectionError(404, 'Item not found in this collection');
+    }
+    return item;
+}
+
+// Summary for listings: counts, plus item keys so clients can mark collected models
+function describeCollection(collection) {
+    return {
+        id: collection.id,
+        name: collection.name,
+        description: collection.description,
+        createdAt: collection.createdAt,
+        updatedAt: collection.updatedAt,
+        itemCount: collection.items.length,
+        toPrint: collection.items.filter(item => item.status === 'to_print').length,
+        printed: collection.items.filter(item => item.status === 'printed').length,
+        keys: collection.items.map(item => item.key)
+    };
+}
+
+function listCollections() {
+    return [...collections.values()].map(describeCollection);
+}
+
+function createCollection(body = {}) {
+    if (collections.size >= MAX_COLLECTIONS) {
+        throw new CollectionError(409, `At most ${MAX_COLLECTIONS} collections can be kept`);
+    }
+    const now = new Date().toISOString();
+    const collection = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: readName(body.name, 'name', true),
+        description: readName(body.description, 'description', false) || '',
+        createdAt: now,
+        updatedAt: now,
+        items: []
+    };
+    collections.set(collection.id, collection);
+    writer.schedule();
+    return collection;
+}
+
+function updateCollection(id, body = {}) {
+    const collection = getCollection(id);
+    const name = readName(body.name, 'name', false);
+    const description = readName(body.description, 'description', false);
+    if (name !== undefined) {
+        if (!name) throw new CollectionError(400, 'Field "name" cannot be empty');
+        collection.name = name;
+    }
+    if (description !== undefined) collection.description = description;
+    touch(collection);
+    return collection;
+}
+
+function deleteCollection(id) {
+    getCollection(id);
+    if (id === FAVORITES_ID) {
+        throw new CollectionError(409, 'Favorites cannot be deleted');
+    }
+    collections.delete(id);
+    writer.schedule();
+}
+
+// Add a model, or update its note/status when it is already there. { item, created }
+function addItem(id, body = {}) {
+    const collection = getCollection(id);
+    const model = readModel(body.model);
+    const note = readNote(body.note);
+    const status = readStatus(body.status);
+    const key = itemKey(model.source, model.id);
+    const now = new Date().toISOString();
+
+    const existing = collection.items.find(item => item.key === key);
+    if (existing) {
+        existing.model = model;
+        if (note !== undefined) existing.note = note;
+        if (status !== undefined) existing.status = status;
+        existing.updatedAt = now;
+        touch(collection);
+        return { item: existing, created: false };
+    }
+
+    if (collection.items.length >= MAX_ITEMS) {
+        throw new CollectionError(409, `A collection holds at most ${MAX_ITEMS} models`);
+    }
+    const item = { key, model, note: note || '', status: status || null, addedAt: now, updatedAt: now };
+    collection.items.push(item);
+    touch(collection);
+    return { item, created: true };
+}
+
+function updateItem(id, key, body = {}) {
+    const collection = getCollection(id);
+    const item = getItem(collection, key);
+    const note = readNote(body.note);
+    const status = readStatus(body.status);
+    if (note !== undefined) item.note = note;
+    if (status !== undefined) item.status = status;
+    item.updatedAt = new Date().toISOString();
+    touch(collection);
+    return item;
+}
+
+function removeItem(id, key) {
+    const collection = getCollection(id);
+    const item = getItem(collection, key);
+    collection.items = collection.items.filter(entry => entry !== item);
+    touch(collection);
+}
+
+// ==================== IMPORT / EXPORT ====================
+
+function exportCollection(collection, format) {
+    if (format === 'csv') {
+        const rows = collection.items.map(item => ({
+            ...item.model,
+            license: item.model.license.name || item.model.license.label,
+            status: item.status || '',
+            note: item.note,
+            addedAt: item.addedAt
+        }));
+        // Titles and notes starting with = + - @ stay text; readImport() takes the ' off again
+        return toCsv(rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, defuse(value)]))), CSV_COLUMNS);
+    }
+    return {
+        name: collection.name,
+        description: collection.description,
+        exportedAt: new Date().toISOString(),
+        items: collection.items.map(({ model, note, status, addedAt }) => ({ model, note, status, addedAt }))
+    };
+}
+
+// Items from an export: the JSON document, or CSV rows with the CSV_COLUMNS header
+function readImport(format, payload) {
+    if (format === 'csv') {
+        if (typeof payload !== 'string') {
+            throw new CollectionError(400, 'Send the CSV as the request body with Content-Type: text/csv');
+        }
+        return {
+            items: parseCsv(payload)
+                .map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, restore(value)])))
+                .map(row => ({
+                    model: row,
+                    note: row.note,
+                    status: row.status || null,
+                    addedAt: row.addedAt
+                }))
+        };
+    }
+    if (!payload || !Array.isArray(payload.items)) {
+        throw new CollectionError(400, 'Expected an exported collection: { name, items: [{ model, note, status }] }');
+    }
+    return payload;
+}
+
+// Import into a new collection (no id) or merge into an existing one. Rows that
+// aren't valid models are skipped and reported rather than failing the import.
+function importCollection(format, payload, { id, name } = {}) {
+    const data = readImport(format, payload);
+    const collection = id
+        ? getCollection(id)
+        : createCollection({ name: name || data.name || 'Imported collection', description: data.description });
+
+    let imported = 0;
+    const skipped = [];
+    data.items.forEach((entry, index) => {
+        try {
+            const { item, created } = addItem(collection.id, { model: entry.model, note: entry.note, status: entry.status });
+            if (created && typeof entry.addedAt === 'string' && !Number.isNaN(Date.parse(entry.addedAt))) {
+                item.addedAt = entry.addedAt;
+            }
+            imported++;
+        } catch (error) {
+            if (!(error instanceof CollectionError)) throw error;
+            skipped.push({ row: index + 1, error: error.message });
+        }
+    });
+
+    return { collection, imported, skipped };
+}
+
+module.exports = {
+    FAVORITES_ID,
+    STATUSES,
+    CollectionError,
+    itemKey,
+    getCollection,
+    describeCollection,
+    listCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    addItem,
+    updateItem,
+    removeItem,
+    exportCollection,
+    importCollection
+};
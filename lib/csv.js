@@ -0,0 +1,78 @@
+// ==================== CSV ====================
+// RFC 4180 CSV: comma-separated, CRLF rows, fields quoted when they contain a
+// comma, quote or line break. Enough for spreadsheets and for reading back
+// what we wrote; no dialect sniffing.
+
+function escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; titles come from strangers,
+// so such text is written after a ' that keeps it text
+function defuse(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// Undo defuse() when reading one of our own exports back
+function restore(value) {
+    return typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+}
+
+// rows: objects; columns: the keys to write, in order, also used as the header
+function toCsv(rows, columns) {
+    const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+    return lines.map(fields => fields.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse into objects keyed by the header row; blank lines are skipped
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Spreadsheet exports often start with a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (quoted) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(fields => fields.some(value => value !== ''));
+    const columns = header.map(column => column.trim());
+    return records.map(fields => Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? ''])));
+}
+
+module.exports = {
+    defuse,
+    restore,
+    toCsv,
+    parseCsv
+};
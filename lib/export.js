@@ -0,0 +1,125 @@
+const { defuse, toCsv } = require('./csv');
+
+// ==================== RESULT EXPORT ====================
+// /api/search, /api/search/:site and /api/popular answer in other formats with
+// format=csv|jsonl|md or a matching Accept header. Every format has the same
+// columns, one row per model, blank where the source doesn't say.
+
+const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    jsonl: 'application/x-ndjson; charset=utf-8',
+    md: 'text/markdown; charset=utf-8'
+};
+
+const ACCEPT_TYPES = {
+    'application/json': 'json',
+    'text/csv': 'csv',
+    'application/x-ndjson': 'jsonl',
+    'application/jsonl': 'jsonl',
+    'text/markdown': 'md'
+};
+
+const COLUMNS = ['source', 'title', 'creator', 'url', 'likes', 'downloads', 'thumbnail', 'license', 'commercial', 'free', 'category', 'fileCount', 'hasPrintProfile', 'publishedAt', 'id'];
+
+class ExportFormatError extends Error {
+    constructor(format) {
+        super(`Unknown format "${format}" - use json, ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        this.name = 'ExportFormatError';
+        this.status = 400;
+    }
+}
+
+// format= wins; otherwise the Accept header, where */* and browsers get JSON
+function negotiateFormat(req) {
+    const { format } = req.query;
+    if (format) {
+        // Repeated or bracketed parameters (?format[]=csv) arrive as arrays and objects
+        if (typeof format !== 'string' || (format !== 'json' && !Object.hasOwn(EXPORT_FORMATS, format))) {
+            throw new ExportFormatError(format);
+        }
+        return format;
+    }
+    return ACCEPT_TYPES[req.accepts(Object.keys(ACCEPT_TYPES))] || 'json';
+}
+
+function toRow(record, site) {
+    const license = record.license || {};
+    return {
+        source: record.source || site,
+        title: record.title,
+        creator: record.creator,
+        url: record.url,
+        likes: record.likes ?? null,
+        downloads: record.downloads ?? null,
+        thumbnail: record.thumbnail || null,
+        license: license.id && license.id !== 'unknown' ? license.label : null,
+        commercial: license.commercial ?? null,
+        free: record.free ?? null,
+        category: record.category || null,
+        fileCount: record.fileCount ?? null,
+        hasPrintProfile: record.hasPrintProfile ?? null,
+        publishedAt: record.publishedAt || null,
+        id: record.id ?? null
+    };
+}
+
+// { <site>: [records] } -> rows, sources in the order given
+function toRows(resultsBySite) {
+    return Object.entries(resultsBySite).flatMap(([site, records]) => records.map(record => toRow(record, site)));
+}
+
+function escapeMarkdown(value) {
+    return String(value ?? '').replace(/\r?\n/g, ' ').replace(/([\\|[\]])/g, '\\$1');
+}
+
+function toMarkdown(rows, title) {
+    const header = ['Source', 'Title', 'Creator', 'Likes', 'Downloads', 'License'];
+    const lines = [
+        `| ${header.join(' | ')} |`,
+        `|${header.map(() => '---').join('|')}|`,
+        ...rows.map(row => `| ${[
+            escapeMarkdown(row.source),
+            `[${escapeMarkdown(row.title)}](${String(row.url).replace(/[()\s]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})`,
+            escapeMarkdown(row.creator),
+            row.likes ?? '',
+            row.downloads ?? '',
+            escapeMarkdown(row.license || 'Unknown')
+        ].join(' | ')} |`)
+    ];
+    return `## ${escapeMarkdown(title)}\n\n${lines.join('\n')}\n`;
+}
+
+function renderExport(format, rows, title) {
+    if (format === 'csv') {
+        return toCsv(rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, defuse(value)]))), COLUMNS);
+    }
+    if (format === 'jsonl') {
+        return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+    }
+    return toMarkdown(rows, title);
+}
+
+// "Phone Stand!" page 2 on printables -> phone-stand-printables-page-2
+function exportFilename(parts, format) {
+    const slug = parts.filter(Boolean).join(' ').toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')
+        .slice(0, 80).replace(/-+$/, '');
+    return `${slug || 'results'}.${format}`;
+}
+
+function sendExport(res, format, { results, title, filenameParts }) {
+    res.attachment(exportFilename(filenameParts, format));
+    res.type(EXPORT_FORMATS[format]).send(renderExport(format, toRows(results), title));
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    COLUMNS,
+    ExportFormatError,
+    negotiateFormat,
+    toRows,
+    renderExport,
+    exportFilename,
+    sendExport
+};
@@ -0,0 +1,84 @@
+// ==================== FEEDS ====================
+// Atom and RSS 2.0 documents for a saved search's new results, so any feed
+// reader can follow it. Each entry is one model; its id is the model URL.
+
+const FEED_FORMATS = {
+    atom: 'application/atom+xml; charset=utf-8',
+    rss: 'application/rss+xml; charset=utf-8'
+};
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function describeEntry(result) {
+    const stats = [`by ${result.creator}`, `on ${result.site}`];
+    if (result.likes) stats.push(`${result.likes} likes`);
+    if (result.downloads) stats.push(`${result.downloads} downloads`);
+    const image = result.thumbnail ? `<p><img src="${escapeXml(result.thumbnail)}" alt=""></p>` : '';
+    return `${image}<p>${escapeXml(stats.join(' · '))}</p>`;
+}
+
+// feed: { title, selfUrl, siteUrl, updated, results: [{ ...model, site, foundAt }] }
+function buildAtomFeed(feed) {
+    const entries = feed.results.map(result => `
+  <entry>
+    <id>${escapeXml(result.url)}</id>
+    <title>${escapeXml(result.title)}</title>
+    <link href="${escapeXml(result.url)}"/>
+    <updated>${escapeXml(result.foundAt)}</updated>
+    <author><name>${escapeXml(result.creator)}</name></author>
+    <category term="${escapeXml(result.site)}"/>
+    <content type="html">${escapeXml(describeEntry(result))}</content>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link rel="self" href="${escapeXml(feed.selfUrl)}"/>
+  <link href="${escapeXml(feed.siteUrl)}"/>
+  <updated>${escapeXml(feed.updated)}</updated>${entries}
+</feed>
+`;
+}
+
+function buildRssFeed(feed) {
+    const rfc822 = date => new Date(date).toUTCString();
+    const items = feed.results.map(result => `
+    <item>
+      <title>${escapeXml(result.title)}</title>
+      <link>${escapeXml(result.url)}</link>
+      <guid isPermaLink="true">${escapeXml(result.url)}</guid>
+      <pubDate>${rfc822(result.foundAt)}</pubDate>
+      <category>${escapeXml(result.site)}</category>
+      <description>${escapeXml(describeEntry(result))}</description>
+    </item>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(`New results for ${feed.title}`)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.selfUrl)}"/>
+    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function buildFeed(format, feed) {
+    return format === 'rss' ? buildRssFeed(feed) : buildAtomFeed(feed);
+}
+
+module.exports = {
+    FEED_FORMATS,
+    escapeXml,
+    buildFeed
+};
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+const { Response, FetchError, AbortError } = require('node-fetch');
+
+// ==================== HTTP FIXTURES ====================
+// Upstream responses recorded to JSON files and replayed through safeFetch, so
+// the adapters can be exercised without a network. A fixture file holds one
+// entry or an array of them:
+//
+//   {
+//     "request":  { "method": "GET", "url": "https://...", "body": { ... } },
+//     "response": { "status": 200, "headers": { ... }, "body": "..." }
+//   }
+//
+// The response carries its payload as `body` (text), `json` (an object) or
+// `bodyFile` (a path relative to the fixture file), or instead of a response an
+// `error` of "timeout" or "network" to replay a failed request. A request
+// without a body matches any body; an object body matches when every key it
+// lists has the same value in the request's JSON body.
+//
+// HTTP_FIXTURES=record saves every upstream response under HTTP_FIXTURES_DIR;
+// HTTP_FIXTURES=replay answers from the files there and fails anything else.
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'recorded');
+
+// Headers that describe the wire encoding rather than the decoded body we store
+const SKIPPED_HEADERS = new Set(['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive', 'set-cookie']);
+
+function parseBody(body) {
+    if (body === undefined || body === null) return undefined;
+    const text = String(body);
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// `expected` is what the fixture lists, `actual` the parsed request body
+function bodyMatches(expected, actual) {
+    if (expected === undefined) return true;
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        return Boolean(actual) && typeof actual === 'object' &&
+            Object.keys(expected).every(key => bodyMatches(expected[key], actual[key]));
+    }
+    return isDeepStrictEqual(expected, actual);
+}
+
+function readFixtureFile(file) {
+    return [].concat(JSON.parse(fs.readFileSync(file, 'utf8'))).map(entry => ({ ...entry, file }));
+}
+
+// Fixture entries from any mix of files and directories (searched recursively)
+function loadFixtures(...paths) {
+    return paths.flatMap(fixturePath => {
+        if (!fs.statSync(fixturePath).isDirectory()) return readFixtureFile(fixturePath);
+        return fs.readdirSync(fixturePath)
+            .sort()
+            .map(name => path.join(fixturePath, name))
+            .filter(file => fs.statSync(file).isDirectory() || file.endsWith('.json'))
+            .flatMap(file => loadFixtures(file));
+    });
+}
+
+function findFixture(entries, method, url, body) {
+    const parsedBody = parseBody(body);
+    return entries.find(({ request }) =>
+        (request.method || 'GET').toUpperCase() === method &&
+        request.url === url &&
+        bodyMatches(request.body, parsedBody)
+    );
+}
+
+function toResponse(url, entry) {
+    const { response } = entry;
+    if (response.error === 'timeout') {
+        throw new AbortError('The user aborted a request.');
+    }
+    if (response.error === 'network') {
+        throw new FetchError(`request to ${url} failed, reason: socket hang up`, 'system', { code: 'ECONNRESET' });
+    }
+
+    let body = response.body;
+    if (response.json !== undefined) body = JSON.stringify(response.json);
+    if (response.bodyFile) body = fs.readFileSync(path.resolve(path.dirname(entry.file), response.bodyFile));
+
+    return new Response(body ?? '', {
+        url,
+        status: response.status || 200,
+        headers: response.headers || {}
+    });
+}
+
+// A transport answering from fixture entries. Every request is logged in
+// `transport.calls`; one without a fixture fails like an unreachable host.
+function createReplayTransport(entries) {
+    const transport = async (url, options = {}) => {
+        const method = (options.method || 'GET').toUpperCase();
+        transport.calls.push({ method, url, body: parseBody(options.body) });
+
+        const entry = findFixture(entries, method, url, options.body);
+        if (!entry) {
+            throw new FetchError(`No fixture recorded for ${method} ${url}`, 'system', { code: 'ENOFIXTURE' });
+        }
+        return toResponse(url, entry);
+    };
+    transport.calls = [];
+    return transport;
+}
+
+// A transport passing requests on to `realFetch` and saving each response as
+// <dir>/<host>/<method>-<hash>.json before handing back a copy of it
+function createRecordTransport(dir, realFetch) {
+    return async (url, options = {}) => {
+        const method = (options.method || 'GET').toUpperCase();
+        const response = await realFetch(url, options);
+        const text = await response.text();
+
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            if (!SKIPPED_HEADERS.has(name)) headers[name] = value;
+        });
+
+        const body = parseBody(options.body);
+        const hash = crypto.createHash('sha256').update(`${method} ${url} ${options.body || ''}`).digest('hex').slice(0, 12);
+        const file = path.join(dir, new URL(url).hostname, `${method.toLowerCase()}-${hash}.json`);
+        const json = parseBody(text);
+        const entry = {
+            request: { method, url, ...(body === undefined ? {} : { body }) },
+            response: {
+                status: response.status,
+                headers,
+                ...(typeof json === 'object' && json !== null ? { json } : { body: text })
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(entry, null, 2) + '\n');
+            console.log(`Recorded ${method} ${url} -> ${path.relative(process.cwd(), file)}`);
+        } catch (error) {
+            console.error(`Failed to record fixture for ${url}:`, error.message);
+        }
+
+        return new Response(text, { url, status: response.status, statusText: response.statusText, headers });
+    };
+}
+
+// The transport HTTP_FIXTURES asks for, or null to use the network as usual
+function createTransportFromEnv(realFetch) {
+    const mode = process.env.HTTP_FIXTURES;
+    if (!mode) return null;
+
+    const dir = path.resolve(process.env.HTTP_FIXTURES_DIR || DEFAULT_DIR);
+    if (mode === 'record') {
+        console.log(`Recording upstream responses to ${dir}`);
+        return createRecordTransport(dir, realFetch);
+    }
+    if (mode === 'replay') {
+        console.log(`Replaying upstream responses from ${dir}`);
+        return createReplayTransport(fs.existsSync(dir) ? loadFixtures(dir) : []);
+    }
+    throw new Error(`Unknown HTTP_FIXTURES mode "${mode}" (expected record or replay)`);
+}
+
+module.exports = {
+    loadFixtures,
+    createReplayTransport,
+    createRecordTransport,
+    createTransportFromEnv
+};
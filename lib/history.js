@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+const { STATUS } = require('./sources/status');
+
+// ==================== SEARCH HISTORY ====================
+// Every search the server runs, newest first, in DATA_DIR/search-history.json -
+// unless SEARCH_HISTORY=off. /api/suggest ranks past queries by how often and
+// how recently they were run; /api/history lists and clears them.
+//
+//   { id, query, searchedAt, results: { <site>: count | null }, total }
+//
+// A source that failed, or was answered from a fallback, counts as null rather
+// than 0. The same query again within COALESCE_MS (the UI's combined view
+// fetching what it just streamed, a reload) updates the newest entry instead of
+// adding one.
+
+const MAX_ENTRIES = 500;
+const COALESCE_MS = 60 * 1000;
+// A search a week old counts half as much as one run now
+const HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const file = dataPath('search-history.json');
+let entries = readJsonFile(file, []);
+const writer = createDebouncedWriter(file, () => entries);
+
+function isHistoryEnabled() {
+    return process.env.SEARCH_HISTORY !== 'off';
+}
+
+function normalizeQuery(query) {
+    return String(query || '').trim().replace(/\s+/g, ' ');
+}
+
+// Record a finished search from its per-source outcomes; null when history is off
+function recordSearch(query, outcomes, now = Date.now()) {
+    const text = normalizeQuery(query);
+    if (!isHistoryEnabled() || !text) return null;
+
+    const results = Object.fromEntries(outcomes.map(outcome => [
+        outcome.site,
+        outcome.meta.error || outcome.meta.status === STATUS.FALLBACK ? null : outcome.results.length
+    ]));
+
+    const latest = entries[0];
+    if (latest && latest.query.toLowerCase() === text.toLowerCase() && now - Date.parse(latest.searchedAt) < COALESCE_MS) {
+        latest.searchedAt = new Date(now).toISOString();
+        latest.results = { ...latest.results, ...results };
+    } else {
+        entries.unshift({ id: crypto.randomBytes(6).toString('hex'), query: text, searchedAt: new Date(now).toISOString(), results });
+        entries.length = Math.min(entries.length, MAX_ENTRIES);
+    }
+    entries[0].total = Object.values(entries[0].results).reduce((sum, count) => sum + (count || 0), 0);
+
+    writer.schedule();
+    return entries[0];
+}
+
+// Newest first; `q` keeps entries whose query contains it
+function listHistory({ limit = 50, q } = {}) {
+    const needle = normalizeQuery(q).toLowerCase();
+    return entries
+        .filter(entry => !needle || entry.query.toLowerCase().includes(needle))
+        .slice(0, limit);
+}
+
+// Forget everything, or every search for one query; returns how many entries went
+function clearHistory(query) {
+    const before = entries.length;
+    const text = normalizeQuery(query).toLowerCase();
+    entries = text ? entries.filter(entry => entry.query.toLowerCase() !== text) : [];
+    if (entries.length !== before) writer.schedule();
+    return before - entries.length;
+}
+
+// One line per distinct query: how often it was run and a score that fades with age
+function getQueryStats(now = Date.now()) {
+    const stats = new Map();
+    entries.forEach(entry => {
+        const key = entry.query.toLowerCase();
+        const stat = stats.get(key) || { query: entry.query, count: 0, lastAt: entry.searchedAt, score: 0 };
+        stat.count++;
+        stat.score += Math.pow(0.5, Math.max(now - Date.parse(entry.searchedAt), 0) / HALF_LIFE_MS);
+        stats.set(key, stat);
+    });
+    return [...stats.values()];
+}
+
+module.exports = {
+    isHistoryEnabled,
+    recordSearch,
+    listHistory,
+    clearHistory,
+    getQueryStats
+};
@@ -0,0 +1,85 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const fetch = require('node-fetch');
+const fixtures = require('./fixtures');
+const { createScheduler } = require('./scheduler');
+
+// Common headers for requests
+const getHeaders = () => ({
+    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Connection': 'keep-alive',
+    'Cache-Control': 'no-cache',
+});
+
+// What safeFetch sends requests through: node-fetch, or a fixture recorder/replayer
+// (see ./fixtures). HTTP_FIXTURES=record|replay picks one at startup.
+let transport = fixtures.createTransportFromEnv(fetch) || fetch;
+
+function setTransport(newTransport) {
+    transport = newTransport || fetch;
+}
+
+function setting(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+const DEFAULT_TIMEOUT_MS = setting('HTTP_TIMEOUT_MS', 20000);
+
+// All upstream traffic waits its turn per host (see ./scheduler)
+const scheduler = createScheduler({
+    concurrency: setting('HTTP_HOST_CONCURRENCY', 2),
+    ratePerSecond: setting('HTTP_HOST_RATE', 2),
+    burst: setting('HTTP_HOST_BURST', 5),
+    retries: setting('HTTP_RETRIES', 2),
+    retryBaseMs: setting('HTTP_RETRY_BASE_MS', 500),
+    maxRetryWaitMs: setting('HTTP_MAX_RETRY_WAIT_MS', 10000)
+});
+
+// The adapter whose search/popular/detail is running (see ./sources/runner), so its
+// requests get its timeout and rate limits without passing them to every call
+const currentSource = new AsyncLocalStorage();
+
+function withSource(adapter, fn) {
+    return currentSource.run(adapter, fn);
+}
+
+// HTTP_TIMEOUT_<SOURCE> (e.g. HTTP_TIMEOUT_THINGIVERSE) beats the adapter's timeoutMs beats HTTP_TIMEOUT_MS
+function getTimeout(adapter) {
+    if (!adapter) return DEFAULT_TIMEOUT_MS;
+    const override = parseInt(process.env[`HTTP_TIMEOUT_${adapter.id.toUpperCase().replace(/-/g, '_')}`]);
+    if (!Number.isNaN(override)) return override;
+    return adapter.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+}
+
+// Fetch through the scheduler. Besides the usual fetch options: `idempotent: true` lets a
+// POST that only reads (a GraphQL query) be retried and shared, `timeoutMs` overrides the source's
+async function safeFetch(url, options = {}) {
+    const adapter = currentSource.getStore();
+    const { idempotent, timeoutMs, ...fetchOptions } = options;
+
+    return scheduler.schedule(url, {
+        method: options.method,
+        body: options.body,
+        idempotent,
+        timeoutMs: timeoutMs ?? getTimeout(adapter),
+        limits: adapter?.rateLimit
+    }, signal => transport(url, {
+        ...fetchOptions,
+        signal,
+        headers: { ...getHeaders(), ...options.headers }
+    }));
+}
+
+// A turn at the host for requests that read their own response (the image proxy)
+function withHostSlot(url, options, fn) {
+    return scheduler.withHost(url, options, fn);
+}
+
+function getSchedulerStats() {
+    return scheduler.getStats();
+}
+
+module.exports = { fetch, getHeaders, safeFetch, setTransport, withSource, withHostSlot, getSchedulerStats };
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { dataPath } = require('./storage');
+
+// ==================== THUMBNAIL DISK CACHE ====================
+// Resized thumbnails are written to DATA_DIR/image-cache and evicted least recently
+// used first once their total size passes IMAGE_DISK_CACHE_MAX_BYTES. Each file is
+// named <key hash>-<content hash>.<ext>, so the index (and every ETag) can be rebuilt
+// from a directory listing at startup without reading the files.
+
+const IMAGE_DISK_CACHE_MAX_BYTES = parseInt(process.env.IMAGE_DISK_CACHE_MAX_BYTES) || 200 * 1024 * 1024;
+
+const EXTENSIONS = { 'image/webp': 'webp', 'image/jpeg': 'jpg', 'image/avif': 'avif', 'image/png': 'png' };
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+class DiskImageCache {
+    constructor(dir, maxBytes = IMAGE_DISK_CACHE_MAX_BYTES) {
+        this.dir = dir;
+        this.maxBytes = maxBytes;
+        // key hash -> { file, size, contentType, etag }, least recently used first
+        this.entries = new Map();
+        this.bytes = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.load();
+    }
+
+    load() {
+        let files;
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            files = fs.readdirSync(this.dir);
+        } catch (error) {
+            console.error(`Image cache directory ${this.dir} unavailable:`, error.message);
+            return;
+        }
+
+        files
+            .map(file => {
+                const match = file.match(/^([0-9a-f]{64})-([0-9a-f]{16})\.(\w+)$/);
+                if (!match || !CONTENT_TYPES[match[3]]) return null;
+                const stat = fs.statSync(path.join(this.dir, file));
+                return { keyHash: match[1], file, size: stat.size, contentType: CONTENT_TYPES[match[3]], etag: `"${match[2]}"`, usedAt: stat.mtimeMs };
+            })
+            .filter(Boolean)
+            // Oldest first; hits touch the file's mtime so it doubles as last use
+            .sort((a, b) => a.usedAt - b.usedAt)
+            .forEach(({ keyHash, usedAt, ...entry }) => {
+                this.entries.set(keyHash, entry);
+                this.bytes += entry.size;
+            });
+        this.evict();
+    }
+
+    async get(key) {
+        const keyHash = hash(key);
+        const entry = this.entries.get(keyHash);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        try {
+            const buffer = await fs.promises.readFile(path.join(this.dir, entry.file));
+            // Re-insert to mark as most recently used, on disk too for the next startup
+            this.entries.delete(keyHash);
+            this.entries.set(keyHash, entry);
+            const now = new Date();
+            fs.promises.utimes(path.join(this.dir, entry.file), now, now).catch(() => {});
+            this.hits++;
+            return { buffer, contentType: entry.contentType, etag: entry.etag };
+        } catch (error) {
+            // Removed behind our back - forget it
+            this.remove(keyHash);
+            this.misses++;
+            return null;
+        }
+    }
+
+    async set(key, buffer, contentType) {
+        const keyHash = hash(key);
+        const etag = hash(buffer).slice(0, 16);
+        const file = `${keyHash}-${etag}.${EXTENSIONS[contentType] || 'bin'}`;
+
+        this.remove(keyHash);
+        try {
+            await fs.promises.writeFile(path.join(this.dir, file), buffer);
+        } catch (error) {
+            console.error(`Failed to cache thumbnail ${file}:`, error.message);
+            return `"${etag}"`;
+        }
+        this.entries.set(keyHash, { file, size: buffer.length, contentType, etag: `"${etag}"` });
+        this.bytes += buffer.length;
+        this.evict();
+        return `"${etag}"`;
+    }
+
+    remove(keyHash) {
+        const entry = this.entries.get(keyHash);
+        if (!entry) return;
+        this.entries.delete(keyHash);
+        this.bytes -= entry.size;
+        fs.promises.unlink(path.join(this.dir, entry.file)).catch(() => {});
+    }
+
+    evict() {
+        while (this.bytes > this.maxBytes && this.entries.size > 0) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    getStats() {
+        return { entries: this.entries.size, bytes: this.bytes, maxBytes: this.maxBytes, hits: this.hits, misses: this.misses };
+    }
+}
+
+let diskCache = null;
+
+// Created on first use so DATA_DIR is only touched when thumbnails are requested
+function getDiskCache() {
+    if (!diskCache) diskCache = new DiskImageCache(dataPath('image-cache'));
+    return diskCache;
+}
+
+// For /api/health: an empty cache until thumbnails were cached, without creating its directory
+function getDiskCacheStats() {
+    if (!diskCache && !fs.existsSync(dataPath('image-cache'))) {
+        return { entries: 0, bytes: 0, maxBytes: IMAGE_DISK_CACHE_MAX_BYTES, hits: 0, misses: 0 };
+    }
+    return getDiskCache().getStats();
+}
+
+module.exports = {
+    DiskImageCache,
+    getDiskCache,
+    getDiskCacheStats
+};
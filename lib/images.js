@@ -0,0 +1,393 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const sharp = require('sharp');
+const upstream = require('./http');
+const sources = require('./sources');
+const { getDiskCache, getDiskCacheStats } = require('./image-cache');
+
+// ==================== IMAGE FETCHING ====================
+// Shared by the /api/image proxy and thumbnail hashing for result merging
+
+// Only source CDNs are proxied, and never anything that resolves to our own network:
+// the host must be an adapter's imageHost (or in IMAGE_PROXY_HOSTS), every address it
+// resolves to must be public, redirects are re-checked hop by hop, and the body must
+// be a raster image no larger than IMAGE_MAX_BYTES.
+
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_CACHE_MAX_BYTES = parseInt(process.env.IMAGE_CACHE_MAX_BYTES) || 50 * 1024 * 1024;
+const IMAGE_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const IMAGE_TIMEOUT_MS = 15000;
+// CDNs serve a page of thumbnails at once; only how many run in parallel per host is capped
+const IMAGE_HOST_LIMITS = { concurrency: 6, ratePerSecond: 0 };
+const MAX_REDIRECTS = 3;
+
+// Carries the HTTP status the proxy should answer with and a machine-readable reason
+class ImageFetchError extends Error {
+    constructor(status, message, reason) {
+        super(message);
+        this.name = 'ImageFetchError';
+        this.status = status;
+        this.reason = reason;
+    }
+}
+
+// Loopback, private, carrier-grade NAT, link-local, documentation, benchmarking, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// The IPv4 address an IPv4-mapped IPv6 address stands for, however it's written
+// (::ffff:10.0.0.1, ::ffff:a00:1, 0:0:0:0:0:ffff:a00:1); null for any other address
+function mappedIpv4(address) {
+    if (!net.isIPv6(address)) return null;
+    // The URL parser rewrites IPv6 hosts in their shortest form, dotted quads as hex
+    const canonical = new URL(`http://[${address}]`).hostname.slice(1, -1);
+    const mapped = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (!mapped) return null;
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 is checked as the IPv4 address it maps to
+    const mapped = mappedIpv4(address);
+    if (mapped) return PRIVATE_RANGES.check(mapped, 'ipv4');
+    return PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for the proxy's sockets. Checking at connect time (rather than resolving
+// once up front) means a DNS answer that changes between check and use can't get through.
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(({ address }) => isPrivateAddress(address))) {
+            const privateError = new Error(`${hostname} resolves to a private or reserved address`);
+            privateError.code = 'EPRIVATEADDRESS';
+            return callback(privateError);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const agents = {
+    'http:': new http.Agent({ lookup: guardedLookup }),
+    'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+// Adapter CDNs plus IMAGE_PROXY_HOSTS (comma-separated); subdomains of a listed host match
+function isAllowedHost(hostname) {
+    const extraHosts = (process.env.IMAGE_PROXY_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+    const hosts = [...sources.listSources().flatMap(adapter => adapter.imageHosts), ...extraHosts];
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+function parseImageUrl(value, base) {
+    let url;
+    try {
+        url = new URL(value, base);
+    } catch (e) {
+        throw new ImageFetchError(400, 'Invalid URL', 'invalid_url');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ImageFetchError(400, 'Only http and https URLs can be proxied', 'invalid_url');
+    }
+    if (url.username || url.password) {
+        throw new ImageFetchError(400, 'URLs with credentials cannot be proxied', 'invalid_url');
+    }
+    if (!isAllowedHost(url.hostname.toLowerCase())) {
+        throw new ImageFetchError(403, `${url.hostname} is not an allowed image host`, base ? 'redirect_not_allowed' : 'host_not_allowed');
+    }
+    return url;
+}
+
+// Magic numbers of the raster formats CDNs serve. SVG is deliberately absent - it can
+// carry script, and we serve it from our own origin.
+function sniffImageType(buffer) {
+    const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'image/avif';
+    if (ascii(0, 2) === 'BM') return 'image/bmp';
+    return null;
+}
+
+// Read the body, giving up as soon as it passes the size limit
+async function readLimited(body, imageUrl) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of body) {
+        size += chunk.length;
+        if (size > IMAGE_MAX_BYTES) {
+            throw new ImageFetchError(413, `Image is larger than ${IMAGE_MAX_BYTES} bytes: ${imageUrl}`, 'too_large');
+        }
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+async function requestImage(imageUrl) {
+    let url = parseImageUrl(imageUrl);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), IMAGE_TIMEOUT_MS);
+
+    try {
+        for (let redirects = 0; ; redirects++) {
+            // Determine referer based on the source that owns the CDN
+            const referer = sources.findSourceForImage(url.href)?.referer || '';
+
+            let response;
+            try {
+                response = await upstream.withHostSlot(url.href, { timeoutMs: IMAGE_TIMEOUT_MS, limits: IMAGE_HOST_LIMITS }, () => upstream.fetch(url.href, {
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                        'Accept': 'image/avif,image/webp,image/apng,image/*;q=0.8',
+                        'Accept-Language': 'en-US,en;q=0.9',
+                        'Referer': referer,
+                        'Sec-Fetch-Dest': 'image',
+                        'Sec-Fetch-Mode': 'no-cors',
+                        'Sec-Fetch-Site': 'cross-site',
+                    },
+                    redirect: 'manual',
+                    agent: target => agents[target.protocol],
+                    signal: controller.signal
+                }));
+            } catch (error) {
+                if (error.code === 'EPRIVATEADDRESS') {
+                    throw new ImageFetchError(403, `${url.hostname} resolves to a private or reserved address`, 'private_address');
+                }
+                if (error.name === 'AbortError') {
+                    throw new ImageFetchError(504, `Timed out fetching ${url.href}`, 'timeout');
+                }
+                throw new ImageFetchError(502, `Could not fetch ${url.href}: ${error.message}`, 'upstream_error');
+            }
+
+            // Follow redirects ourselves so every hop goes through the same checks
+            if (response.status >= 300 && response.status < 400 && response.headers.has('location')) {
+                if (redirects >= MAX_REDIRECTS) {
+                    throw new ImageFetchError(502, `Too many redirects for ${imageUrl}`, 'too_many_redirects');
+                }
+                url = parseImageUrl(response.headers.get('location'), url);
+                continue;
+            }
+
+            if (!response.ok) {
+                throw new ImageFetchError(502, `Upstream returned ${response.status} for ${url.href}`, 'upstream_error');
+            }
+
+            // Reject early on what the headers admit to; the body is checked regardless
+            const declaredType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (declaredType && !declaredType.startsWith('image/')) {
+                throw new ImageFetchError(415, `Upstream sent ${declaredType}, not an image`, 'not_an_image');
+            }
+            if (parseInt(response.headers.get('content-length')) > IMAGE_MAX_BYTES) {
+                throw new ImageFetchError(413, `Image is larger than ${IMAGE_MAX_BYTES} bytes: ${url.href}`, 'too_large');
+            }
+
+            const buffer = await readLimited(response.body, url.href);
+            const contentType = sniffImageType(buffer);
+            if (!contentType) {
+                throw new ImageFetchError(415, `Upstream response for ${url.href} is not a supported image format`, 'not_an_image');
+            }
+            return { buffer, contentType };
+        }
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Least recently used images, bounded by total bytes
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+function getCachedImage(imageUrl) {
+    const cached = imageCache.get(imageUrl);
+    if (!cached) return null;
+
+    imageCache.delete(imageUrl);
+    if (Date.now() - cached.timestamp >= IMAGE_CACHE_TTL) {
+        imageCacheBytes -= cached.buffer.length;
+        return null;
+    }
+    // Re-insert to mark as most recently used
+    imageCache.set(imageUrl, cached);
+    return cached;
+}
+
+function cacheImage(imageUrl, image) {
+    // Replacing an entry must not count its bytes twice
+    const previous = imageCache.get(imageUrl);
+    if (previous) {
+        imageCache.delete(imageUrl);
+        imageCacheBytes -= previous.buffer.length;
+    }
+    imageCache.set(imageUrl, image);
+    imageCacheBytes += image.buffer.length;
+
+    // An image bigger than the whole cache evicts everything, itself included
+    while (imageCacheBytes > IMAGE_CACHE_MAX_BYTES && imageCache.size > 0) {
+        const [oldestUrl, oldest] = imageCache.entries().next().value;
+        imageCache.delete(oldestUrl);
+        imageCacheBytes -= oldest.buffer.length;
+    }
+}
+
+// One upstream request per image at a time, however many misses ask for it
+const imagesInFlight = new Map();
+
+async function downloadImage(imageUrl) {
+    const { buffer, contentType } = await requestImage(imageUrl);
+    const etag = `"${crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16)}"`;
+    const image = { buffer, contentType, etag, timestamp: Date.now() };
+    cacheImage(imageUrl, image);
+    return image;
+}
+
+// Fetch an image server-side (with the owning source's referer to bypass hotlink protection)
+async function fetchImage(imageUrl) {
+    const cached = getCachedImage(imageUrl);
+    if (cached) return cached;
+
+    if (!imagesInFlight.has(imageUrl)) {
+        imagesInFlight.set(imageUrl, downloadImage(imageUrl).finally(() => imagesInFlight.delete(imageUrl)));
+    }
+    return imagesInFlight.get(imageUrl);
+}
+
+// ==================== THUMBNAILS ====================
+
+const THUMBNAIL_FORMATS = {
+    webp: { quality: 80 },
+    jpeg: { quality: 80, mozjpeg: true },
+    avif: { quality: 50 }
+};
+const MAX_THUMBNAIL_SIZE = 1200;
+
+// Parse the w, h and format query parameters; null when the original is wanted
+function parseThumbnailOptions({ w, h, format }) {
+    if (w === undefined && h === undefined && format === undefined) return null;
+
+    // Repeated or bracketed parameters (?w[]=280) arrive as arrays and objects
+    const size = (value, name) => {
+        if (value === undefined || value === '') return undefined;
+        const pixels = typeof value === 'string' ? Number(value) : NaN;
+        if (!Number.isInteger(pixels) || pixels < 1 || pixels > MAX_THUMBNAIL_SIZE) {
+            throw new ImageFetchError(400, `${name} must be a whole number of pixels from 1 to ${MAX_THUMBNAIL_SIZE}`, 'invalid_size');
+        }
+        return pixels;
+    };
+    const options = { width: size(w, 'w'), height: size(h, 'h'), format: format || 'webp' };
+    if (typeof options.format !== 'string' || !Object.hasOwn(THUMBNAIL_FORMATS, options.format)) {
+        throw new ImageFetchError(400, `format must be one of ${Object.keys(THUMBNAIL_FORMATS).join(', ')}`, 'invalid_format');
+    }
+    return options;
+}
+
+// One resize per thumbnail at a time, however many cards ask for it
+const thumbnailsInFlight = new Map();
+
+async function renderThumbnail(imageUrl, { width, height, format }, key) {
+    const { buffer } = await fetchImage(imageUrl);
+
+    let output;
+    try {
+        let image = sharp(buffer).rotate();
+        if (width || height) {
+            // Crop to fill the box like the cards' object-fit: cover, never upscale
+            image = image.resize(width, height, { fit: 'cover', withoutEnlargement: true });
+        }
+        output = await image.toFormat(format, THUMBNAIL_FORMATS[format]).toBuffer();
+    } catch (error) {
+        throw new ImageFetchError(415, `Could not decode ${imageUrl}: ${error.message}`, 'not_an_image');
+    }
+
+    const contentType = `image/${format}`;
+    const etag = await getDiskCache().set(key, output, contentType);
+    return { buffer: output, contentType, etag };
+}
+
+// Resized and/or re-encoded image, served from the disk cache when possible
+async function getThumbnail(imageUrl, options) {
+    const key = `${imageUrl}|${options.width || ''}x${options.height || ''}|${options.format}`;
+
+    const cached = await getDiskCache().get(key);
+    if (cached) return cached;
+
+    if (!thumbnailsInFlight.has(key)) {
+        thumbnailsInFlight.set(key, renderThumbnail(imageUrl, options, key).finally(() => thumbnailsInFlight.delete(key)));
+    }
+    return thumbnailsInFlight.get(key);
+}
+
+function getImageCacheStats() {
+    return {
+        memory: { entries: imageCache.size, bytes: imageCacheBytes, maxBytes: IMAGE_CACHE_MAX_BYTES },
+        disk: getDiskCacheStats()
+    };
+}
+
+const hashCache = new Map();
+const HASH_CACHE_LIMIT = 5000;
+
+// 64-bit difference hash (dHash) as 16 hex chars: shrink to 9x8 greyscale and
+// compare each pixel with its right neighbour. Survives resizing and recompression,
+// so the same render on two CDNs hashes within a few bits. Null if it can't be fetched.
+async function perceptualHash(imageUrl) {
+    if (!imageUrl) return null;
+    if (hashCache.has(imageUrl)) return hashCache.get(imageUrl);
+
+    let hash = null;
+    try {
+        const { buffer } = await fetchImage(imageUrl);
+        const pixels = await sharp(buffer).greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+
+        let bits = 0n;
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                bits = (bits << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+            }
+        }
+        hash = bits.toString(16).padStart(16, '0');
+    } catch (error) {
+        console.error(`Perceptual hash failed for ${imageUrl}:`, error.message);
+    }
+
+    if (hash) {
+        if (hashCache.size >= HASH_CACHE_LIMIT) hashCache.delete(hashCache.keys().next().value);
+        hashCache.set(imageUrl, hash);
+    }
+    return hash;
+}
+
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+module.exports = {
+    ImageFetchError,
+    fetchImage,
+    parseThumbnailOptions,
+    getThumbnail,
+    getImageCacheStats,
+    isPrivateAddress,
+    perceptualHash,
+    hammingDistance
+};
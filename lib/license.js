@@ -0,0 +1,98 @@
+// ==================== LICENSES ====================
+// Every site words its licenses differently ("Creative Commons - Attribution -
+// Non-Commercial", "CC BY-NC 4.0", "Standard Digital File License"...). Records
+// carry the normalized form: { id, label, commercial, name } where `commercial`
+// is true/false, or null when we can't tell, and `name` is the site's wording.
+
+const LICENSES = {
+    'cc-by': { label: 'CC BY', commercial: true },
+    'cc-by-sa': { label: 'CC BY-SA', commercial: true },
+    'cc-by-nd': { label: 'CC BY-ND', commercial: true },
+    'cc-by-nc': { label: 'CC BY-NC', commercial: false },
+    'gpl': { label: 'GPL', commercial: true },
+    'permissive': { label: 'BSD/MIT', commercial: true },
+    'public-domain': { label: 'Public domain', commercial: true },
+    'standard': { label: 'Standard', commercial: false },
+    'unknown': { label: 'Unknown', commercial: null }
+};
+
+// Checked in order - the first match wins, so narrower patterns come first
+const PATTERNS = [
+    ['public-domain', /public\s*domain|cc0|zero|pdm/],
+    ['cc-by-nc', /(non[\s-]*commercial|\bnc\b)/],
+    ['cc-by-sa', /(share[\s-]*alike|\bsa\b)/],
+    ['cc-by-nd', /(no[\s-]*deriv|\bnd\b)/],
+    ['cc-by', /creative\s*commons|\bcc[\s-]*by\b|attribution/],
+    ['gpl', /\b[al]?gpl\b|gnu/],
+    ['permissive', /\bbsd\b|\bmit\b|apache/],
+    ['standard', /standard|all\s*rights\s*reserved|proprietary|personal\s*use|exclusive/]
+];
+
+function describe(id, name) {
+    return { id, ...LICENSES[id], name: name || null };
+}
+
+// Accepts whatever the site provides: a string, or an object with a name/abbreviation
+function normalizeLicense(raw) {
+    if (raw && typeof raw === 'object') {
+        if (LICENSES[raw.id] && 'commercial' in raw) return raw;
+        raw = raw.name || raw.abbreviation || raw.title || '';
+    }
+    const name = String(raw || '').trim();
+    // Treat "-" and "_" as spaces so "cc-by-nc" and "CC_BY_NC" match the \b patterns
+    const text = name.toLowerCase().replace(/[-_—–]+/g, ' ');
+    if (!text) return describe('unknown', null);
+
+    const match = PATTERNS.find(([, pattern]) => pattern.test(text));
+    return describe(match ? match[0] : 'unknown', name);
+}
+
+// Give a model record a normalized `license`, keeping everything else
+function withLicense(record) {
+    return { ...record, license: normalizeLicense(record.license) };
+}
+
+// Parse the license/commercial/unknown query parameters; null when nothing is filtered.
+//   license=cc-by,cc-by-sa   keep only these ids (repeating the parameter adds ids)
+//   commercial=allowed       keep licenses that allow commercial use (forbidden: the opposite)
+//   unknown=include          keep records whose license is unknown instead of removing them
+function parseLicenseFilter(query) {
+    const ids = [].concat(query.license || [])
+        .filter(value => typeof value === 'string')
+        .flatMap(value => value.split(','))
+        .map(id => id.trim())
+        .filter(id => LICENSES[id]);
+    const commercial = query.commercial === 'allowed' ? true : query.commercial === 'forbidden' ? false : null;
+    if (ids.length === 0 && commercial === null) return null;
+    return { ids, commercial, includeUnknown: query.unknown === 'include' };
+}
+
+// Apply a parsed filter; unknown licenses are counted separately so the caller can say so
+function filterByLicense(records, filter) {
+    if (!filter) return { results: records, removed: 0, unknownRemoved: 0 };
+
+    let removed = 0;
+    let unknownRemoved = 0;
+    const results = records.filter(record => {
+        const license = normalizeLicense(record.license);
+        if (license.id === 'unknown') {
+            if (filter.includeUnknown) return true;
+            unknownRemoved++;
+            return false;
+        }
+        const keep = (filter.ids.length === 0 || filter.ids.includes(license.id)) &&
+            (filter.commercial === null || license.commercial === filter.commercial);
+        if (!keep) removed++;
+        return keep;
+    });
+
+    return { results, removed, unknownRemoved };
+}
+
+module.exports = {
+    LICENSES,
+    normalizeLicense,
+    withLicense,
+    parseLicenseFilter,
+    filterByLicense
+};
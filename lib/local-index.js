@@ -0,0 +1,208 @@
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+
+// ==================== LOCAL INDEX ====================
+// Every model record a source returns live is kept in an in-process inverted
+// index over its title, creator, tags and source, persisted to
+// DATA_DIR/local-index.json. /api/search?mode=local searches it, so there is
+// something to show while the sources are slow, and when they are down.
+//
+//   { url, record, firstSeenAt, lastSeenAt }
+//
+// Entries are keyed by canonical URL: the same model seen again updates its
+// record (fields the new record lacks, like a detail lookup's tags, are kept)
+// and its last-seen time. Past MAX_ENTRIES the least recently seen go first.
+//
+// Every word of the query has to match a word of the record, whole or as its
+// start ("bench" finds "benchy"); matches are ranked by how rare the word is,
+// which field it is in and whether it matched whole, then by downloads.
+
+const MAX_ENTRIES = parseInt(process.env.LOCAL_INDEX_MAX_ENTRIES) || 20000;
+// The whole index is rewritten each time, so changes are gathered for longer than elsewhere
+const WRITE_DELAY_MS = 30 * 1000;
+const FIELD_WEIGHTS = { title: 3, tags: 2, creator: 1.5, source: 1 };
+// A word matched by its start counts this much of a whole-word match
+const PREFIX_WEIGHT = 0.5;
+// Shorter query words only match whole words - "a" would match half the index
+const MIN_PREFIX_LENGTH = 3;
+const TRACKING_PARAMS = /^(utm_|ref$|fbclid$|gclid$)/;
+
+const file = dataPath('local-index.json');
+const entries = new Map();
+// word -> Map(url -> weight of the fields it appears in)
+const postings = new Map();
+const writer = createDebouncedWriter(file, () => [...entries.values()], WRITE_DELAY_MS);
+
+// Same model, same key: no www., no fragment, tracking parameters or trailing slash; null when not a URL
+function canonicalUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        return null;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    [...url.searchParams.keys()].filter(key => TRACKING_PARAMS.test(key)).forEach(key => url.searchParams.delete(key));
+    url.searchParams.sort();
+    const path = url.pathname.replace(/\/+$/, '');
+    return `https://${url.hostname.replace(/^www\./, '')}${path}${url.search}`;
+}
+
+// "3DBenchy" is indexed as 3dbenchy, 3, d and benchy so any of them finds it
+const WORD_PARTS = /(?<=[a-z])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])|(?<=\d)(?=[a-zA-Z])|(?<=[a-zA-Z])(?=\d)/;
+
+// Lowercase words without accents, with their parts when `parts` is set; a plural
+// "s" is dropped so "stands" finds "stand"
+function tokenize(text, { parts = false } = {}) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-zA-Z0-9]+/)
+        .filter(Boolean)
+        .flatMap(word => {
+            const split = parts ? word.split(WORD_PARTS) : [];
+            return split.length > 1 ? [word, ...split] : [word];
+        })
+        .map(word => word.toLowerCase())
+        .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+}
+
+function recordTokens(record) {
+    const weights = new Map();
+    const add = (text, weight) => tokenize(text, { parts: true }).forEach(word => weights.set(word, Math.max(weights.get(word) || 0, weight)));
+    add(record.title, FIELD_WEIGHTS.title);
+    add((record.tags || []).join(' '), FIELD_WEIGHTS.tags);
+    add(record.creator, FIELD_WEIGHTS.creator);
+    add(record.source, FIELD_WEIGHTS.source);
+    return weights;
+}
+
+function indexEntry(entry) {
+    recordTokens(entry.record).forEach((weight, word) => {
+        if (!postings.has(word)) postings.set(word, new Map());
+        postings.get(word).set(entry.url, weight);
+    });
+}
+
+function unindexEntry(entry) {
+    recordTokens(entry.record).forEach((weight, word) => {
+        const docs = postings.get(word);
+        docs?.delete(entry.url);
+        if (docs?.size === 0) postings.delete(word);
+    });
+}
+
+readJsonFile(file, []).forEach(entry => {
+    entries.set(entry.url, entry);
+    indexEntry(entry);
+});
+
+// Drop the least recently seen entries past MAX_ENTRIES
+function evict() {
+    if (entries.size <= MAX_ENTRIES) return;
+    [...entries.values()]
+        .sort((a, b) => Date.parse(a.lastSeenAt) - Date.parse(b.lastSeenAt))
+        .slice(0, entries.size - MAX_ENTRIES)
+        .forEach(entry => {
+            unindexEntry(entry);
+            entries.delete(entry.url);
+        });
+}
+
+// Add or refresh the records a source just returned; returns how many were indexed
+function addRecords(records, now = Date.now()) {
+    const seenAt = new Date(now).toISOString();
+    let added = 0;
+
+    records.forEach(record => {
+        const url = canonicalUrl(record?.url);
+        if (!url || typeof record.title !== 'string' || !record.source) return;
+
+        const existing = entries.get(url);
+        if (existing) unindexEntry(existing);
+        const fresh = Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        const entry = {
+            url,
+            record: existing ? { ...existing.record, ...fresh } : record,
+            firstSeenAt: existing?.firstSeenAt || seenAt,
+            lastSeenAt: seenAt
+        };
+        entries.set(url, entry);
+        indexEntry(entry);
+        added++;
+    });
+
+    if (added > 0) {
+        evict();
+        writer.schedule();
+    }
+    return added;
+}
+
+// url -> score for one query word: whole-word matches plus prefix matches at a discount
+function matchWord(word) {
+    const scores = new Map();
+    const idf = docs => Math.log(1 + entries.size / docs.size);
+    const add = (docs, factor) => docs.forEach((weight, url) => {
+        scores.set(url, Math.max(scores.get(url) || 0, weight * factor * idf(docs)));
+    });
+
+    if (postings.has(word)) add(postings.get(word), 1);
+    if (word.length >= MIN_PREFIX_LENGTH) {
+        postings.forEach((docs, token) => {
+            if (token !== word && token.startsWith(word)) add(docs, PREFIX_WEIGHT);
+        });
+    }
+    return scores;
+}
+
+// Records matching every word of `text`, best first, each with its `lastSeenAt`;
+// `site` keeps one source's records only
+function searchIndex(text, { site } = {}) {
+    const words = [...new Set(tokenize(text))];
+    if (words.length === 0) return [];
+
+    let scores = null;
+    for (const word of words) {
+        const matches = matchWord(word);
+        if (scores === null) {
+            scores = matches;
+        } else {
+            scores.forEach((score, url) => {
+                if (matches.has(url)) scores.set(url, score + matches.get(url));
+                else scores.delete(url);
+            });
+        }
+        if (scores.size === 0) return [];
+    }
+
+    return [...scores]
+        .map(([url, score]) => ({ entry: entries.get(url), score }))
+        .filter(({ entry }) => !site || entry.record.source === site)
+        .sort((a, b) => b.score - a.score || (b.entry.record.downloads || 0) - (a.entry.record.downloads || 0))
+        .map(({ entry }) => ({ ...entry.record, lastSeenAt: entry.lastSeenAt }));
+}
+
+function getIndexStats() {
+    const seen = [...entries.values()].map(entry => entry.lastSeenAt).sort();
+    return {
+        entries: entries.size,
+        words: postings.size,
+        maxEntries: MAX_ENTRIES,
+        oldestSeenAt: seen[0] || null,
+        newestSeenAt: seen[seen.length - 1] || null
+    };
+}
+
+function clearIndex() {
+    entries.clear();
+    postings.clear();
+}
+
+module.exports = {
+    canonicalUrl,
+    tokenize,
+    addRecords,
+    searchIndex,
+    getIndexStats,
+    clearIndex
+};
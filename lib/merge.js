@@ -0,0 +1,165 @@
+const { perceptualHash, hammingDistance } = require('./images');
+
+// ==================== CROSS-SOURCE MERGING ====================
+// Designs are often cross-posted by the same creator to several sites. Results
+// are clustered when their titles are near-identical and their creators agree
+// (or one side doesn't know the creator); with hashing enabled, near-identical
+// thumbnails also pull together entries whose titles differ more.
+
+const TITLE_MATCH = 0.85;
+const TITLE_MATCH_UNKNOWN_CREATOR = 0.95;
+const TITLE_MATCH_WITH_IMAGE = 0.5;
+const CREATOR_MATCH = 0.8;
+const MAX_IMAGE_DISTANCE = 6; // bits out of 64
+
+// Words sites add to titles that say nothing about the design itself
+const NOISE_WORDS = new Set(['3d', 'print', 'printed', 'printable', 'printing', 'model', 'models', 'stl', 'file', 'files', 'free', 'the', 'a', 'an', 'for', 'and', 'of', 'with']);
+const UNKNOWN_CREATORS = new Set(['', 'unknown', 'various', 'anonymous']);
+
+function normalizeTitle(title) {
+    return (title || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !NOISE_WORDS.has(word))
+        .join(' ');
+}
+
+function normalizeCreator(creator) {
+    return (creator || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function bigrams(text) {
+    const grams = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+        const gram = text.slice(i, i + 2);
+        grams.set(gram, (grams.get(gram) || 0) + 1);
+    }
+    return grams;
+}
+
+// Sørensen–Dice coefficient over character bigrams, 0..1
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const gramsA = bigrams(a);
+    const gramsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+    gramsA.forEach((count, gram) => {
+        overlap += Math.min(count, gramsB.get(gram) || 0);
+        total += count;
+    });
+    gramsB.forEach(count => { total += count; });
+    return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+function isDuplicate(a, b) {
+    const titleScore = similarity(a.normalizedTitle, b.normalizedTitle);
+    const creatorKnown = !UNKNOWN_CREATORS.has(a.normalizedCreator) && !UNKNOWN_CREATORS.has(b.normalizedCreator);
+    const creatorsMatch = creatorKnown && similarity(a.normalizedCreator, b.normalizedCreator) >= CREATOR_MATCH;
+
+    if (a.imageHash && b.imageHash && hammingDistance(a.imageHash, b.imageHash) <= MAX_IMAGE_DISTANCE) {
+        return titleScore >= TITLE_MATCH_WITH_IMAGE;
+    }
+    if (creatorsMatch) return titleScore >= TITLE_MATCH;
+    if (!creatorKnown) return titleScore >= TITLE_MATCH_UNKNOWN_CREATOR;
+    return false;
+}
+
+// Share of query words that appear in the title, 0..1
+function relevance(query, title) {
+    const words = normalizeTitle(query).split(' ').filter(Boolean);
+    if (words.length === 0) return 0;
+    const titleWords = new Set(normalizeTitle(title).split(' '));
+    return words.filter(word => titleWords.has(word)).length / words.length;
+}
+
+// Blend of query relevance, the sources' own ranking, popularity and cross-posting
+function scoreCluster(cluster, members, query) {
+    const bestRank = Math.min(...members.map(member => member.rank));
+    const popularity = Math.min(1, Math.log10(1 + cluster.downloads + cluster.likes * 5) / 6);
+    const crossPosted = Math.min(1, (cluster.sources.length - 1) / 2);
+
+    return Math.round((
+        0.45 * relevance(query, cluster.title) +
+        0.2 * (1 / (1 + bestRank)) +
+        0.25 * popularity +
+        0.1 * crossPosted
+    ) * 1000) / 1000;
+}
+
+// resultsBySite: { site: [model, ...] } as returned by /api/search.
+// Returns one entry per design, best first.
+async function mergeResults(resultsBySite, { query = '', useImageHash = false } = {}) {
+    const entries = [];
+    Object.entries(resultsBySite).forEach(([site, models]) => {
+        (models || []).forEach((model, rank) => {
+            entries.push({
+                model,
+                site,
+                rank,
+                normalizedTitle: normalizeTitle(model.title),
+                normalizedCreator: normalizeCreator(model.creator),
+                imageHash: null
+            });
+        });
+    });
+
+    if (useImageHash) {
+        await Promise.all(entries.map(async entry => {
+            entry.imageHash = await perceptualHash(entry.model.thumbnail);
+        }));
+    }
+
+    // Greedy clustering: each entry joins the first cluster holding a duplicate from another site
+    const clusters = [];
+    entries.forEach(entry => {
+        const cluster = clusters.find(candidate =>
+            !candidate.entries.some(member => member.site === entry.site) &&
+            candidate.entries.some(member => isDuplicate(member, entry))
+        );
+        if (cluster) {
+            cluster.entries.push(entry);
+        } else {
+            clusters.push({ entries: [entry] });
+        }
+    });
+
+    return clusters.map(cluster => {
+        // The most downloaded copy provides the title, creator and main link
+        const members = [...cluster.entries].sort((a, b) => (b.model.downloads || 0) - (a.model.downloads || 0));
+        const primary = members[0].model;
+        const merged = {
+            id: primary.id,
+            title: primary.title,
+            creator: members.map(member => member.model.creator).find(creator => !UNKNOWN_CREATORS.has(normalizeCreator(creator))) || primary.creator,
+            thumbnail: members.map(member => member.model.thumbnail).find(Boolean) || '',
+            url: primary.url,
+            likes: members.reduce((sum, member) => sum + (member.model.likes || 0), 0),
+            downloads: members.reduce((sum, member) => sum + (member.model.downloads || 0), 0),
+            license: primary.license,
+            source: primary.source,
+            sources: members.map(member => ({
+                source: member.model.source || member.site,
+                id: member.model.id,
+                title: member.model.title,
+                url: member.model.url,
+                likes: member.model.likes || 0,
+                downloads: member.model.downloads || 0,
+                license: member.model.license
+            }))
+        };
+        merged.score = scoreCluster(merged, members, query);
+        return merged;
+    }).sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    normalizeTitle,
+    similarity,
+    mergeResults
+};
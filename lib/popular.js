@@ -0,0 +1,143 @@
+const sources = require('./sources');
+const { runSource } = require('./sources/runner');
+const { STATUS } = require('./sources/status');
+
+// ==================== POPULAR FEEDS ====================
+// Each source's popular list is fetched by a background job on its own schedule
+// and kept per source with the time it was fetched. /api/popular assembles any
+// `sites` combination from these feeds, so a visitor only waits on upstream for
+// a source that hasn't been fetched yet (or with fresh=1).
+//
+//   { site, results, meta, fetchedAt, lastAttemptAt, lastError, nextRefreshAt }
+//
+// A refresh that fails keeps the last good feed and records the error; so does
+// one that only produces curated fallback data while live data is on hand.
+// fetchedAt is when the feed's data was fetched: a snapshot standing in for the
+// source carries its capture time, curated data none.
+// Without the background job (tests, scripts) a feed past its interval is
+// refreshed in the background when it is next asked for.
+
+const FEED_LIMIT = 20;
+const REFRESH_MS = parseInt(process.env.POPULAR_REFRESH_MS) || 10 * 60 * 1000;
+// After a failure, try again sooner than the usual interval
+const RETRY_MS = 60 * 1000;
+
+const feeds = new Map();
+const refreshing = new Map();
+const timers = new Map();
+let running = false;
+
+// POPULAR_REFRESH_<SOURCE> (e.g. POPULAR_REFRESH_THINGIVERSE) beats the adapter's popularRefreshMs beats POPULAR_REFRESH_MS
+function getRefreshInterval(adapter) {
+    const override = parseInt(process.env[`POPULAR_REFRESH_${adapter.id.toUpperCase().replace(/-/g, '_')}`]);
+    if (!Number.isNaN(override)) return override;
+    return adapter.popularRefreshMs ?? REFRESH_MS;
+}
+
+const isLive = outcome => !outcome.meta.error && outcome.meta.status !== STATUS.FALLBACK;
+
+// When the outcome's results were fetched from the source; null when unknown
+function fetchedAtOf(outcome, now) {
+    if (outcome.meta.error) return null;
+    if (isLive(outcome)) return now;
+    const capturedAt = Date.parse(outcome.meta.snapshot?.capturedAt);
+    return Number.isNaN(capturedAt) ? null : capturedAt;
+}
+
+function scheduleRefresh(site, at) {
+    clearTimeout(timers.get(site));
+    const timer = setTimeout(() => refreshFeed(site), Math.max(at - Date.now(), 0));
+    timer.unref();
+    timers.set(site, timer);
+}
+
+async function fetchFeed(site) {
+    const outcome = await runSource(site, 'popular', [{ limit: FEED_LIMIT }], { fresh: true });
+    const now = Date.now();
+    const current = feeds.get(site);
+    const failed = Boolean(outcome.meta.error);
+    const interval = getRefreshInterval(sources.getSource(site));
+    const nextRefreshAt = now + (failed ? Math.min(RETRY_MS, interval) : interval);
+
+    // Keep what we have unless the new answer is at least as good
+    const keep = current && !current.meta.error && (failed || (isLive(current) && !isLive(outcome)));
+    const feed = keep
+        ? { ...current, lastAttemptAt: now, lastError: outcome.meta.error || outcome.meta.fallbackReason || null, nextRefreshAt }
+        : { site, results: outcome.results, meta: outcome.meta, fetchedAt: fetchedAtOf(outcome, now), lastAttemptAt: now, lastError: outcome.meta.error || null, nextRefreshAt };
+    if (keep) console.log(`Popular ${site}: refresh failed, keeping the feed from ${current.fetchedAt ? new Date(current.fetchedAt).toISOString() : 'fallback data'}`);
+    feeds.set(site, feed);
+
+    if (running) scheduleRefresh(site, nextRefreshAt);
+    return feed;
+}
+
+// One refresh per source at a time
+function refreshFeed(site) {
+    if (!refreshing.has(site)) {
+        refreshing.set(site, fetchFeed(site).finally(() => refreshing.delete(site)));
+    }
+    return refreshing.get(site);
+}
+
+// A feed as one source's part of a /api/popular response
+function describeFeed(feed, limit) {
+    const results = feed.results.slice(0, limit);
+    const now = Date.now();
+    return {
+        site: feed.site,
+        results,
+        meta: {
+            ...feed.meta,
+            count: results.length,
+            feed: {
+                fetchedAt: feed.fetchedAt ? new Date(feed.fetchedAt).toISOString() : null,
+                ageMs: feed.fetchedAt ? now - feed.fetchedAt : null,
+                lastAttemptAt: new Date(feed.lastAttemptAt).toISOString(),
+                nextRefreshAt: new Date(feed.nextRefreshAt).toISOString(),
+                refreshError: feed.lastError
+            }
+        }
+    };
+}
+
+// { site, results, meta } per source, from the feeds; fresh refetches them first
+async function getPopular(siteIds, limit, { fresh = false } = {}) {
+    return Promise.all(siteIds.map(async site => {
+        let feed = feeds.get(site);
+        if (fresh || !feed) {
+            feed = await refreshFeed(site);
+        } else if (!running && Date.now() >= feed.nextRefreshAt) {
+            refreshFeed(site);
+        }
+        return describeFeed(feed, limit);
+    }));
+}
+
+// Fetch every enabled source's feed now, then each on its own interval
+function startPopularRefresher() {
+    if (running) return;
+    running = true;
+    // Feeds fetched on demand before the start keep their place in the schedule
+    feeds.forEach(feed => scheduleRefresh(feed.site, feed.nextRefreshAt));
+    const sites = sources.getEnabledSources('popular').map(adapter => adapter.id);
+    sites.filter(site => !feeds.has(site)).forEach(site => refreshFeed(site));
+    console.log(`Popular feeds refreshed every ${Math.round(REFRESH_MS / 60000)} min: ${sites.join(', ')}`);
+}
+
+function stopPopularRefresher() {
+    running = false;
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+}
+
+function clearFeeds() {
+    feeds.clear();
+}
+
+module.exports = {
+    getPopular,
+    refreshFeed,
+    startPopularRefresher,
+    stopPopularRefresher,
+    clearFeeds
+};
@@ -0,0 +1,204 @@
+const sources = require('./sources');
+
+// ==================== QUERY SYNTAX ====================
+// `q` may carry operators besides plain words:
+//
+//   site:printables      only search these sources (id, name or domain; repeatable)
+//   -site:thangs         never search this source
+//   creator:name         creator name contains the text
+//   -word                title doesn't contain the word
+//   "exact phrase"       title contains the phrase
+//   min-downloads:1000   at least this many downloads (1k, 2.5k, 1m work too)
+//   min-likes:50         at least this many likes
+//
+// The operators are stripped from what goes upstream - only the words and
+// phrases are searched for - and applied to the normalized results instead.
+// An adapter listing 'phrase' or 'exclude' in capabilities.query understands
+// quoted phrases or -word in its own search box and gets them passed through.
+// Anything that doesn't parse as an operator (`foo:bar`, a lone `-`) is a word.
+
+const TOKEN = /(-?)([a-z-]+):("[^"]*"|\S+)|(-?)"([^"]*)"|(\S+)/gi;
+const NUMBER = /^(\d+(?:\.\d+)?)([km]?)$/i;
+const MULTIPLIERS = { '': 1, k: 1000, m: 1000000 };
+
+function unquote(value) {
+    return value.replace(/^"|"$/g, '').trim();
+}
+
+function normalize(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function parseCount(value) {
+    const match = value.match(NUMBER);
+    return match ? Math.round(parseFloat(match[1]) * MULTIPLIERS[match[2].toLowerCase()]) : null;
+}
+
+// site:<value> -> source id, matching the id, the display name or a domain it answers on
+function findSite(value) {
+    const wanted = value.toLowerCase().replace(/^www\./, '');
+    const compact = wanted.replace(/[^a-z0-9]/g, '');
+    return sources.listSources().find(adapter => {
+        if (adapter.id === wanted || adapter.name.toLowerCase().replace(/[^a-z0-9]/g, '') === compact) return true;
+        return [adapter.searchUrl, adapter.browseUrl].some(url => {
+            try {
+                return url && new URL(url.replace('{query}', '')).hostname.replace(/^www\./, '') === wanted;
+            } catch (e) {
+                return false;
+            }
+        });
+    })?.id;
+}
+
+function parseQuery(q) {
+    const parsed = {
+        raw: String(q || '').trim(),
+        terms: [],
+        phrases: [],
+        exclude: [],
+        sites: [],
+        excludeSites: [],
+        creator: null,
+        minDownloads: null,
+        minLikes: null,
+        operators: [],
+        warnings: []
+    };
+    const operator = (type, value, token) => parsed.operators.push({ type, value, token });
+
+    for (const match of parsed.raw.matchAll(TOKEN)) {
+        const [token, negated, key, rawValue, phraseNegated, phrase] = match;
+
+        if (key !== undefined) {
+            const name = key.toLowerCase();
+            const value = unquote(rawValue);
+            if (name === 'site' && value) {
+                const site = findSite(value);
+                if (!site) {
+                    parsed.warnings.push(`Unknown source in ${token}`);
+                    continue;
+                }
+                const list = negated ? parsed.excludeSites : parsed.sites;
+                if (!list.includes(site)) list.push(site);
+                operator(negated ? '-site' : 'site', site, token);
+                continue;
+            }
+            if (name === 'creator' && value && !negated) {
+                parsed.creator = value;
+                operator('creator', value, token);
+                continue;
+            }
+            if ((name === 'min-downloads' || name === 'min-likes') && !negated) {
+                const count = parseCount(value);
+                if (count === null) {
+                    parsed.warnings.push(`${token} needs a number`);
+                    continue;
+                }
+                parsed[name === 'min-downloads' ? 'minDownloads' : 'minLikes'] = count;
+                operator(name, count, token);
+                continue;
+            }
+            // Not one of ours - an ordinary word that happens to contain a colon
+            if (!negated) {
+                parsed.terms.push(token);
+                continue;
+            }
+        }
+
+        if (phrase !== undefined) {
+            const text = normalize(phrase);
+            if (!text) continue;
+            if (phraseNegated) {
+                parsed.exclude.push(text);
+                operator('exclude', text, token);
+            } else {
+                parsed.phrases.push(text);
+                operator('phrase', text, token);
+            }
+            continue;
+        }
+
+        if (token.length > 1 && token.startsWith('-')) {
+            const text = normalize(unquote(token.slice(1)));
+            if (text) {
+                parsed.exclude.push(text);
+                operator('exclude', text, token);
+            }
+            continue;
+        }
+        const text = unquote(token);
+        if (text && text !== '-') parsed.terms.push(text);
+    }
+
+    parsed.text = [...parsed.terms, ...parsed.phrases].join(' ') || parsed.creator || '';
+    return parsed;
+}
+
+// What the responses report: enough for the UI to show a chip per operator
+function describeQuery(parsed) {
+    return {
+        raw: parsed.raw,
+        text: parsed.text,
+        operators: parsed.operators,
+        warnings: parsed.warnings
+    };
+}
+
+// Narrow a list of source ids down to what site: / -site: allow
+function restrictSites(siteIds, parsed) {
+    return siteIds.filter(site =>
+        (parsed.sites.length === 0 || parsed.sites.includes(site)) && !parsed.excludeSites.includes(site)
+    );
+}
+
+// The search string one source receives, and which operators it handles itself
+function buildUpstreamQuery(adapter, parsed) {
+    const native = (adapter.capabilities.query || []).filter(name =>
+        (name === 'phrase' && parsed.phrases.length > 0) || (name === 'exclude' && parsed.exclude.length > 0)
+    );
+    const words = [...parsed.terms];
+    parsed.phrases.forEach(phrase => words.push(native.includes('phrase') ? `"${phrase}"` : phrase));
+    if (native.includes('exclude')) {
+        parsed.exclude.forEach(text => words.push(text.includes(' ') ? `-"${text}"` : `-${text}`));
+    }
+    return { query: words.join(' ') || parsed.creator || '', native };
+}
+
+// true/false when the record says, undefined when it can't be told
+function testRecord(record, parsed, native) {
+    const title = normalize(record.title);
+    if (!native.includes('exclude') && parsed.exclude.some(text => title.includes(text))) return false;
+    if (!native.includes('phrase') && parsed.phrases.some(text => !title.includes(text))) return false;
+
+    const checks = [];
+    if (parsed.creator) checks.push(record.creator ? normalize(record.creator).includes(normalize(parsed.creator)) : undefined);
+    if (parsed.minDownloads !== null) checks.push(Number.isFinite(record.downloads) ? record.downloads >= parsed.minDownloads : undefined);
+    if (parsed.minLikes !== null) checks.push(Number.isFinite(record.likes) ? record.likes >= parsed.minLikes : undefined);
+    if (checks.includes(false)) return false;
+    return checks.includes(undefined) ? undefined : true;
+}
+
+// Post-filter a runner outcome by the operators the source didn't handle, noting it in the meta
+function applyQueryFilter(outcome, parsed, { query, native }) {
+    const filtered = parsed.exclude.length > 0 || parsed.phrases.length > 0 || parsed.creator
+        || parsed.minDownloads !== null || parsed.minLikes !== null;
+    if (!filtered) return outcome;
+
+    let removed = 0;
+    let unknownRemoved = 0;
+    const results = outcome.results.filter(record => {
+        const pass = testRecord(record, parsed, native);
+        if (pass === undefined) unknownRemoved++;
+        else if (!pass) removed++;
+        return pass === true;
+    });
+    return { ...outcome, results, meta: { ...outcome.meta, query: { upstream: query, native, removed, unknownRemoved } } };
+}
+
+module.exports = {
+    parseQuery,
+    describeQuery,
+    restrictSites,
+    buildUpstreamQuery,
+    applyQueryFilter
+};
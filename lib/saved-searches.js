@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const sources = require('./sources');
+const { parseSearchOptions } = require('./sources/options');
+const { parseLicenseFilter } = require('./license');
+const { resolveSearchSites, searchSource } = require('./search');
+const { STATUS } = require('./sources/status');
+const { parseQuery } = require('./query');
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+
+// ==================== SAVED SEARCHES ====================
+// Searches stored in DATA_DIR/saved-searches.json and re-run in the background
+// every SAVED_SEARCH_INTERVAL_MS. A source's first answer only records what is
+// already there; after that every model URL not seen before is kept as a new
+// result (newest first) for /api/saved/:id/new and the search's Atom/RSS feed.
+//
+//   { id, name, query, sites, params, createdAt, lastRunAt, lastError, readAt,
+//     seeded: [site], seen: { url: firstSeenAt }, newResults: [{ ...model, site, foundAt }] }
+//
+// `sites` is a list of source ids (empty for every enabled source) and `params`
+// the sort/filter/license query parameters, as /api/search takes them.
+
+const SAVED_SEARCH_INTERVAL_MS = parseInt(process.env.SAVED_SEARCH_INTERVAL_MS) || 30 * 60 * 1000;
+const MAX_SAVED_SEARCHES = 100;
+const MAX_SEEN = 2000;
+const MAX_NEW_RESULTS = 100;
+const RESULTS_PER_SOURCE = 20;
+
+// Query parameters a saved search keeps - everything parseSearchOptions/parseLicenseFilter read
+const SAVED_PARAMS = ['sort', 'price', 'printProfile', 'multipleFiles', 'category', 'license', 'commercial', 'unknown'];
+
+class SavedSearchError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SavedSearchError';
+        this.status = status;
+    }
+}
+
+const file = dataPath('saved-searches.json');
+const savedSearches = new Map(readJsonFile(file, []).map(saved => [saved.id, saved]));
+const writer = createDebouncedWriter(file, () => [...savedSearches.values()]);
+
+// One run per saved search at a time
+const running = new Map();
+
+// Validate a request body: { q, name, sites, ...params } with the same values as /api/search
+function createSavedSearch(body = {}) {
+    const query = typeof body.q === 'string' ? body.q.trim() : '';
+    if (!query) {
+        throw new SavedSearchError(400, 'Field "q" is required');
+    }
+    if (!parseQuery(query).text) {
+        throw new SavedSearchError(400, 'Field "q" needs words to search for besides its operators');
+    }
+    if (savedSearches.size >= MAX_SAVED_SEARCHES) {
+        throw new SavedSearchError(409, `At most ${MAX_SAVED_SEARCHES} searches can be saved`);
+    }
+
+    const known = sources.listSources().map(adapter => adapter.id);
+    const sites = [].concat(body.sites || []).join(',').split(',').map(site => site.trim()).filter(Boolean);
+    const unknownSites = sites.filter(site => !known.includes(site));
+    if (unknownSites.length > 0) {
+        throw new SavedSearchError(400, `Unknown sources: ${unknownSites.join(', ')}`);
+    }
+
+    // Keep parameters as query-string values so they parse exactly like a live search
+    const params = {};
+    SAVED_PARAMS.forEach(name => {
+        if (body[name] !== undefined && body[name] !== null && body[name] !== '' && body[name] !== false) {
+            params[name] = body[name] === true ? '1' : String(body[name]);
+        }
+    });
+
+    const saved = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : query,
+        query,
+        sites,
+        params,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastError: null,
+        readAt: new Date().toISOString(),
+        seeded: [],
+        seen: {},
+        newResults: []
+    };
+    savedSearches.set(saved.id, saved);
+    writer.schedule();
+    return saved;
+}
+
+function getSavedSearch(id) {
+    const saved = savedSearches.get(id);
+    if (!saved) {
+        throw new SavedSearchError(404, 'Saved search not found');
+    }
+    return saved;
+}
+
+function deleteSavedSearch(id) {
+    getSavedSearch(id);
+    savedSearches.delete(id);
+    writer.schedule();
+}
+
+function countUnread(saved) {
+    return saved.newResults.filter(result => result.foundAt > saved.readAt).length;
+}
+
+// Public view - the seen list is bookkeeping and can be large
+function describeSavedSearch(saved) {
+    return {
+        id: saved.id,
+        name: saved.name,
+        query: saved.query,
+        sites: saved.sites,
+        params: saved.params,
+        createdAt: saved.createdAt,
+        lastRunAt: saved.lastRunAt,
+        lastError: saved.lastError,
+        readAt: saved.readAt,
+        unread: countUnread(saved),
+        newResults: saved.newResults.length
+    };
+}
+
+function listSavedSearches() {
+    return [...savedSearches.values()].map(describeSavedSearch);
+}
+
+// New results, newest first, each flagged unread when found after the last read
+function getNewResults(saved) {
+    return saved.newResults.map(result => ({ ...result, unread: result.foundAt > saved.readAt }));
+}
+
+function markRead(saved) {
+    saved.readAt = new Date().toISOString();
+    writer.schedule();
+}
+
+// Re-run one saved search and record the models it hasn't seen before
+async function executeSavedSearch(saved) {
+    const parsed = parseQuery(saved.query);
+    const sites = resolveSearchSites(saved.sites.join(','), parsed);
+    const options = {
+        limit: RESULTS_PER_SOURCE,
+        page: 1,
+        options: parseSearchOptions(saved.params),
+        licenseFilter: parseLicenseFilter(saved.params),
+        // A cached answer may predate whatever was posted since the last run
+        fresh: true
+    };
+
+    const outcomes = await Promise.all(sites.map(site => searchSource(site, parsed, options)));
+    const now = new Date().toISOString();
+    const found = [];
+    // A snapshot or cached answer in place of the source's is as good as no answer
+    const failed = outcomes.filter(outcome => outcome.meta.error || outcome.meta.status === STATUS.FALLBACK);
+
+    outcomes.filter(outcome => !failed.includes(outcome)).forEach(outcome => {
+        // Until a source has answered once, everything it returns is the baseline -
+        // also for sources enabled after the search was saved
+        const seeding = !saved.seeded.includes(outcome.site);
+        if (seeding) saved.seeded.push(outcome.site);
+        outcome.results.forEach(model => {
+            if (!model.url || saved.seen[model.url]) return;
+            saved.seen[model.url] = now;
+            if (!seeding) found.push({ ...model, site: outcome.site, foundAt: now });
+        });
+    });
+
+    saved.lastRunAt = now;
+    saved.lastError = failed.length > 0
+        ? failed.map(outcome => `${outcome.site}: ${outcome.meta.error || outcome.meta.fallbackReason}`).join('; ')
+        : null;
+    saved.newResults = [...found, ...saved.newResults].slice(0, MAX_NEW_RESULTS);
+
+    // Forget the oldest URLs first; insertion order is first-seen order
+    const seenUrls = Object.keys(saved.seen);
+    if (seenUrls.length > MAX_SEEN) {
+        seenUrls.slice(0, seenUrls.length - MAX_SEEN).forEach(url => { delete saved.seen[url]; });
+    }
+
+    writer.schedule();
+    console.log(`Saved search "${saved.name}": ${found.length} new results`);
+    return { found: found.length };
+}
+
+function runSavedSearch(saved) {
+    if (!running.has(saved.id)) {
+        const run = executeSavedSearch(saved).finally(() => running.delete(saved.id));
+        running.set(saved.id, run);
+    }
+    return running.get(saved.id);
+}
+
+// One at a time, so a long list doesn't hit every source at once
+async function runAllSavedSearches() {
+    for (const saved of [...savedSearches.values()]) {
+        if (!savedSearches.has(saved.id)) continue;
+        try {
+            await runSavedSearch(saved);
+        } catch (error) {
+            console.error(`Saved search "${saved.name}" failed:`, error.message);
+        }
+    }
+}
+
+let timer = null;
+
+function startSavedSearchRunner(intervalMs = SAVED_SEARCH_INTERVAL_MS) {
+    if (timer) return;
+    timer = setInterval(runAllSavedSearches, intervalMs);
+    timer.unref();
+    console.log(`Saved searches re-run every ${Math.round(intervalMs / 60000)} min`);
+}
+
+function stopSavedSearchRunner() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    SavedSearchError,
+    createSavedSearch,
+    getSavedSearch,
+    deleteSavedSearch,
+    describeSavedSearch,
+    listSavedSearches,
+    getNewResults,
+    markRead,
+    runSavedSearch,
+    runAllSavedSearches,
+    startSavedSearchRunner,
+    stopSavedSearchRunner
+};
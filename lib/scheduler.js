@@ -0,0 +1,235 @@
+const { Response, AbortError } = require('node-fetch');
+
+// ==================== REQUEST SCHEDULER ====================
+// Every upstream request waits its turn per host: at most `concurrency` at
+// once, started no faster than a token bucket of `ratePerSecond` (holding up
+// to `burst` tokens) allows. A 429/503 with Retry-After pauses the whole host
+// until then. Idempotent requests (GET/HEAD, or marked `idempotent`) are
+// retried with jittered exponential backoff on 429, 502-504 and dropped
+// connections, and identical ones already in flight share a single call.
+//
+// `timeoutMs` is the budget for the whole call - queueing, attempts and the
+// waits between them. Responses are read in full before the host's slot is
+// released, so callers get a buffered copy they can read however they like.
+
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+// A paused host stays paused at most this long, whatever it asks for
+const MAX_PAUSE_MS = 10 * 60 * 1000;
+
+// Thrown instead of sending a request to a host that asked us to wait past the caller's deadline
+class HostPausedError extends Error {
+    constructor(host, retryAt) {
+        super(`${host} asked for no requests until ${new Date(retryAt).toISOString()}`);
+        this.name = 'HostPausedError';
+        this.code = 'EHOSTPAUSED';
+        this.host = host;
+        this.retryAt = retryAt;
+    }
+}
+
+// Retry-After is either seconds or an HTTP date; null when absent or unreadable
+function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Bot challenges answer 503 too; asking again only earns another one
+function isChallenge(response) {
+    const server = (response.headers.get('server') || '').toLowerCase();
+    return response.status === 503 && (server.includes('cloudflare') || response.headers.has('cf-ray'));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createScheduler({
+    concurrency = 2,
+    ratePerSecond = 2,
+    burst = 5,
+    retries = 2,
+    retryBaseMs = 500,
+    maxRetryWaitMs = 10000
+} = {}) {
+    const defaults = { concurrency, ratePerSecond, burst };
+    const hosts = new Map();
+    const inFlight = new Map();
+
+    function getHost(host, limits) {
+        if (!hosts.has(host)) {
+            hosts.set(host, { active: 0, queue: [], tokens: null, refilledAt: Date.now(), pausedUntil: 0, timer: null, limits: defaults });
+        }
+        const state = hosts.get(host);
+        // The latest caller's limits apply; sources only ever pass their own
+        if (limits) state.limits = { ...defaults, ...limits };
+        if (state.tokens === null) state.tokens = state.limits.burst;
+        return state;
+    }
+
+    function refill(state) {
+        const now = Date.now();
+        const { ratePerSecond: rate, burst: capacity } = state.limits;
+        state.tokens = rate > 0 ? Math.min(capacity, state.tokens + (now - state.refilledAt) / 1000 * rate) : capacity;
+        state.refilledAt = now;
+    }
+
+    // Hand out free slots to the queue in order, or come back when the next one can start
+    function pump(state) {
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        while (state.queue.length > 0 && state.active < state.limits.concurrency) {
+            refill(state);
+            const { ratePerSecond: rate } = state.limits;
+            const wait = Math.max(
+                state.pausedUntil - Date.now(),
+                rate > 0 && state.tokens < 1 ? (1 - state.tokens) / rate * 1000 : 0
+            );
+            if (wait > 0) {
+                state.timer = setTimeout(() => pump(state), Math.ceil(wait));
+                return;
+            }
+            const waiter = state.queue.shift();
+            if (rate > 0) state.tokens -= 1;
+            state.active++;
+            waiter.start();
+        }
+    }
+
+    // Resolves with a release function once the host lets this request go
+    function acquire(host, limits, deadline) {
+        const state = getHost(host, limits);
+        if (state.pausedUntil > deadline) {
+            return Promise.reject(new HostPausedError(host, state.pausedUntil));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                start: () => {
+                    clearTimeout(giveUp);
+                    let released = false;
+                    resolve(() => {
+                        if (released) return;
+                        released = true;
+                        state.active--;
+                        pump(state);
+                    });
+                }
+            };
+            const giveUp = setTimeout(() => {
+                state.queue.splice(state.queue.indexOf(waiter), 1);
+                reject(new AbortError(`Timed out waiting for a turn at ${host}`));
+            }, Math.max(deadline - Date.now(), 0));
+            state.queue.push(waiter);
+            pump(state);
+        });
+    }
+
+    function pause(host, ms) {
+        const state = getHost(host);
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + Math.min(ms, MAX_PAUSE_MS));
+    }
+
+    // One attempt: wait for the host, send, read the body, release
+    async function attempt(host, limits, deadline, send) {
+        const release = await acquire(host, limits, deadline);
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), Math.max(deadline - Date.now(), 0));
+        try {
+            const response = await send(controller.signal);
+            const body = await response.buffer();
+            return {
+                body,
+                init: { url: response.url, status: response.status, statusText: response.statusText, headers: response.headers }
+            };
+        } finally {
+            clearTimeout(timeout);
+            release();
+        }
+    }
+
+    async function run(url, { idempotent, timeoutMs, limits }, send) {
+        const { host } = new URL(url);
+        const deadline = Date.now() + timeoutMs;
+        const maxAttempts = idempotent ? retries + 1 : 1;
+
+        for (let attemptNo = 1; ; attemptNo++) {
+            let answer;
+            let error;
+            try {
+                answer = await attempt(host, limits, deadline, send);
+            } catch (e) {
+                error = e;
+            }
+
+            // Pause the host whether or not this request is retried
+            const response = answer && new Response(null, answer.init);
+            const retryAfter = response && RETRY_STATUSES.has(response.status) ? parseRetryAfter(response.headers.get('retry-after')) : null;
+            if (retryAfter !== null) pause(host, retryAfter);
+
+            const retryable = error
+                ? RETRY_ERROR_CODES.has(error.code)
+                : RETRY_STATUSES.has(response.status) && (retryAfter !== null || !isChallenge(response));
+            const backoff = retryBaseMs * 2 ** (attemptNo - 1) * (0.5 + Math.random() / 2);
+            const wait = retryAfter ?? backoff;
+            if (!retryable || attemptNo >= maxAttempts || wait > maxRetryWaitMs || Date.now() + wait >= deadline) {
+                if (error) throw error;
+                return answer;
+            }
+            if (retryAfter === null && response?.status === 429) pause(host, wait);
+            console.log(`Retrying ${url} in ${Math.round(wait)}ms (${error ? error.code : `HTTP ${response.status}`})`);
+            await sleep(wait);
+        }
+    }
+
+    // Send through the scheduler; `send(signal)` makes the actual request
+    async function schedule(url, { method = 'GET', body, idempotent, timeoutMs = 20000, limits } = {}, send) {
+        const canShare = idempotent ?? ['GET', 'HEAD'].includes(method.toUpperCase());
+        const key = canShare ? `${method.toUpperCase()} ${url} ${body || ''}` : null;
+
+        let call = key && inFlight.get(key);
+        if (!call) {
+            call = run(url, { idempotent: canShare, timeoutMs, limits }, send);
+            if (key) {
+                inFlight.set(key, call);
+                call.then(() => inFlight.delete(key), () => inFlight.delete(key));
+            }
+        }
+
+        const { body: buffer, init } = await call;
+        return new Response(buffer, init);
+    }
+
+    // Just a turn at the host, for callers that read the response themselves (the image proxy)
+    async function withHost(url, { timeoutMs = 20000, limits } = {}, fn) {
+        const { host } = new URL(url);
+        const release = await acquire(host, limits, Date.now() + timeoutMs);
+        try {
+            const response = await fn();
+            const retryAfter = RETRY_STATUSES.has(response.status) ? parseRetryAfter(response.headers.get('retry-after')) : null;
+            if (retryAfter !== null) pause(host, retryAfter);
+            return response;
+        } finally {
+            release();
+        }
+    }
+
+    function getStats() {
+        const now = Date.now();
+        return Object.fromEntries([...hosts].map(([host, state]) => [host, {
+            active: state.active,
+            queued: state.queue.length,
+            pausedUntil: state.pausedUntil > now ? new Date(state.pausedUntil).toISOString() : null,
+            limits: state.limits
+        }]));
+    }
+
+    return { schedule, withHost, getStats };
+}
+
+module.exports = {
+    HostPausedError,
+    parseRetryAfter,
+    createScheduler
+};
@@ -0,0 +1,67 @@
+const sources = require('./sources');
+const { runSource } = require('./sources/runner');
+const { splitSearchOptions, applySearchOptions } = require('./sources/options');
+const { filterByLicense } = require('./license');
+const { STATUS } = require('./sources/status');
+const { parseQuery, restrictSites, buildUpstreamQuery, applyQueryFilter } = require('./query');
+const { searchIndex } = require('./local-index');
+
+// Drop results whose license fails ?license=/commercial=, noting what went in the source's meta
+function applyLicenseFilter(outcome, filter) {
+    if (!filter) return outcome;
+    const { results, removed, unknownRemoved } = filterByLicense(outcome.results, filter);
+    return { ...outcome, results, meta: { ...outcome.meta, licenseFilter: { removed, unknownRemoved } } };
+}
+
+// The sources a search goes to: the `sites` parameter narrowed by site: / -site: in the query
+function resolveSearchSites(siteParam, parsed) {
+    return restrictSites(sources.resolveSites(siteParam, 'search'), parsed);
+}
+
+// Search one source with the unified sort/filter options and query operators (see ./query):
+// the adapter gets the ones it supports natively, the rest are applied to its results, and
+// the meta says which was which. `q` is the raw query or what parseQuery made of it
+async function searchSource(site, q, { limit, page, options, licenseFilter, fresh }) {
+    const adapter = sources.getSource(site);
+    const parsed = typeof q === 'string' ? parseQuery(q) : q;
+    const upstream = buildUpstreamQuery(adapter, parsed);
+    const split = splitSearchOptions(adapter, options);
+    const outcome = await runSource(site, 'search', [upstream.query, { limit, page, ...split.native }], { fresh });
+    return applyLicenseFilter(applySearchOptions(applyQueryFilter(outcome, parsed, upstream), split), licenseFilter);
+}
+
+// The index handles no option natively: every sort and filter is applied to its matches
+const LOCAL_CAPABILITIES = { capabilities: { sorting: [], filters: [] } };
+
+// mode=local: the same search over the models seen before (see ./local-index) instead of
+// the source. All matches are filtered and sorted before the page is cut out of them
+function searchLocal(site, q, { limit, page, options, licenseFilter }) {
+    const started = Date.now();
+    const parsed = typeof q === 'string' ? parseQuery(q) : q;
+    const matches = searchIndex(parsed.text, { site });
+    const outcome = { site, results: matches, meta: { status: STATUS.OK, latencyMs: 0 } };
+    const filtered = applyLicenseFilter(
+        applySearchOptions(applyQueryFilter(outcome, parsed, { query: parsed.text, native: [] }), splitSearchOptions(LOCAL_CAPABILITIES, options)),
+        licenseFilter
+    );
+
+    const results = filtered.results.slice((page - 1) * limit, page * limit);
+    return {
+        site,
+        results,
+        meta: {
+            ...filtered.meta,
+            status: results.length > 0 ? STATUS.OK : STATUS.EMPTY,
+            count: results.length,
+            latencyMs: Date.now() - started,
+            local: { total: filtered.results.length, hasMore: page * limit < filtered.results.length }
+        }
+    };
+}
+
+module.exports = {
+    applyLicenseFilter,
+    resolveSearchSites,
+    searchSource,
+    searchLocal
+};
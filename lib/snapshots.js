@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { dataPath, readJsonFile, createDebouncedWriter } = require('./storage');
+const { cacheKey } = require('./cache');
+const sources = require('./sources');
+const { validateRecord } = require('./sources/quality');
+const BUNDLED_SEEDS = require('./sources/seed-snapshots.json');
+
+// ==================== FALLBACK SNAPSHOTS ====================
+// Every genuine popular/search answer is kept as a snapshot in
+// DATA_DIR/snapshots.json, newest first, and the runner serves the latest one
+// when a source fails or has no live data to offer (see ./sources/runner):
+//
+//   { id, site, kind, key, query, origin, capturedAt, results }
+//
+// `key` identifies the call: one per search (query, page, limit, options) and a
+// single one for a source's popular list, whatever its limit. The last
+// SNAPSHOT_VERSIONS versions of each call are kept, and at most MAX_KEYS_PER_SITE
+// calls per source. An answer identical to the latest version only moves its
+// capture date. `origin` is 'live' for recorded answers and 'seed' for data put
+// in by hand (POST /api/admin/snapshots/seed, npm run snapshots).
+//
+// A popular list without a popular snapshot is assembled from the source's
+// search snapshots, most downloaded first; before there is any, the curated
+// lists in ./sources/seed-snapshots.json stand in.
+
+const MAX_VERSIONS = parseInt(process.env.SNAPSHOT_VERSIONS) || 3;
+const MAX_KEYS_PER_SITE = 50;
+const POPULAR_LIMIT = 20;
+
+class SnapshotError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SnapshotError';
+        this.status = status;
+    }
+}
+
+const file = dataPath('snapshots.json');
+let snapshots = readJsonFile(file, []);
+const writer = createDebouncedWriter(file, () => snapshots);
+
+function snapshotKey(site, kind, args) {
+    return kind === 'popular' ? `${site}:popular` : cacheKey(site, kind, args);
+}
+
+const sameResults = (a, b) => a.length === b.length && a.every((record, i) => record.url === b[i].url);
+
+// Keep MAX_VERSIONS per call and MAX_KEYS_PER_SITE calls per source, dropping the oldest
+function trim(site) {
+    const versions = new Map();
+    snapshots = snapshots.filter(snapshot => {
+        if (snapshot.site !== site) return true;
+        const count = versions.get(snapshot.key) || 0;
+        if (count === 0 && versions.size >= MAX_KEYS_PER_SITE) return false;
+        versions.set(snapshot.key, count + 1);
+        return count < MAX_VERSIONS;
+    });
+}
+
+function addSnapshot(site, kind, args, results, origin, now) {
+    const key = snapshotKey(site, kind, args);
+    const latest = snapshots.find(snapshot => snapshot.key === key);
+    let snapshot;
+
+    if (latest && latest.origin === origin && sameResults(latest.results, results)) {
+        snapshots.splice(snapshots.indexOf(latest), 1);
+        snapshot = { ...latest, capturedAt: new Date(now).toISOString() };
+    } else {
+        snapshot = {
+            id: crypto.randomBytes(6).toString('hex'),
+            site,
+            kind,
+            key,
+            query: kind === 'search' ? args[0] : null,
+            origin,
+            capturedAt: new Date(now).toISOString(),
+            results
+        };
+    }
+    snapshots.unshift(snapshot);
+    trim(site);
+    writer.schedule();
+    return snapshot;
+}
+
+// Called by the runner with each genuine answer; empty answers are nothing to fall back on
+function recordSnapshot(site, kind, args, results, now = Date.now()) {
+    if (results.length === 0) return null;
+    return addSnapshot(site, kind, args, results, 'live', now);
+}
+
+// Schema problems that would put a broken or foreign link in front of users
+const SEED_ISSUES = ['title', 'id', 'url', 'url_host', 'thumbnail', 'thumbnail_host'];
+
+// A hand-made record as a search would give it: links must be http(s) on the source's own hosts
+function readSeedRecord(adapter, record, index) {
+    if (!record || typeof record !== 'object') {
+        throw new SnapshotError(400, `results[${index}] needs a title and a url`);
+    }
+    const seeded = {
+        ...record,
+        creator: typeof record.creator === 'string' && record.creator ? record.creator : 'Unknown',
+        thumbnail: record.thumbnail ?? '',
+        likes: Number.isFinite(record.likes) && record.likes >= 0 ? record.likes : 0,
+        downloads: Number.isFinite(record.downloads) && record.downloads >= 0 ? record.downloads : 0,
+        source: adapter.id
+    };
+    const issues = validateRecord(seeded, adapter).filter(issue => SEED_ISSUES.includes(issue));
+    if (typeof seeded.title !== 'string' || !seeded.title.trim() || issues.includes('url')) {
+        throw new SnapshotError(400, `results[${index}] needs a title and a url`);
+    }
+    if (issues.length > 0) {
+        throw new SnapshotError(400, `results[${index}] has an invalid ${issues.join(', ')} - links must be http(s) on ${adapter.name}'s own hosts`);
+    }
+    return seeded;
+}
+
+// Put a popular list in by hand: the given records, or the bundled curated ones
+function seedSnapshot(site, results = BUNDLED_SEEDS[site], now = Date.now()) {
+    if (!Array.isArray(results) || results.length === 0) {
+        throw new SnapshotError(400, `No seed data for "${site}"; send a "results" array`);
+    }
+    const adapter = sources.getSource(site);
+    if (!adapter) {
+        throw new SnapshotError(400, `Unknown source: "${site}"`);
+    }
+    return addSnapshot(site, 'popular', [], results.map((record, i) => readSeedRecord(adapter, record, i)), 'seed', now);
+}
+
+function describeSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        site: snapshot.site,
+        kind: snapshot.kind,
+        query: snapshot.query,
+        origin: snapshot.origin,
+        capturedAt: snapshot.capturedAt
+    };
+}
+
+// A popular list pieced together from the latest version of each search snapshot
+function poolSearches(site) {
+    const seen = new Set();
+    const keys = new Set();
+    const results = [];
+    let capturedAt = null;
+
+    snapshots.forEach(snapshot => {
+        if (snapshot.site !== site || snapshot.kind !== 'search' || keys.has(snapshot.key)) return;
+        keys.add(snapshot.key);
+        capturedAt = capturedAt || snapshot.capturedAt;
+        snapshot.results.forEach(record => {
+            if (seen.has(record.url)) return;
+            seen.add(record.url);
+            results.push(record);
+        });
+    });
+    if (results.length === 0) return null;
+
+    results.sort((a, b) => (b.downloads || 0) - (a.downloads || 0) || (b.likes || 0) - (a.likes || 0));
+    return { site, kind: 'search', query: null, origin: 'searches', capturedAt, results: results.slice(0, POPULAR_LIMIT) };
+}
+
+// What to serve instead of a live answer: { results, snapshot } or null when there's nothing
+function findFallback(site, kind, args) {
+    let snapshot = snapshots.find(entry => entry.key === snapshotKey(site, kind, args));
+    if (!snapshot && kind === 'popular') {
+        snapshot = poolSearches(site);
+        if (!snapshot && BUNDLED_SEEDS[site]) {
+            snapshot = { site, kind, query: null, origin: 'bundled', capturedAt: null, results: BUNDLED_SEEDS[site] };
+        }
+    }
+    if (!snapshot) return null;
+
+    const limit = kind === 'popular' ? args[0]?.limit : undefined;
+    return { results: snapshot.results.slice(0, limit), snapshot: describeSnapshot(snapshot) };
+}
+
+// A stored snapshot without its records
+function summarizeSnapshot(snapshot) {
+    return { ...describeSnapshot(snapshot), count: snapshot.results.length };
+}
+
+// Newest first, without their records
+function listSnapshots({ site, kind } = {}) {
+    return snapshots
+        .filter(snapshot => (!site || snapshot.site === site) && (!kind || snapshot.kind === kind))
+        .map(summarizeSnapshot);
+}
+
+function getSnapshot(id) {
+    const snapshot = snapshots.find(entry => entry.id === id);
+    if (!snapshot) throw new SnapshotError(404, 'Snapshot not found');
+    return snapshot;
+}
+
+// Drop snapshots by id, source, age or beyond the newest `keep` versions of each call; returns how many went
+function pruneSnapshots({ id, site, olderThanMs, keep } = {}, now = Date.now()) {
+    if (keep !== undefined && !(Number.isInteger(keep) && keep >= 0)) {
+        throw new SnapshotError(400, 'keep must be a whole number');
+    }
+    if (olderThanMs !== undefined && !(olderThanMs >= 0)) {
+        throw new SnapshotError(400, 'olderThanDays must be a positive number');
+    }
+
+    const before = snapshots.length;
+    const versions = new Map();
+    snapshots = snapshots.filter(snapshot => {
+        if (id && snapshot.id !== id) return true;
+        if (site && snapshot.site !== site) return true;
+        const count = (versions.get(snapshot.key) || 0) + 1;
+        versions.set(snapshot.key, count);
+        if (keep === undefined && olderThanMs === undefined) return false;
+        const surplus = keep !== undefined && count > keep;
+        const expired = olderThanMs !== undefined && now - Date.parse(snapshot.capturedAt) > olderThanMs;
+        return !surplus && !expired;
+    });
+    if (snapshots.length !== before) writer.schedule();
+    return before - snapshots.length;
+}
+
+function clearSnapshots() {
+    snapshots = [];
+}
+
+module.exports = {
+    SnapshotError,
+    recordSnapshot,
+    seedSnapshot,
+    findFallback,
+    summarizeSnapshot,
+    listSnapshots,
+    getSnapshot,
+    pruneSnapshots,
+    clearSnapshots
+};
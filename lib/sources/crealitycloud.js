@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson } = require('./status');
+const { normalizeDetail, htmlToText, toIsoDate } = require('./detail');
+
+// Search body values behind the web app's sort menu and price/profile toggles (0 = any)
+const SORT_TYPES = { relevance: 11, newest: 2, downloads: 3, likes: 4 };
+const PAY_TYPES = { free: 1, paid: 2 };
+
+// The Creality Cloud web app sends these on every API call; requests without them are rejected
+const getCrealityHeaders = () => ({
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/plain, */*',
+    '__cxy_app_ch_': 'Chrome 144.0.0.0',
+    '__cxy_app_id_': 'creality_model',
+    '__cxy_app_ver_': '6.0.0',
+    '__cxy_brand_': 'creality',
+    '__cxy_duid_': 'uuid-' + crypto.randomUUID(),
+    '__cxy_jwtoken_': '',
+    '__cxy_os_lang_': '0',
+    '__cxy_os_ver_': 'Linux x86_64',
+    '__cxy_platform_': '2',
+    '__cxy_requestid_': crypto.randomUUID(),
+    '__cxy_timezone_': '-18000',
+    '__cxy_token_': '',
+    '__cxy_uid_': '',
+    '_x_cxy_ehrtoken_': '',
+    'Origin': 'https://www.crealitycloud.com',
+    'Referer': 'https://www.crealitycloud.com/'
+});
+
+// The API answers HTTP 200 with a non-zero `code` on errors
+async function readResult(response, label) {
+    assertOk(response, label);
+    const data = await readJson(response, label);
+
+    if (data.code !== 0) {
+        throw new SourceError(STATUS.HTTP_ERROR, `${label} returned code ${data.code}${data.msg ? `: ${data.msg}` : ''}`);
+    }
+    return data.result;
+}
+
+async function readModelList(response, label) {
+    const result = await readResult(response, label);
+    if (!Array.isArray(result?.list)) {
+        throw new SourceError(STATUS.PARSE_ERROR, `${label} returned no result list`);
+    }
+    return result.list.map(mapModel);
+}
+
+function mapModel(item) {
+    return {
+        id: String(item.id),
+        title: item.groupName || 'Untitled',
+        creator: item.userInfo?.nickName || 'Unknown',
+        thumbnail: item.covers?.[0]?.url || '',
+        url: `https://www.crealitycloud.com/model-detail/${item.id}`,
+        likes: item.likeCount || 0,
+        downloads: item.downloadCount || 0,
+        license: item.license?.name || item.licenseName,
+        free: item.isPay === undefined ? undefined : !item.isPay,
+        hasPrintProfile: item.hasCfgFile === undefined ? undefined : Boolean(item.hasCfgFile),
+        fileCount: item.modelCount,
+        category: item.categoryName,
+        publishedAt: toIsoDate(item.createTime),
+        source: 'crealitycloud'
+    };
+}
+
+async function searchCrealityCloud(query, { limit = 10, page = 1, sort = 'relevance', price, printProfile } = {}) {
+    const response = await safeFetch('https://www.crealitycloud.com/api/cxy/search/model', {
+        method: 'POST',
+        idempotent: true,
+        headers: getCrealityHeaders(),
+        body: JSON.stringify({
+            page: page,
+            pageSize: limit,
+            sortType: SORT_TYPES[sort],
+            isPay: PAY_TYPES[price] || 0,
+            hasCfgFile: printProfile ? 1 : 0,
+            isVip: 0,
+            isExclusive: 0,
+            multiMarkType: 0,
+            hasPromo: 0,
+            promoType: 0,
+            keyword: query
+        })
+    });
+
+    return readModelList(response, 'Creality Cloud search API');
+}
+
+async function fetchPopularCrealityCloud({ limit = 10 } = {}) {
+    const response = await safeFetch('https://www.crealitycloud.com/api/cxy/v3/model/listTrend', {
+        method: 'POST',
+        idempotent: true,
+        headers: getCrealityHeaders(),
+        body: JSON.stringify({
+            page: 1,
+            pageSize: limit,
+            trendType: 3,
+            filterType: 10,
+            isPay: 0,
+            isExclusive: 0,
+            promoType: 0,
+            isVip: 0,
+            multiMark: 0,
+            hasCfgFile: 0,
+            hasCubeMeModel: 1
+        })
+    });
+
+    return readModelList(response, 'Creality Cloud trending API');
+}
+
+async function fetchCrealityCloudDetail(id) {
+    const response = await safeFetch('https://www.crealitycloud.com/api/cxy/v3/model/modelGroupDetail', {
+        method: 'POST',
+        idempotent: true,
+        headers: getCrealityHeaders(),
+        body: JSON.stringify({ id: String(id) })
+    });
+
+    const result = await readResult(response, 'Creality Cloud model API');
+    const item = result?.groupItem || result;
+    if (!item?.id) {
+        throw new SourceError(STATUS.HTTP_ERROR, `Creality Cloud has no model ${id}`, { httpStatus: 404 });
+    }
+
+    return normalizeDetail({
+        ...mapModel(item),
+        description: htmlToText(item.groupDesc || item.desc),
+        images: (item.covers || []).map(cover => cover.url),
+        files: (result.modelList || item.modelList || []).map(file => ({
+            name: file.fileName || file.name,
+            size: file.fileSize || file.size
+        })),
+        tags: (item.tags || []).map(tag => tag.name || tag),
+        category: item.categoryName || item.category?.name,
+        remixOf: item.remixSource && { title: item.remixSource.groupName, url: `https://www.crealitycloud.com/model-detail/${item.remixSource.id}` }
+    });
+}
+
+module.exports = {
+    id: 'crealitycloud',
+    name: 'Creality Cloud',
+    color: '#00b4d8',
+    capabilities: { search: true, popular: true, detail: true, pagination: true, sorting: Object.keys(SORT_TYPES), filters: ['price', 'printProfile'] },
+    config: [],
+    searchUrl: 'https://www.crealitycloud.com/search/{query}',
+    browseUrl: 'https://www.crealitycloud.com/search',
+    imageHosts: ['cdn.creality.com', 'pic2-cdn.creality.com'],
+    proxyImages: true,
+    referer: 'https://www.crealitycloud.com/',
+    search: searchCrealityCloud,
+    popular: fetchPopularCrealityCloud,
+    detail: fetchCrealityCloudDetail
+};
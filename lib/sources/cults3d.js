@@ -0,0 +1,142 @@
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson } = require('./status');
+const { toIsoDate } = require('./detail');
+
+const GRAPHQL_URL = 'https://cults3d.com/graphql';
+
+// The API authenticates every call with the account's nick and API key (HTTP Basic)
+const getCredentials = () => ({
+    username: process.env.CULTS3D_USERNAME || '',
+    apiKey: process.env.CULTS3D_API_KEY || ''
+});
+
+// Unified sort -> creationsSearchBatch `sort` (null keeps the relevance order)
+const SORTS = { relevance: null, newest: 'BY_PUBLICATION', downloads: 'BY_DOWNLOADS', likes: 'BY_LIKES' };
+
+// Shared by search and popular - both select these fields of a Creation
+const CREATION_FIELDS = `
+    identifier
+    name(locale: EN)
+    url(locale: EN)
+    illustrationImageUrl
+    likesCount
+    downloadsCount
+    publishedAt
+    creator {
+        nick
+    }
+    license {
+        name(locale: EN)
+    }
+    category {
+        name(locale: EN)
+    }
+    price(currency: EUR) {
+        cents
+    }
+`;
+
+function mapCreation(item) {
+    const cents = item.price?.cents;
+    return {
+        id: String(item.identifier),
+        title: item.name || 'Untitled',
+        creator: item.creator?.nick || 'Unknown',
+        thumbnail: item.illustrationImageUrl || '',
+        url: item.url,
+        likes: item.likesCount || 0,
+        downloads: item.downloadsCount || 0,
+        license: item.license?.name,
+        free: typeof cents === 'number' ? cents === 0 : undefined,
+        price: typeof cents === 'number' ? { amount: cents / 100, currency: 'EUR' } : undefined,
+        category: item.category?.name,
+        publishedAt: toIsoDate(item.publishedAt),
+        source: 'cults3d'
+    };
+}
+
+// POST a GraphQL query and return the `field` it selects, throwing on any failure
+async function queryGraphql(body, field) {
+    const { username, apiKey } = getCredentials();
+    if (!username || !apiKey) {
+        throw new SourceError(STATUS.HTTP_ERROR, 'Cults3D is not configured: set CULTS3D_USERNAME and CULTS3D_API_KEY', { httpStatus: 401 });
+    }
+
+    const response = await safeFetch(GRAPHQL_URL, {
+        method: 'POST',
+        // Queries only read, so they may be retried and shared
+        idempotent: true,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': `Basic ${Buffer.from(`${username}:${apiKey}`).toString('base64')}`
+        },
+        body: JSON.stringify(body)
+    });
+    assertOk(response, 'Cults3D API');
+
+    const data = await readJson(response, 'Cults3D API');
+    const result = data?.data?.[field];
+    if (!Array.isArray(result?.results)) {
+        const reason = data?.errors?.[0]?.message || `missing ${field}.results`;
+        throw new SourceError(STATUS.PARSE_ERROR, `Cults3D GraphQL error: ${reason}`);
+    }
+    return result.results;
+}
+
+async function searchCults3d(query, { limit = 10, page = 1, sort = 'relevance' } = {}) {
+    const results = await queryGraphql({
+        query: `
+            query SearchCreations($query: String!, $limit: Int, $offset: Int, $sort: CreationSearchSort) {
+                creationsSearchBatch(query: $query, limit: $limit, offset: $offset, sort: $sort) {
+                    total
+                    results {
+                        ${CREATION_FIELDS}
+                    }
+                }
+            }
+        `,
+        variables: {
+            query,
+            limit,
+            offset: (page - 1) * limit,
+            sort: SORTS[sort]
+        }
+    }, 'creationsSearchBatch');
+
+    return results.map(mapCreation);
+}
+
+async function fetchPopularCults3d({ limit = 10 } = {}) {
+    const results = await queryGraphql({
+        query: `
+            query PopularCreations($limit: Int) {
+                creationsBatch(limit: $limit, sort: BY_DOWNLOADS, direction: DESC) {
+                    results {
+                        ${CREATION_FIELDS}
+                    }
+                }
+            }
+        `,
+        variables: { limit }
+    }, 'creationsBatch');
+
+    return results.map(mapCreation);
+}
+
+module.exports = {
+    id: 'cults3d',
+    name: 'Cults3D',
+    color: '#ff5757',
+    capabilities: { search: true, popular: true, pagination: true, sorting: Object.keys(SORTS), filters: [] },
+    config: [
+        { env: 'CULTS3D_USERNAME', required: true, description: 'Cults3D account nick the API key belongs to' },
+        { env: 'CULTS3D_API_KEY', required: true, description: 'Cults3D API key (https://cults3d.com/en/api/keys)' }
+    ],
+    searchUrl: 'https://cults3d.com/en/search?q={query}',
+    browseUrl: 'https://cults3d.com/en/3d-printing/popular',
+    imageHosts: ['images.cults3d.com', 'files.cults3d.com'],
+    proxyImages: false,
+    search: searchCults3d,
+    popular: fetchPopularCults3d
+};
@@ -0,0 +1,108 @@
+const cheerio = require('cheerio');
+const { normalizeLicense } = require('../license');
+
+// ==================== MODEL DETAIL ====================
+// Adapters with a detail(id) method resolve to one record in this shape, served
+// by /api/model/:source/:id:
+//
+//   id, source, title, creator, url, thumbnail, likes, downloads
+//   description  - plain text, paragraphs separated by blank lines
+//   images       - [url] with the cover first
+//   files        - [{ name, size (bytes or null), format, url (or null) }]
+//   license      - normalized { id, label, commercial, name } (see ../license)
+//   tags         - [string]
+//   category     - string or null
+//   publishedAt  - ISO date string or null
+//   remixOf      - { title, url } of the design this remixes, or null
+//
+// Every URL is absolute http(s); anything else upstream sends is dropped.
+
+// Links from upstream are kept only when they are absolute http(s) URLs (no javascript: or data:)
+function httpUrl(value) {
+    return typeof value === 'string' && /^https?:\/\//i.test(value) ? value : null;
+}
+
+function normalizeDetail(record) {
+    const images = [...new Set((record.images || []).filter(httpUrl))];
+    return {
+        id: String(record.id),
+        source: record.source,
+        title: record.title || 'Untitled',
+        creator: record.creator || 'Unknown',
+        url: httpUrl(record.url),
+        thumbnail: httpUrl(record.thumbnail) || images[0] || '',
+        likes: record.likes || 0,
+        downloads: record.downloads || 0,
+        description: record.description || '',
+        images,
+        files: (record.files || []).map(file => ({
+            name: file.name,
+            size: Number.isFinite(file.size) ? file.size : null,
+            format: file.format || fileFormat(file.name),
+            url: httpUrl(file.url)
+        })),
+        license: normalizeLicense(record.license),
+        tags: [...new Set((record.tags || []).map(tag => String(tag).trim()).filter(Boolean))],
+        category: record.category || null,
+        publishedAt: toIsoDate(record.publishedAt),
+        remixOf: httpUrl(record.remixOf?.url) ? { title: record.remixOf.title || record.remixOf.url, url: record.remixOf.url } : null
+    };
+}
+
+// "Benchy_v2.STL" -> "stl"
+function fileFormat(name) {
+    const match = (name || '').match(/\.([a-z0-9]+)$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// Accepts ISO strings, millisecond or second timestamps
+function toIsoDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Sites hand out descriptions as HTML; keep the paragraph breaks, drop the markup
+function htmlToText(html) {
+    if (!html) return '';
+    const $ = cheerio.load(`<div>${html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|li|h[1-6])>/gi, '\n\n')}</div>`);
+    return $('div').first().text().replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Details most model pages publish for link previews and search engines:
+// OpenGraph tags plus a schema.org JSON-LD block when there is one
+function readPageMetadata($) {
+    const meta = property => $(`meta[property="${property}"], meta[name="${property}"]`).attr('content') || '';
+    let linkedData = {};
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            const data = [].concat(JSON.parse($(el).html()));
+            const model = data.find(item => ['3DModel', 'Product', 'CreativeWork'].includes(item?.['@type']));
+            if (model) {
+                linkedData = model;
+                return false;
+            }
+        } catch (e) {
+            // Malformed block - OpenGraph tags still apply
+        }
+    });
+
+    return {
+        title: linkedData.name || meta('og:title'),
+        description: linkedData.description || meta('og:description') || meta('description'),
+        images: [].concat(linkedData.image || [], meta('og:image') || []).map(image => image.url || image),
+        creator: linkedData.author?.name || linkedData.creator?.name || '',
+        license: linkedData.license || '',
+        tags: typeof linkedData.keywords === 'string' ? linkedData.keywords.split(',') : linkedData.keywords || [],
+        publishedAt: linkedData.datePublished || meta('article:published_time')
+    };
+}
+
+module.exports = {
+    normalizeDetail,
+    fileFormat,
+    toIsoDate,
+    htmlToText,
+    readPageMetadata
+};
@@ -0,0 +1,151 @@
+const { STATUS } = require('./status');
+const { getQualityReport } = require('./quality');
+
+// ==================== SOURCE HEALTH & CIRCUIT BREAKER ====================
+// Rolling per-source stats over the last HEALTH_WINDOW calls. After
+// CIRCUIT_FAILURE_THRESHOLD consecutive failures the circuit opens and the
+// source is skipped for CIRCUIT_COOLDOWN_MS; then a single trial call is let
+// through (half-open) which either closes the circuit or re-opens it.
+
+const HEALTH_WINDOW = parseInt(process.env.HEALTH_WINDOW) || 50;
+const FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS) || 60 * 1000;
+
+const FAILURE_STATUSES = new Set([
+    STATUS.BLOCKED,
+    STATUS.TIMEOUT,
+    STATUS.NETWORK_ERROR,
+    STATUS.HTTP_ERROR,
+    STATUS.PARSE_ERROR
+]);
+
+const stats = new Map();
+
+function getStats(site) {
+    if (!stats.has(site)) {
+        stats.set(site, {
+            calls: [],
+            lastError: null,
+            lastSuccessAt: null,
+            consecutiveFailures: 0,
+            circuit: 'closed',
+            openedAt: null,
+            trialInFlight: false
+        });
+    }
+    return stats.get(site);
+}
+
+function isFailure(meta) {
+    return FAILURE_STATUSES.has(meta.status);
+}
+
+// Whether a call to the source should be made right now
+function canRequest(site) {
+    const entry = getStats(site);
+    if (entry.circuit === 'closed') return true;
+
+    if (entry.circuit === 'open' && Date.now() - entry.openedAt >= COOLDOWN_MS) {
+        entry.circuit = 'half_open';
+    }
+    if (entry.circuit === 'half_open' && !entry.trialInFlight) {
+        entry.trialInFlight = true;
+        return true;
+    }
+    return false;
+}
+
+function recordOutcome(site, meta) {
+    const entry = getStats(site);
+    const now = Date.now();
+
+    entry.calls.push({ at: now, status: meta.status, latencyMs: meta.latencyMs });
+    if (entry.calls.length > HEALTH_WINDOW) entry.calls.shift();
+    entry.trialInFlight = false;
+
+    if (isFailure(meta)) {
+        entry.consecutiveFailures++;
+        entry.lastError = { status: meta.status, message: meta.error, httpStatus: meta.httpStatus, at: new Date(now).toISOString() };
+
+        if (entry.circuit === 'half_open' || entry.consecutiveFailures >= FAILURE_THRESHOLD) {
+            if (entry.circuit !== 'open') console.warn(`Circuit opened for ${site} after ${entry.consecutiveFailures} failures`);
+            entry.circuit = 'open';
+            entry.openedAt = now;
+        }
+    } else {
+        if (entry.circuit !== 'closed') console.log(`Circuit closed for ${site}`);
+        entry.consecutiveFailures = 0;
+        entry.lastSuccessAt = new Date(now).toISOString();
+        entry.circuit = 'closed';
+        entry.openedAt = null;
+    }
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+// healthy / degraded / down / unknown for one source; a suspected scraper drift degrades it
+function classifySource(entry, successRate, quality) {
+    if (entry.calls.length === 0) return 'unknown';
+    if (entry.circuit !== 'closed') return 'down';
+    if (successRate < 0.8 || quality.drift.suspected) return 'degraded';
+    return 'healthy';
+}
+
+function getSourceHealth(site) {
+    const entry = getStats(site);
+    const calls = entry.calls;
+    const failures = calls.filter(call => FAILURE_STATUSES.has(call.status)).length;
+    const fallbacks = calls.filter(call => call.status === STATUS.FALLBACK).length;
+    const latencies = calls.map(call => call.latencyMs).sort((a, b) => a - b);
+    const successRate = calls.length ? (calls.length - failures) / calls.length : null;
+    const quality = getQualityReport(site);
+
+    return {
+        state: classifySource(entry, successRate, quality),
+        requests: calls.length,
+        successRate: successRate === null ? null : Math.round(successRate * 1000) / 1000,
+        fallbackRate: calls.length ? Math.round((fallbacks / calls.length) * 1000) / 1000 : null,
+        latencyMs: {
+            p50: percentile(latencies, 50),
+            p90: percentile(latencies, 90),
+            p99: percentile(latencies, 99)
+        },
+        lastSuccessAt: entry.lastSuccessAt,
+        lastError: entry.lastError,
+        circuit: {
+            state: entry.circuit,
+            consecutiveFailures: entry.consecutiveFailures,
+            openedAt: entry.openedAt ? new Date(entry.openedAt).toISOString() : null,
+            retryAt: entry.circuit === 'open' ? new Date(entry.openedAt + COOLDOWN_MS).toISOString() : null
+        },
+        quality
+    };
+}
+
+// Overall state: unhealthy when every source we have data for is down,
+// degraded when any of them is down or degraded
+function getHealthReport(sites) {
+    const sourceHealth = {};
+    sites.forEach(site => { sourceHealth[site] = getSourceHealth(site); });
+
+    const states = Object.values(sourceHealth).map(health => health.state).filter(state => state !== 'unknown');
+    let status = 'ok';
+    if (states.length > 0 && states.every(state => state === 'down')) {
+        status = 'unhealthy';
+    } else if (states.some(state => state === 'down' || state === 'degraded')) {
+        status = 'degraded';
+    }
+
+    return { status, sources: sourceHealth };
+}
+
+module.exports = {
+    canRequest,
+    recordOutcome,
+    getSourceHealth,
+    getHealthReport
+};
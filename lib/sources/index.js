@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { createScraperSource } = require('./scraper');
+
+// ==================== SOURCE REGISTRY ====================
+// Every route and the frontend are driven from this registry. A source adapter
+// is a plain object:
+//
+//   id, name, color      - key used in API responses, display name, UI accent
+//   capabilities         - { search, popular, detail, pagination, sorting: [], filters: [], query: [] }
+//                          sorting/filters list the search options (see ./options) it
+//                          handles natively, query the operators ('phrase', 'exclude' - see
+//                          ../query) its own search understands
+//   config               - [{ env, required, description }] settings it reads
+//   searchUrl            - browser search URL template, `{query}` is substituted
+//   browseUrl            - browser URL for the site's popular listing
+//   imageHosts           - CDN hosts its thumbnails are served from
+//   siteHosts            - optional, hosts its model pages live on (default: those of
+//                          searchUrl/browseUrl, used to validate result URLs - see ./quality)
+//   proxyImages          - its CDN refuses hotlinked images, so thumbnails need /api/image
+//   referer              - sent with /api/image requests to its CDN
+//   timeoutMs            - optional, time allowed per upstream request including queueing and
+//                          retries (HTTP_TIMEOUT_<ID> overrides it; see ../http)
+//   rateLimit            - optional, { concurrency, ratePerSecond, burst } for the hosts it
+//                          requests, instead of the HTTP_HOST_* defaults (see ../scheduler)
+//   popularRefreshMs     - optional, how often its popular feed is refetched instead of
+//                          POPULAR_REFRESH_MS (POPULAR_REFRESH_<ID> overrides it; see ../popular)
+//   search(query, { limit, page, ...options }) and popular({ limit }) - resolve to an array of
+//                          model records, fromFallback(records, reason) for substitute
+//                          data (the runner prefers a snapshot, see ../snapshots), or
+//                          fromPage(records, html) for records scraped from a page;
+//                          failures throw (see ./status) rather than returning []
+//   detail(id)           - optional, resolves to one normalized record (see ./detail) for the
+//                          `id` its search results carry
+
+const BUILT_IN_SOURCES = [
+    require('./thingiverse'),
+    require('./printables'),
+    require('./thangs'),
+    require('./youmagine'),
+    require('./myminifactory'),
+    require('./crealitycloud'),
+    require('./cults3d')
+];
+
+const sources = new Map();
+
+function registerSource(adapter) {
+    if (!adapter || typeof adapter.id !== 'string' || !/^[a-z0-9-]+$/.test(adapter.id)) {
+        throw new Error('Source adapter needs a lowercase "id"');
+    }
+    if (typeof adapter.search !== 'function' && typeof adapter.popular !== 'function') {
+        throw new Error(`Source "${adapter.id}" must implement search() or popular()`);
+    }
+
+    sources.set(adapter.id, {
+        name: adapter.id,
+        color: '#8888a0',
+        config: [],
+        imageHosts: [],
+        proxyImages: false,
+        ...adapter,
+        capabilities: {
+            search: typeof adapter.search === 'function',
+            popular: typeof adapter.popular === 'function',
+            detail: typeof adapter.detail === 'function',
+            pagination: false,
+            sorting: [],
+            filters: [],
+            query: [],
+            ...adapter.capabilities
+        }
+    });
+}
+
+// Private sources: every .js file in SOURCES_DIR exporting an adapter (or an array of them),
+// and every .json file holding a scraper definition (see ./scraper)
+function loadSourcesFromDir(dir) {
+    if (!dir || !fs.existsSync(dir)) return;
+
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js') || file.endsWith('.json'))
+        .sort()
+        .forEach(file => {
+            try {
+                const exported = file.endsWith('.json')
+                    ? createScraperSource(JSON.parse(fs.readFileSync(path.resolve(dir, file), 'utf8')))
+                    : require(path.resolve(dir, file));
+                [].concat(exported).forEach(registerSource);
+            } catch (error) {
+                console.error(`Failed to load source ${file}:`, error.message);
+            }
+        });
+}
+
+function getSource(id) {
+    return sources.get(id);
+}
+
+function listSources() {
+    return [...sources.values()];
+}
+
+// A source is usable unless one of its required settings is missing
+function isConfigured(adapter) {
+    return adapter.config.every(setting => !setting.required || Boolean(process.env[setting.env]));
+}
+
+function getEnabledSources(capability) {
+    return listSources().filter(adapter => adapter.capabilities[capability] && isConfigured(adapter));
+}
+
+// Resolve a comma-separated `sites` parameter (repeated ones are joined), ignoring unknown or unusable ids
+function resolveSites(siteParam, capability) {
+    const available = getEnabledSources(capability).map(adapter => adapter.id);
+    if (!siteParam) return available;
+    return [...new Set([].concat(siteParam)
+        .filter(value => typeof value === 'string')
+        .flatMap(value => value.split(','))
+        .map(site => site.trim()))]
+        .filter(site => available.includes(site));
+}
+
+function buildSearchUrl(adapter, query) {
+    return adapter.searchUrl ? adapter.searchUrl.replace('{query}', encodeURIComponent(query)) : null;
+}
+
+// Find the source whose CDN serves an image URL
+function findSourceForImage(imageUrl) {
+    let hostname;
+    try {
+        hostname = new URL(imageUrl).hostname;
+    } catch (e) {
+        return undefined;
+    }
+    return listSources().find(adapter =>
+        adapter.imageHosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    );
+}
+
+// Public description served by /api/sources - no functions, no secrets
+function describeSource(adapter) {
+    return {
+        id: adapter.id,
+        name: adapter.name,
+        color: adapter.color,
+        capabilities: adapter.capabilities,
+        configured: isConfigured(adapter),
+        config: adapter.config.map(setting => ({
+            env: setting.env,
+            required: Boolean(setting.required),
+            description: setting.description || '',
+            set: Boolean(process.env[setting.env])
+        })),
+        searchUrl: adapter.searchUrl || null,
+        browseUrl: adapter.browseUrl || null,
+        imageHosts: adapter.imageHosts,
+        proxyImages: adapter.proxyImages
+    };
+}
+
+BUILT_IN_SOURCES.forEach(registerSource);
+loadSourcesFromDir(process.env.SOURCES_DIR);
+
+module.exports = {
+    registerSource,
+    loadSourcesFromDir,
+    getSource,
+    listSources,
+    isConfigured,
+    getEnabledSources,
+    resolveSites,
+    buildSearchUrl,
+    findSourceForImage,
+    describeSource
+};
@@ -0,0 +1,134 @@
+const cheerio = require('cheerio');
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson, fromFallback, fromPage } = require('./status');
+const { normalizeDetail, htmlToText, readPageMetadata } = require('./detail');
+
+// "https://www.myminifactory.com/object/3d-print-dragon-12345" -> "3d-print-dragon-12345"
+const objectSlug = url => (url.match(/\/object\/([^/?#]+)/) || [])[1];
+
+// Unified sort -> the API's and search page's `sortBy` values
+const SORTS = { relevance: 'relevance', newest: 'date', downloads: 'popularity' };
+
+async function searchMyMiniFactory(query, { limit = 10, page = 1, sort = 'relevance' } = {}) {
+    // Try API endpoint first
+    try {
+        const apiUrl = `https://www.myminifactory.com/api/v2/search?q=${encodeURIComponent(query)}&limit=${limit}&page=${page}&sortBy=${SORTS[sort]}`;
+
+        const response = await safeFetch(apiUrl, {
+            headers: {
+                'Accept': 'application/json',
+            }
+        });
+        assertOk(response, 'MyMiniFactory API');
+
+        const data = await readJson(response, 'MyMiniFactory API');
+        const items = data?.items || data?.objects || data?.results || [];
+
+        if (Array.isArray(items) && items.length > 0) {
+            return items.slice(0, limit).map(item => ({
+                id: item.slug || String(item.id),
+                title: item.name || item.title || 'Untitled',
+                creator: item.designer?.name || item.designer?.username || item.user?.name || 'Unknown',
+                thumbnail: item.images?.[0]?.thumbnail?.url || item.images?.[0]?.url || item.thumbnail || '',
+                url: item.url || `https://www.myminifactory.com/object/${item.slug || item.id}`,
+                likes: item.likes || 0,
+                downloads: item.downloads || item.views || 0,
+                license: item.license?.name || item.license,
+                source: 'myminifactory'
+            }));
+        }
+    } catch (e) {
+        // Not JSON or not allowed, try scraping
+    }
+
+    // Fallback: scrape search page
+    const searchUrl = `https://www.myminifactory.com/search/?query=${encodeURIComponent(query)}&page=${page}&sortBy=${SORTS[sort]}`;
+    const htmlResponse = await safeFetch(searchUrl);
+    assertOk(htmlResponse, 'MyMiniFactory search page');
+    const html = await htmlResponse.text();
+    const $ = cheerio.load(html);
+
+    const results = [];
+    $('a[href*="/object/"]').each((i, el) => {
+        if (results.length >= limit) return false;
+
+        const $el = $(el);
+        const href = $el.attr('href');
+        const $card = $el.closest('[class*="card"], [class*="item"], .col');
+
+        const title = $card.find('[class*="title"], h3, h4, h5').text().trim() ||
+                     $el.attr('title') || '';
+        const img = $card.find('img').first();
+        const thumbnail = img.attr('src') || img.attr('data-src') || '';
+
+        if (href && title && !results.find(r => r.url.includes(href))) {
+            results.push({
+                id: objectSlug(href),
+                title,
+                creator: 'Unknown',
+                thumbnail,
+                url: href.startsWith('http') ? href : `https://www.myminifactory.com${href}`,
+                likes: 0,
+                downloads: 0,
+                source: 'myminifactory'
+            });
+        }
+    });
+
+    return fromPage(results, html);
+}
+
+async function fetchPopularMyMiniFactory() {
+    // MyMiniFactory has Cloudflare protection; the runner serves the latest snapshot instead
+    return fromFallback([], 'Cloudflare protected');
+}
+
+// Object pages carry OpenGraph/JSON-LD metadata; files and tags come from the markup
+async function fetchMyMiniFactoryDetail(id) {
+    const url = `https://www.myminifactory.com/object/${encodeURIComponent(id)}`;
+    const response = await safeFetch(url);
+    assertOk(response, 'MyMiniFactory object page');
+
+    const $ = cheerio.load(await response.text());
+    const page = readPageMetadata($);
+    if (!page.title) {
+        throw new SourceError(STATUS.PARSE_ERROR, 'MyMiniFactory object page had no recognizable model');
+    }
+
+    const files = [];
+    $('[class*="file-name"], [class*="fileName"]').each((i, el) => {
+        const name = $(el).text().trim();
+        if (name) files.push({ name });
+    });
+
+    return normalizeDetail({
+        id,
+        source: 'myminifactory',
+        title: page.title,
+        creator: page.creator || $('a[href*="/users/"]').first().text().trim(),
+        url,
+        description: htmlToText($('[class*="description"]').first().html()) || page.description,
+        images: page.images,
+        files,
+        license: page.license || $('[class*="license"]').first().text().trim(),
+        tags: [...page.tags, ...$('a[href*="/search/?tag"], a[href*="tags="]').map((i, el) => $(el).text().trim()).get()],
+        category: $('a[href*="/category/"]').first().text().trim(),
+        publishedAt: page.publishedAt
+    });
+}
+
+module.exports = {
+    id: 'myminifactory',
+    name: 'MyMiniFactory',
+    color: '#f97316',
+    capabilities: { search: true, popular: true, detail: true, pagination: true, sorting: Object.keys(SORTS), filters: [] },
+    config: [],
+    searchUrl: 'https://www.myminifactory.com/search/?query={query}',
+    browseUrl: 'https://www.myminifactory.com/search/?sortBy=popularity',
+    imageHosts: ['cdn.myminifactory.com'],
+    proxyImages: true,
+    referer: 'https://www.myminifactory.com/',
+    search: searchMyMiniFactory,
+    popular: fetchPopularMyMiniFactory,
+    detail: fetchMyMiniFactoryDetail
+};
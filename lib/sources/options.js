@@ -0,0 +1,99 @@
+// ==================== SEARCH OPTIONS ====================
+// One set of sort/filter parameters for every source. Each adapter lists what it
+// can do natively in capabilities.sorting and capabilities.filters and receives
+// only those in search(query, { limit, page, ...options }); everything else is
+// applied here to the records it returns.
+//
+//   sort=relevance|newest|downloads|likes
+//   price=free|paid
+//   printProfile=1       has a slicer profile / gcode
+//   multipleFiles=1      more than one file to print
+//   category=<text>      category name contains the text
+//
+// Post-filters need the record to carry the field (free, hasPrintProfile,
+// fileCount, category); records that don't are removed and counted as unknown.
+
+const SORTS = ['relevance', 'newest', 'downloads', 'likes'];
+const FILTERS = ['price', 'printProfile', 'multipleFiles', 'category'];
+
+// Parse the query string; null when no option is set. A repeated parameter arrives
+// as an array and is ignored like any other value we don't understand
+function parseSearchOptions(query) {
+    const options = {};
+    if (SORTS.includes(query.sort)) options.sort = query.sort;
+    if (query.price === 'free' || query.price === 'paid') options.price = query.price;
+    if (query.printProfile === '1') options.printProfile = true;
+    if (query.multipleFiles === '1') options.multipleFiles = true;
+    if (typeof query.category === 'string' && query.category.trim()) options.category = query.category.trim();
+    return Object.keys(options).length > 0 ? options : null;
+}
+
+// { native, post }: the options the adapter handles itself and those left to us
+function splitSearchOptions(adapter, options) {
+    const native = {};
+    const post = {};
+    Object.entries(options || {}).forEach(([name, value]) => {
+        const supported = name === 'sort'
+            ? adapter.capabilities.sorting.includes(value)
+            : adapter.capabilities.filters.includes(name);
+        (supported ? native : post)[name] = value;
+    });
+    return { native, post };
+}
+
+// true/false when the record says, undefined when it can't be told
+const FILTER_TESTS = {
+    price: (record, value) => typeof record.free === 'boolean' ? record.free === (value === 'free') : undefined,
+    printProfile: record => typeof record.hasPrintProfile === 'boolean' ? record.hasPrintProfile : undefined,
+    multipleFiles: record => Number.isFinite(record.fileCount) ? record.fileCount > 1 : undefined,
+    category: (record, value) => record.category ? record.category.toLowerCase().includes(value.toLowerCase()) : undefined
+};
+
+const SORT_KEYS = {
+    newest: record => Date.parse(record.publishedAt) || 0,
+    downloads: record => record.downloads || 0,
+    likes: record => record.likes || 0
+};
+
+function postProcess(records, post) {
+    let removed = 0;
+    let unknownRemoved = 0;
+
+    let results = records.filter(record => Object.entries(post).every(([name, value]) => {
+        if (name === 'sort') return true;
+        const pass = FILTER_TESTS[name](record, value);
+        if (pass === undefined) unknownRemoved++;
+        else if (!pass) removed++;
+        return pass === true;
+    }));
+
+    // Relevance is the order the source answered in; newest needs publish dates to sort on
+    const sortKey = SORT_KEYS[post.sort];
+    if (sortKey) {
+        results = [...results].sort((a, b) => sortKey(b) - sortKey(a));
+    }
+
+    return { results, removed, unknownRemoved };
+}
+
+// Apply the post part of a split to a runner outcome, reporting both parts in its meta
+function applySearchOptions(outcome, { native, post }) {
+    const nativeNames = Object.keys(native);
+    const postNames = Object.keys(post);
+    if (nativeNames.length === 0 && postNames.length === 0) return outcome;
+
+    const { results, removed, unknownRemoved } = postProcess(outcome.results, post);
+    return {
+        ...outcome,
+        results,
+        meta: { ...outcome.meta, options: { native: nativeNames, post: postNames, removed, unknownRemoved } }
+    };
+}
+
+module.exports = {
+    SORTS,
+    FILTERS,
+    parseSearchOptions,
+    splitSearchOptions,
+    applySearchOptions
+};
@@ -0,0 +1,230 @@
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson, fromFallback } = require('./status');
+const { normalizeDetail, htmlToText } = require('./detail');
+
+const GRAPHQL_URL = 'https://api.printables.com/graphql/';
+const mediaUrl = filePath => `https://media.printables.com/${filePath}`;
+
+// Unified sort -> searchPrints2 `ordering` (null keeps the relevance order)
+const ORDERINGS = { relevance: null, newest: '-first_publish', downloads: '-download_count', likes: '-likes_count' };
+
+// Shared by search and popular - both return searchPrints2 items
+function mapPrint(item) {
+    return {
+        id: String(item.id),
+        title: item.name || 'Untitled',
+        creator: item.user?.publicUsername || 'Unknown',
+        thumbnail: item.image?.filePath ? mediaUrl(item.image.filePath) : '',
+        url: `https://www.printables.com/model/${item.id}-${item.slug || ''}`,
+        likes: item.likesCount || 0,
+        downloads: item.downloadCount || 0,
+        license: item.license?.name,
+        source: 'printables'
+    };
+}
+
+// POST a GraphQL query and return its data, throwing on any failure
+async function queryGraphql(body) {
+    const response = await safeFetch(GRAPHQL_URL, {
+        method: 'POST',
+        // Queries only read, so they may be retried and shared
+        idempotent: true,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+        },
+        body: JSON.stringify(body)
+    });
+    assertOk(response, 'Printables API');
+
+    return readJson(response, 'Printables API');
+}
+
+// Return the searchPrints2 items of a search query
+async function querySearchPrints(body) {
+    const data = await queryGraphql(body);
+    const items = data?.data?.searchPrints2?.items;
+    if (!Array.isArray(items)) {
+        const reason = data?.errors?.[0]?.message || 'missing searchPrints2.items';
+        throw new SourceError(STATUS.PARSE_ERROR, `Printables GraphQL error: ${reason}`);
+    }
+    return items;
+}
+
+async function searchPrintables(query, { limit = 10, page = 1, sort = 'relevance' } = {}) {
+    const offset = (page - 1) * limit;
+
+    // Search query - using searchPrints2
+    const searchQuery = {
+        query: `
+            query SearchPrints($query: String!, $limit: Int, $offset: Int, $ordering: String) {
+                searchPrints2(query: $query, limit: $limit, offset: $offset, ordering: $ordering) {
+                    items {
+                        id
+                        name
+                        slug
+                        likesCount
+                        downloadCount
+                        user {
+                            publicUsername
+                        }
+                        image {
+                            filePath
+                        }
+                        license {
+                            name
+                        }
+                    }
+                }
+            }
+        `,
+        variables: {
+            query: query,
+            limit: limit,
+            offset: offset,
+            ordering: ORDERINGS[sort]
+        }
+    };
+
+    const items = await querySearchPrints(searchQuery);
+    return items.map(mapPrint);
+}
+
+async function fetchPopularPrintables({ limit = 10 } = {}) {
+    // Try with ordering parameter for popular/most downloaded
+    const searchQuery = {
+        query: `
+            query SearchPrints($limit: Int) {
+                searchPrints2(query: "", limit: $limit, ordering: "-download_count") {
+                    items {
+                        id
+                        name
+                        slug
+                        likesCount
+                        downloadCount
+                        user {
+                            publicUsername
+                        }
+                        image {
+                            filePath
+                        }
+                        license {
+                            name
+                        }
+                    }
+                }
+            }
+        `,
+        variables: { limit }
+    };
+
+    let popularError;
+    try {
+        const items = await querySearchPrints(searchQuery);
+        if (items.length > 0) {
+            return items.map(mapPrint);
+        }
+    } catch (error) {
+        popularError = error;
+    }
+
+    // Fallback: use search with common popular term
+    try {
+        const results = await searchPrintables('gridfinity', { limit });
+        return fromFallback(results, 'Popular feed unavailable, showing "gridfinity" search results');
+    } catch (error) {
+        throw popularError || error;
+    }
+}
+
+async function fetchPrintablesDetail(id) {
+    // Accept both "123456" and the "123456-slug" form used in model URLs
+    const printId = String(id).split('-')[0];
+
+    const data = await queryGraphql({
+        query: `
+            query PrintDetail($id: ID!) {
+                print(id: $id) {
+                    id
+                    name
+                    slug
+                    summary
+                    description
+                    datePublished
+                    likesCount
+                    downloadCount
+                    user {
+                        publicUsername
+                    }
+                    license {
+                        name
+                    }
+                    category {
+                        name
+                    }
+                    tags {
+                        name
+                    }
+                    images {
+                        filePath
+                    }
+                    stls {
+                        name
+                        fileSize
+                    }
+                    gcodes {
+                        name
+                        fileSize
+                    }
+                    slas {
+                        name
+                        fileSize
+                    }
+                    remixParents {
+                        parentPrintName
+                        url
+                    }
+                }
+            }
+        `,
+        variables: { id: printId }
+    });
+
+    const print = data?.data?.print;
+    if (!print) {
+        if (data?.errors?.length) {
+            throw new SourceError(STATUS.PARSE_ERROR, `Printables GraphQL error: ${data.errors[0].message}`);
+        }
+        throw new SourceError(STATUS.HTTP_ERROR, `Printables has no model ${printId}`, { httpStatus: 404 });
+    }
+
+    const files = [...(print.stls || []), ...(print.gcodes || []), ...(print.slas || [])];
+    const remix = print.remixParents?.[0];
+
+    return normalizeDetail({
+        ...mapPrint(print),
+        description: htmlToText(print.description) || print.summary || '',
+        images: (print.images || []).map(image => mediaUrl(image.filePath)),
+        files: files.map(file => ({ name: file.name, size: file.fileSize })),
+        license: print.license?.name,
+        tags: (print.tags || []).map(tag => tag.name),
+        category: print.category?.name,
+        publishedAt: print.datePublished,
+        remixOf: remix && { title: remix.parentPrintName, url: remix.url }
+    });
+}
+
+module.exports = {
+    id: 'printables',
+    name: 'Printables',
+    color: '#fa6831',
+    capabilities: { search: true, popular: true, detail: true, pagination: true, sorting: Object.keys(ORDERINGS), filters: [] },
+    config: [],
+    searchUrl: 'https://www.printables.com/search/models?q={query}',
+    browseUrl: 'https://www.printables.com/model?o=download_count',
+    imageHosts: ['media.printables.com'],
+    proxyImages: false,
+    search: searchPrintables,
+    popular: fetchPopularPrintables,
+    detail: fetchPrintablesDetail
+};
@@ -0,0 +1,225 @@
+const { STATUS } = require('./status');
+
+// ==================== RESULT QUALITY & DRIFT DETECTION ====================
+// Every live answer is checked against the normalized model record below and
+// scored. Scrapers rarely fail loudly when a site changes its markup: they
+// return nothing, or records full of "Untitled"/"Unknown". A source is flagged
+// as drifting after DRIFT_THRESHOLD suspicious answers in a row, where an
+// answer is suspicious when
+//   - a scraped page with content gave no result cards and no "no results" message
+//   - the adapter could not parse the page or payload at all (parse_error)
+//   - most of its records break the schema
+//   - a field's placeholder rate jumps well above that source's own baseline
+// The flag clears with the next clean answer that has results.
+//
+//   id          - string, optional
+//   title       - non-empty string; "Untitled" is a placeholder
+//   creator     - string; "Unknown" is a placeholder
+//   url         - absolute http(s) URL on one of the source's site hosts
+//   thumbnail   - absolute http(s) URL on one of its image hosts, '' is a placeholder
+//   likes, downloads - finite numbers >= 0
+//   source      - the source's id
+
+const QUALITY_WINDOW = parseInt(process.env.QUALITY_WINDOW) || 20;
+const DRIFT_THRESHOLD = parseInt(process.env.DRIFT_THRESHOLD) || 2;
+// A field's placeholder rate spikes when it passes this and exceeds the baseline by SPIKE_MARGIN
+const SPIKE_RATE = 0.5;
+const SPIKE_MARGIN = 0.3;
+// Answers needed before a baseline is trusted
+const MIN_BASELINE = 3;
+const MAX_INVALID_RATE = 0.5;
+
+const PLACEHOLDERS = {
+    title: value => !value || /^(untitled|undefined|null)$/i.test(String(value).trim()),
+    creator: value => !value || /^(unknown|undefined|null)$/i.test(String(value).trim()),
+    thumbnail: value => !value
+};
+
+function hostMatches(url, hosts) {
+    return hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+}
+
+function parseHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Hosts a source's model pages live on: siteHosts, or those of its search/browse URLs
+function getSiteHosts(adapter) {
+    if (adapter.siteHosts) return adapter.siteHosts;
+    return [...new Set([adapter.searchUrl, adapter.browseUrl]
+        .map(parseHttpUrl)
+        .filter(Boolean)
+        .map(url => url.hostname.replace(/^www\./, '')))];
+}
+
+// title, creator, id, source, url, thumbnail, likes, downloads - one issue each at most
+const SCHEMA_CHECKS = 8;
+
+// Schema violations of one record, e.g. ['url_host', 'likes']
+function validateRecord(record, adapter) {
+    const issues = [];
+
+    if (typeof record.title !== 'string') issues.push('title');
+    if (typeof record.creator !== 'string') issues.push('creator');
+    if (record.id !== undefined && typeof record.id !== 'string') issues.push('id');
+    if (record.source !== adapter.id) issues.push('source');
+
+    const url = parseHttpUrl(record.url);
+    const siteHosts = getSiteHosts(adapter);
+    if (!url) issues.push('url');
+    else if (siteHosts.length > 0 && !hostMatches(url, siteHosts)) issues.push('url_host');
+
+    if (typeof record.thumbnail !== 'string') {
+        issues.push('thumbnail');
+    } else if (record.thumbnail) {
+        const thumbnail = parseHttpUrl(record.thumbnail);
+        if (!thumbnail) issues.push('thumbnail');
+        // The image proxy refuses anything else, so the card would show no image
+        else if (adapter.imageHosts.length > 0 && !hostMatches(thumbnail, adapter.imageHosts)) issues.push('thumbnail_host');
+    }
+
+    ['likes', 'downloads'].forEach(stat => {
+        if (typeof record[stat] !== 'number' || !Number.isFinite(record[stat]) || record[stat] < 0) issues.push(stat);
+    });
+
+    return issues;
+}
+
+// Score one answer: share of passed checks (schema plus placeholder fields) over its records
+function assessResults(adapter, results) {
+    const issues = {};
+    const placeholders = { title: 0, creator: 0, thumbnail: 0 };
+    let invalid = 0;
+    let passed = 0;
+    const checksPerRecord = SCHEMA_CHECKS + Object.keys(PLACEHOLDERS).length;
+
+    results.forEach(record => {
+        const recordIssues = validateRecord(record, adapter);
+        if (recordIssues.length > 0) invalid++;
+        recordIssues.forEach(issue => { issues[issue] = (issues[issue] || 0) + 1; });
+
+        const recordPlaceholders = Object.keys(PLACEHOLDERS).filter(field => PLACEHOLDERS[field](record[field]));
+        recordPlaceholders.forEach(field => { placeholders[field]++; });
+
+        passed += checksPerRecord - recordIssues.length - recordPlaceholders.length;
+    });
+
+    return {
+        score: results.length ? Math.round((passed / (results.length * checksPerRecord)) * 1000) / 1000 : null,
+        records: results.length,
+        invalid,
+        placeholders,
+        issues
+    };
+}
+
+// ---- Drift tracking per source
+
+const tracked = new Map();
+
+function getTracked(site) {
+    if (!tracked.has(site)) {
+        tracked.set(site, { scores: [], placeholderRates: [], suspicious: 0, signals: [], drift: null });
+    }
+    return tracked.get(site);
+}
+
+function average(values) {
+    return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+// Why this answer looks like drift, compared with the source's own history
+function findSignals(entry, outcome, quality, page) {
+    const signals = [];
+
+    if (outcome.status === STATUS.PARSE_ERROR) {
+        signals.push({ type: 'parse_error', detail: outcome.error });
+    }
+    if (page && page.hasContent && !page.noResults && quality?.records === 0) {
+        signals.push({ type: 'unparsed_page', detail: `Page with ${page.textLength} characters of text had no result cards` });
+    }
+    if (quality?.records > 0) {
+        if (quality.invalid / quality.records > MAX_INVALID_RATE) {
+            signals.push({ type: 'invalid_records', detail: `${quality.invalid} of ${quality.records} records break the schema (${Object.keys(quality.issues).join(', ')})` });
+        }
+        if (entry.placeholderRates.length >= MIN_BASELINE) {
+            Object.keys(quality.placeholders).forEach(field => {
+                const rate = quality.placeholders[field] / quality.records;
+                const baseline = average(entry.placeholderRates.map(rates => rates[field]));
+                if (rate >= SPIKE_RATE && rate - baseline >= SPIKE_MARGIN) {
+                    signals.push({ type: 'placeholder_spike', detail: `${Math.round(rate * 100)}% of records have a placeholder ${field} (usually ${Math.round(baseline * 100)}%)` });
+                }
+            });
+        }
+    }
+
+    return signals;
+}
+
+// Record one live answer. `outcome` is { status, error }, `quality` comes from
+// assessResults (null when the call failed) and `page` from the adapter (see fromPage)
+function recordQuality(site, outcome, quality, page) {
+    const entry = getTracked(site);
+    const signals = findSignals(entry, outcome, quality, page);
+    const now = new Date().toISOString();
+
+    if (quality?.records > 0) {
+        entry.scores.push(quality.score);
+        if (entry.scores.length > QUALITY_WINDOW) entry.scores.shift();
+    }
+    // Only clean answers make the baseline, or a lasting spike would become the norm
+    if (quality?.records > 0 && signals.length === 0) {
+        entry.placeholderRates.push(Object.fromEntries(
+            Object.entries(quality.placeholders).map(([field, count]) => [field, count / quality.records])
+        ));
+        if (entry.placeholderRates.length > QUALITY_WINDOW) entry.placeholderRates.shift();
+    }
+
+    if (signals.length > 0) {
+        entry.suspicious++;
+        entry.signals = signals.map(signal => ({ ...signal, at: now }));
+        if (entry.suspicious >= DRIFT_THRESHOLD) {
+            if (!entry.drift) {
+                entry.drift = { since: now, signals: entry.signals };
+                console.warn(`Possible scraper drift for ${site}: ${signals.map(signal => signal.detail).join('; ')}`);
+            } else {
+                entry.drift.signals = entry.signals;
+            }
+        }
+    } else if (quality?.records > 0) {
+        // Only an answer with clean results proves the parser still works
+        if (entry.drift) console.log(`Scraper drift cleared for ${site}`);
+        entry.suspicious = 0;
+        entry.signals = [];
+        entry.drift = null;
+    }
+
+    return signals;
+}
+
+function getQualityReport(site) {
+    const entry = getTracked(site);
+    const score = average(entry.scores);
+    return {
+        score: score === null ? null : Math.round(score * 1000) / 1000,
+        lastScore: entry.scores.length ? entry.scores[entry.scores.length - 1] : null,
+        drift: {
+            suspected: Boolean(entry.drift),
+            since: entry.drift?.since || null,
+            signals: entry.drift?.signals || entry.signals
+        }
+    };
+}
+
+module.exports = {
+    getSiteHosts,
+    validateRecord,
+    assessResults,
+    recordQuality,
+    getQualityReport
+};
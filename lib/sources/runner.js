@@ -0,0 +1,170 @@
+const { getSource } = require('./index');
+const { STATUS, classifyError } = require('./status');
+const health = require('./health');
+const cache = require('../cache');
+const { withLicense } = require('../license');
+const { assessResults, recordQuality } = require('./quality');
+const { withSource } = require('../http');
+const snapshots = require('../snapshots');
+const localIndex = require('../local-index');
+
+const DEFAULT_TTL_MS = parseInt(process.env.CACHE_TTL_MS) || 10 * 60 * 1000;
+// How long past its TTL an entry may still be served while it is refreshed
+const STALE_MS = parseInt(process.env.CACHE_STALE_MS) || 24 * 60 * 60 * 1000;
+// An answer scoring lower than this (see ./quality) is not kept as a snapshot
+const MIN_SNAPSHOT_QUALITY = 0.5;
+
+// CACHE_TTL_<SOURCE> (e.g. CACHE_TTL_THINGIVERSE) beats the adapter's cacheTtlMs beats CACHE_TTL_MS
+function getTtl(adapter) {
+    const override = parseInt(process.env[`CACHE_TTL_${adapter.id.toUpperCase().replace(/-/g, '_')}`]);
+    if (!Number.isNaN(override)) return override;
+    return adapter.cacheTtlMs ?? DEFAULT_TTL_MS;
+}
+
+function cacheMeta(entry, ttl) {
+    const ageMs = Date.now() - entry.storedAt;
+    return { hit: true, ageMs, stale: ageMs > ttl, storedAt: new Date(entry.storedAt).toISOString() };
+}
+
+// Drift and snapshots are tracked on listings only - detail lookups take arbitrary ids from users
+const LISTING_KINDS = new Set(['search', 'popular']);
+
+// The latest snapshot (see ../snapshots) in place of a failed or substitute answer; null when there is none
+function fromSnapshot(site, kind, args, reason, latencyMs) {
+    const fallback = LISTING_KINDS.has(kind) && snapshots.findFallback(site, kind, args);
+    if (!fallback) return null;
+    const results = fallback.results.map(withLicense);
+    return {
+        site,
+        results,
+        meta: { status: STATUS.FALLBACK, count: results.length, latencyMs, fallbackReason: reason, snapshot: fallback.snapshot, cache: { hit: false } }
+    };
+}
+
+// Answer without calling the source while its circuit is open
+function skipOpenCircuit(site, kind, args, key) {
+    const cached = cache.getEntry(key);
+    const source = health.getSourceHealth(site);
+    // No retry time while half open - the trial call is already under way
+    const retry = source.circuit.retryAt ? `, retrying after ${source.circuit.retryAt}` : '';
+    const reason = `Circuit open after repeated failures (${source.lastError?.status || 'unknown'})${retry}`;
+
+    if (cached) {
+        return {
+            site,
+            results: cached.results,
+            meta: {
+                status: STATUS.FALLBACK,
+                count: cached.results.length,
+                latencyMs: 0,
+                fallbackReason: `${reason}; showing cached results`,
+                cache: cacheMeta(cached, getTtl(getSource(site)))
+            }
+        };
+    }
+    return fromSnapshot(site, kind, args, reason, 0)
+        || { site, results: [], meta: { status: STATUS.CIRCUIT_OPEN, count: 0, latencyMs: 0, error: reason, cache: { hit: false } } };
+}
+
+// search/popular answer a list, fromFallback() or fromPage(); detail answers a single record
+function toOutcome(answer) {
+    if (Array.isArray(answer)) return { results: answer };
+    if (answer.fallback || answer.page) return answer;
+    return { results: [answer] };
+}
+
+// Call the adapter, record the outcome and cache genuine answers
+async function fetchLive(site, kind, args, key) {
+    const adapter = getSource(site);
+
+    if (!health.canRequest(site)) {
+        console.log(`${adapter.name} ${kind}: skipped, circuit open`);
+        return skipOpenCircuit(site, kind, args, key);
+    }
+
+    const started = Date.now();
+
+    try {
+        const outcome = toOutcome(await withSource(adapter, () => adapter[kind](...args)));
+        const { fallback, reason, page } = outcome;
+        // A source without live data gets its latest snapshot, or whatever substitute it offers
+        const snapshot = fallback ? fromSnapshot(site, kind, args, reason, 0) : null;
+        // Adapters report the site's license wording; every record leaves here normalized
+        const results = snapshot ? snapshot.results : outcome.results.map(withLicense);
+        const status = fallback ? STATUS.FALLBACK : results.length > 0 ? STATUS.OK : STATUS.EMPTY;
+        const meta = { status, count: results.length, latencyMs: Date.now() - started, cache: { hit: false } };
+        if (fallback) meta.fallbackReason = reason;
+        if (snapshot) meta.snapshot = snapshot.meta.snapshot;
+        // Curated fallback data says nothing about the adapter's parsing
+        if (!fallback) {
+            meta.quality = assessResults(adapter, results);
+            if (LISTING_KINDS.has(kind)) recordQuality(site, meta, meta.quality, page);
+        }
+
+        health.recordOutcome(site, meta);
+        if (status === STATUS.OK || status === STATUS.EMPTY) {
+            cache.setEntry(key, { status, results });
+        }
+        if (status === STATUS.OK && LISTING_KINDS.has(kind) && meta.quality.score >= MIN_SNAPSHOT_QUALITY) {
+            snapshots.recordSnapshot(site, kind, args, results);
+        }
+        if (status === STATUS.OK) localIndex.addRecords(results);
+
+        console.log(`${adapter.name} ${kind}: ${status}, ${results.length} results (${meta.latencyMs}ms)`);
+        return { site, results, meta };
+    } catch (error) {
+        const { status, httpStatus, message } = classifyError(error);
+        const meta = { status, count: 0, latencyMs: Date.now() - started, error: message, cache: { hit: false } };
+        if (httpStatus) meta.httpStatus = httpStatus;
+
+        if (LISTING_KINDS.has(kind)) recordQuality(site, meta, null, null);
+        health.recordOutcome(site, meta);
+
+        console.error(`${adapter.name} ${kind}: ${status} - ${message}`);
+        return fromSnapshot(site, kind, args, message, meta.latencyMs) || { site, results: [], meta };
+    }
+}
+
+// One background refresh per key at a time
+const revalidating = new Map();
+
+function revalidate(site, kind, args, key) {
+    if (revalidating.has(key)) return;
+    const refresh = fetchLive(site, kind, args, key)
+        .catch(error => console.error(`Revalidation of ${key} failed:`, error.message))
+        .finally(() => revalidating.delete(key));
+    revalidating.set(key, refresh);
+}
+
+// Call one adapter method (search/popular/detail) through the result cache, turning
+// its result or failure into { site, results, meta }. Fresh entries are served
+// directly; stale ones are served immediately and refreshed in the background.
+// Pass { fresh: true } to bypass the cache.
+async function runSource(site, kind, args = [], { fresh = false } = {}) {
+    const adapter = getSource(site);
+    const key = cache.cacheKey(site, kind, args);
+    const ttl = getTtl(adapter);
+    const cached = fresh ? null : cache.getEntry(key);
+
+    if (cached) {
+        const age = Date.now() - cached.storedAt;
+
+        if (age <= ttl + STALE_MS) {
+            const meta = {
+                status: cached.status,
+                count: cached.results.length,
+                latencyMs: 0,
+                cache: cacheMeta(cached, ttl)
+            };
+            if (meta.cache.stale) {
+                meta.cache.revalidating = true;
+                revalidate(site, kind, args, key);
+            }
+            return { site, results: cached.results, meta };
+        }
+    }
+
+    return fetchLive(site, kind, args, key);
+}
+
+module.exports = { runSource, getTtl };
@@ -0,0 +1,241 @@
+const cheerio = require('cheerio');
+const { safeFetch } = require('../http');
+const { assertOk, fromPage } = require('./status');
+const { toIsoDate } = require('./detail');
+
+// ==================== DECLARATIVE SCRAPERS ====================
+// A source whose search and popular lists are plain HTML pages can be described
+// in JSON instead of written as an adapter. createScraperSource() turns a site
+// definition into an adapter (see ./index):
+//
+//   {
+//     "id": "example", "name": "Example", "color": "#336699",
+//     "searchUrl": "https://example.com/search?q={query}",      browser links, as for any adapter
+//     "browseUrl": "https://example.com/popular",
+//     "imageHosts": ["cdn.example.com"],
+//     "search":  { "url": "https://example.com/search?q={query}&page={page}" },
+//     "popular": { "url": "https://example.com/popular" },
+//     "cards": {
+//       "selector": "article.model",
+//       "fields": {
+//         "title":     { "selector": "h2" },
+//         "url":       { "selector": "a.model-link", "attr": "href", "type": "url" },
+//         "thumbnail": { "selector": "img", "attr": ["data-src", "src"], "type": "url" },
+//         "likes":     { "selector": ".likes", "type": "count" },
+//         "id":        { "from": "url", "match": "/models/(\\d+)" },
+//         "free":      { "value": true }
+//       },
+//       "required": ["url"],
+//       "exclude": { "url": "/models/?$" }
+//     }
+//   }
+//
+// Page URLs take {query}, {page}, {offset} and {limit}; a search URL with {page}
+// or {offset} makes the source paginated ("firstPage": 0 for sites counting from
+// zero). "noResults" is a regex for the page's own "nothing found" message, and
+// "label" names the page in errors. "headers" are sent with every request.
+//
+// Each card is one match of cards.selector. A field reads, in order:
+//   value     - a constant instead of anything below
+//   from      - another field's extracted value instead of the page
+//   selector  - first match inside the card (default: the card itself)
+//   closest   - nearest ancestor matching this instead
+//   attr      - attribute, or the first non-empty of a list (default: the text)
+//   match     - regex, its first group (or whole match) is kept
+//   type      - text, url (absolute, no #fragment), count ("1.2k" -> 1200) or date
+// A card missing a `required` field (url always is) or with a field matching its
+// `exclude` regex is skipped; cards are deduplicated by url. Records get the usual
+// placeholders ("Untitled", "Unknown", 0) for the fields a card lacks.
+//
+// Other adapter fields (config, siteHosts, referer, proxyImages, timeoutMs,
+// rateLimit, popularRefreshMs) are passed through unchanged.
+
+const FIELD_TYPES = ['text', 'url', 'count', 'date'];
+const PASSED_THROUGH = ['name', 'color', 'config', 'searchUrl', 'browseUrl', 'imageHosts', 'siteHosts', 'proxyImages', 'referer', 'timeoutMs', 'rateLimit', 'popularRefreshMs'];
+const DEFAULTS = { title: 'Untitled', creator: 'Unknown', thumbnail: '', likes: 0, downloads: 0 };
+const COUNT_SUFFIXES = { k: 1e3, m: 1e6 };
+
+function compileRegex(pattern, where) {
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (error) {
+        throw new Error(`${where}: invalid regex ${JSON.stringify(pattern)} (${error.message})`);
+    }
+}
+
+// Check a definition up front, so a typo fails at startup rather than on the first search
+function compileDefinition(definition) {
+    const where = `Scraper definition "${definition?.id}"`;
+    if (!definition?.cards || typeof definition.cards.selector !== 'string') {
+        throw new Error(`${where}: needs cards.selector`);
+    }
+    const fields = definition.cards.fields || {};
+    if (!fields.title || !fields.url) {
+        throw new Error(`${where}: needs cards.fields.title and cards.fields.url`);
+    }
+    if (!definition.search?.url && !definition.popular?.url) {
+        throw new Error(`${where}: needs search.url or popular.url`);
+    }
+    if (definition.search?.url && !definition.search.url.includes('{query}')) {
+        throw new Error(`${where}: search.url needs a {query} placeholder`);
+    }
+
+    const unknown = (definition.cards.required || []).concat(Object.keys(definition.cards.exclude || {})).find(name => !fields[name]);
+    if (unknown) {
+        throw new Error(`${where}: cards.required/exclude name unknown field "${unknown}"`);
+    }
+
+    const compiled = Object.entries(fields).map(([name, field]) => {
+        if (field.type && !FIELD_TYPES.includes(field.type)) {
+            throw new Error(`${where}: field "${name}" has unknown type "${field.type}" (${FIELD_TYPES.join(', ')})`);
+        }
+        if (field.from && (!fields[field.from] || fields[field.from].from)) {
+            throw new Error(`${where}: field "${name}" can only read a field taken from the page, not "${field.from}"`);
+        }
+        return { name, ...field, match: field.match && compileRegex(field.match, `${where} field "${name}"`) };
+    });
+
+    return {
+        // Fields reading another field come last, once it has its value
+        fields: [...compiled.filter(field => !field.from), ...compiled.filter(field => field.from)],
+        required: [...new Set(['url', ...(definition.cards.required || [])])],
+        exclude: Object.entries(definition.cards.exclude || {}).map(([name, pattern]) => [name, compileRegex(pattern, `${where} exclude "${name}"`)]),
+        noResults: definition.noResults && compileRegex(definition.noResults, `${where} noResults`)
+    };
+}
+
+// "1,234" -> 1234, "1.2k" -> 1200; null when there's no number
+function parseCount(text) {
+    const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([km])?/i);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * (COUNT_SUFFIXES[(match[2] || '').toLowerCase()] || 1));
+}
+
+function absoluteUrl(value, pageUrl) {
+    try {
+        const url = new URL(value, pageUrl);
+        url.hash = '';
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function convert(value, type, pageUrl) {
+    switch (type) {
+        case 'url': return absoluteUrl(value, pageUrl);
+        case 'count': return parseCount(value);
+        case 'date': return toIsoDate(value);
+        default: return value;
+    }
+}
+
+function readField($card, field, values, pageUrl) {
+    if ('value' in field) return field.value;
+
+    let raw;
+    if (field.from) {
+        raw = values[field.from];
+    } else {
+        const $el = field.closest ? $card.closest(field.closest) : field.selector ? $card.find(field.selector).first() : $card;
+        if ($el.length === 0) return null;
+        raw = field.attr
+            ? [].concat(field.attr).map(attr => $el.attr(attr)).find(Boolean)
+            : $el.text().replace(/\s+/g, ' ');
+    }
+    if (raw === undefined || raw === null) return null;
+
+    let value = String(raw).trim();
+    if (field.match) {
+        const match = value.match(field.match);
+        value = match ? (match[1] ?? match[0]) : '';
+    }
+    if (value === '') return null;
+    return convert(value, field.type, pageUrl);
+}
+
+// The records on one page, at most `limit`
+function parseCards(html, pageUrl, definition, compiled, limit) {
+    const $ = cheerio.load(html);
+    const results = [];
+    const seen = new Set();
+
+    $(definition.cards.selector).each((i, el) => {
+        if (results.length >= limit) return false;
+
+        const values = {};
+        compiled.fields.forEach(field => {
+            values[field.name] = readField($(el), field, values, pageUrl);
+        });
+        if (compiled.required.some(name => values[name] === null)) return;
+        if (compiled.exclude.some(([name, pattern]) => values[name] !== null && pattern.test(String(values[name])))) return;
+        if (seen.has(values.url)) return;
+        seen.add(values.url);
+
+        const record = { ...DEFAULTS };
+        Object.entries(values).forEach(([name, value]) => {
+            if (value !== null) record[name] = name === 'id' ? String(value) : value;
+        });
+        record.source = definition.id;
+        results.push(record);
+    });
+
+    return results;
+}
+
+function fillTemplate(template, values) {
+    return template.replace(/\{(query|page|offset|limit)\}/g, (match, name) => encodeURIComponent(values[name]));
+}
+
+// Build an adapter from a site definition; throws when the definition is unusable
+function createScraperSource(definition) {
+    const compiled = compileDefinition(definition);
+
+    async function scrape(page, values, limit, label) {
+        const url = fillTemplate(page.url, values);
+        const response = await safeFetch(url, { redirect: 'follow', headers: definition.headers });
+        assertOk(response, page.label || `${definition.name || definition.id} ${label}`);
+        const html = await response.text();
+        const results = parseCards(html, response.url || url, definition, compiled, limit);
+        return fromPage(results, html, compiled.noResults ? { noResultsPattern: compiled.noResults } : undefined);
+    }
+
+    const adapter = {
+        id: definition.id,
+        capabilities: {
+            search: Boolean(definition.search?.url),
+            popular: Boolean(definition.popular?.url),
+            pagination: /\{(page|offset)\}/.test(definition.search?.url || ''),
+            sorting: [],
+            filters: []
+        }
+    };
+    PASSED_THROUGH.filter(key => key in definition).forEach(key => {
+        adapter[key] = definition[key];
+    });
+
+    if (definition.search?.url) {
+        const firstPage = definition.search.firstPage ?? 1;
+        adapter.search = (query, { limit = 10, page = 1 } = {}) => scrape(definition.search, {
+            query,
+            page: page - 1 + firstPage,
+            offset: (page - 1) * limit,
+            limit
+        }, limit, 'search page');
+    }
+    if (definition.popular?.url) {
+        adapter.popular = ({ limit = 10 } = {}) => scrape(definition.popular, {
+            query: '',
+            page: definition.popular.firstPage ?? 1,
+            offset: 0,
+            limit
+        }, limit, 'popular page');
+    }
+
+    return adapter;
+}
+
+module.exports = {
+    createScraperSource,
+    parseCount
+};
@@ -0,0 +1,103 @@
+// Outcome of a single source call, reported per source in each response's `meta` block
+const STATUS = {
+    OK: 'ok',
+    EMPTY: 'empty',
+    BLOCKED: 'blocked',
+    TIMEOUT: 'timeout',
+    NETWORK_ERROR: 'network_error',
+    PARSE_ERROR: 'parse_error',
+    HTTP_ERROR: 'http_error',
+    FALLBACK: 'served_from_fallback',
+    CIRCUIT_OPEN: 'circuit_open'
+};
+
+// Adapters throw this so the runner can tell a failure from a genuine empty result
+class SourceError extends Error {
+    constructor(status, message, { httpStatus } = {}) {
+        super(message);
+        this.name = 'SourceError';
+        this.status = status;
+        this.httpStatus = httpStatus;
+    }
+}
+
+// Cloudflare and friends answer bots with 403/429/503 plus their own headers
+function isBlockedResponse(response) {
+    if (response.status === 403 || response.status === 429) return true;
+    const server = (response.headers.get('server') || '').toLowerCase();
+    return response.status === 503 && (server.includes('cloudflare') || response.headers.has('cf-ray'));
+}
+
+// Throw a classified SourceError unless the response is 2xx
+function assertOk(response, label) {
+    if (response.ok) return response;
+    if (isBlockedResponse(response)) {
+        throw new SourceError(STATUS.BLOCKED, `${label} blocked the request (HTTP ${response.status})`, { httpStatus: response.status });
+    }
+    throw new SourceError(STATUS.HTTP_ERROR, `${label} returned HTTP ${response.status}`, { httpStatus: response.status });
+}
+
+async function readJson(response, label) {
+    const text = await response.text();
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new SourceError(STATUS.PARSE_ERROR, `${label} returned invalid JSON`);
+    }
+}
+
+// Map anything an adapter throws onto a status
+function classifyError(error) {
+    if (error instanceof SourceError) {
+        return { status: error.status, httpStatus: error.httpStatus, message: error.message };
+    }
+    // The scheduler (see ../scheduler) holding back requests a host asked us not to send yet
+    if (error.code === 'EHOSTPAUSED') {
+        return { status: STATUS.BLOCKED, message: error.message };
+    }
+    if (error.name === 'AbortError' || error.type === 'aborted') {
+        return { status: STATUS.TIMEOUT, message: 'Request timed out' };
+    }
+    if (error.name === 'SyntaxError' || error.type === 'invalid-json') {
+        return { status: STATUS.PARSE_ERROR, message: error.message };
+    }
+    if (error.type === 'system' || error.name === 'FetchError') {
+        return { status: STATUS.NETWORK_ERROR, message: error.message };
+    }
+    return { status: STATUS.PARSE_ERROR, message: error.message };
+}
+
+// Wrap curated or substitute data so it is reported as served_from_fallback
+function fromFallback(results, reason) {
+    return { results, fallback: true, reason };
+}
+
+const NO_RESULTS = /\b(no|0|zero)\s+(results|matches|designs|models|objects|things)\b|nothing (was )?found|did ?n[o']t match/i;
+// Less visible text than this is a stub, an error or a client-rendered shell
+const MIN_PAGE_TEXT = 200;
+
+// Wrap results scraped from an HTML page with what drift detection (see ./quality)
+// needs to know about it: a page with content, no results and no "no results"
+// message means the markup has probably changed
+function fromPage(results, html, { noResultsPattern = NO_RESULTS } = {}) {
+    const text = html
+        .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return {
+        results,
+        page: { textLength: text.length, hasContent: text.length >= MIN_PAGE_TEXT, noResults: noResultsPattern.test(text) }
+    };
+}
+
+module.exports = {
+    STATUS,
+    SourceError,
+    isBlockedResponse,
+    assertOk,
+    readJson,
+    classifyError,
+    fromFallback,
+    fromPage
+};
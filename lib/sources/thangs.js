@@ -0,0 +1,90 @@
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson, fromFallback } = require('./status');
+
+// Unified sort -> the search APIs' `sort` values; without one Thangs ranks by popularity
+const SORTS = { relevance: 'relevance', newest: 'newest', downloads: 'downloads', likes: 'likes' };
+
+async function searchThangs(query, { limit = 10, page = 1, sort } = {}) {
+    const sortParam = SORTS[sort] || 'popular';
+
+    let primaryError;
+
+    // Thangs has a public search API
+    try {
+        const searchUrl = `https://thangs.com/api/models/search?q=${encodeURIComponent(query)}&limit=${limit}&page=${page}&sort=${sortParam}`;
+        const response = await safeFetch(searchUrl, {
+            headers: {
+                'Accept': 'application/json',
+            }
+        });
+        assertOk(response, 'Thangs search API');
+
+        const data = await readJson(response, 'Thangs search API');
+        const items = data?.results || data?.models || data || [];
+
+        if (!Array.isArray(items)) {
+            throw new SourceError(STATUS.PARSE_ERROR, 'Thangs search API returned no result list');
+        }
+        return items.slice(0, limit).map(item => ({
+            title: item.name || item.title || 'Untitled',
+            creator: item.owner?.username || item.ownerUsername || item.creator || 'Unknown',
+            thumbnail: item.thumbnailUrl || item.previewUrl || item.thumbnail || '',
+            url: item.publicUrl || item.url || `https://thangs.com/model/${item.id || item.modelId}`,
+            likes: item.likes || item.likeCount || 0,
+            downloads: item.downloads || item.downloadCount || 0,
+            license: item.license?.name || item.license,
+            free: typeof item.price === 'number' ? item.price === 0 : undefined,
+            source: 'thangs'
+        }));
+    } catch (error) {
+        primaryError = error;
+    }
+
+    // Fallback: Try alternate API endpoint, reporting the primary failure if both fail
+    try {
+        const altUrl = `https://thangs.com/api/search?query=${encodeURIComponent(query)}&pageSize=${limit}&page=${page}&sort=${sortParam}`;
+        const altResponse = await safeFetch(altUrl, {
+            headers: { 'Accept': 'application/json' }
+        });
+        assertOk(altResponse, 'Thangs alternate search API');
+
+        const data = await readJson(altResponse, 'Thangs alternate search API');
+        const items = data?.models || data?.results;
+        if (!Array.isArray(items)) {
+            throw new SourceError(STATUS.PARSE_ERROR, 'Thangs alternate search API returned no result list');
+        }
+        return items.slice(0, limit).map(item => ({
+            title: item.name || item.title || 'Untitled',
+            creator: item.ownerUsername || item.owner?.username || 'Unknown',
+            thumbnail: item.thumbnailUrl || '',
+            url: item.publicUrl || `https://thangs.com/model/${item.id}`,
+            likes: item.likeCount || 0,
+            downloads: item.downloadCount || 0,
+            license: item.license?.name || item.license,
+            free: typeof item.price === 'number' ? item.price === 0 : undefined,
+            source: 'thangs'
+        }));
+    } catch (error) {
+        throw primaryError;
+    }
+}
+
+async function fetchPopularThangs() {
+    // Thangs has Cloudflare protection; the runner serves the latest snapshot instead
+    return fromFallback([], 'Cloudflare protected');
+}
+
+module.exports = {
+    id: 'thangs',
+    name: 'Thangs',
+    color: '#7c3aed',
+    capabilities: { search: true, popular: true, pagination: true, sorting: Object.keys(SORTS), filters: [] },
+    config: [],
+    searchUrl: 'https://thangs.com/search/{query}?scope=all',
+    browseUrl: 'https://thangs.com/search?sort=popular',
+    imageHosts: ['storage.thangs.com'],
+    proxyImages: true,
+    referer: 'https://thangs.com/',
+    search: searchThangs,
+    popular: fetchPopularThangs
+};
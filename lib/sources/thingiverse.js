@@ -0,0 +1,209 @@
+const cheerio = require('cheerio');
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk, readJson, fromFallback } = require('./status');
+const { normalizeDetail, htmlToText, toIsoDate } = require('./detail');
+
+const getApiKey = () => process.env.THINGIVERSE_API_KEY || '';
+
+// Unified sort -> the API's and search page's `sort` values
+const SORTS = { relevance: 'relevant', newest: 'newest', downloads: 'popular' };
+
+function mapThing(thing) {
+    return {
+        id: String(thing.id),
+        title: thing.name || 'Untitled',
+        creator: thing.creator?.name || thing.creator?.username || 'Unknown',
+        thumbnail: thing.preview_image || thing.thumbnail || '',
+        url: `https://www.thingiverse.com/thing:${thing.id}`,
+        likes: thing.like_count || thing.likes || 0,
+        downloads: thing.download_count || thing.downloads || thing.collect_count || 0,
+        license: thing.license,
+        // Everything on Thingiverse is a free download
+        free: true,
+        publishedAt: toIsoDate(thing.added),
+        source: 'thingiverse'
+    };
+}
+
+// Call the official API, throwing on any failure
+async function fetchApi(apiUrl) {
+    const response = await safeFetch(apiUrl, {
+        headers: {
+            'Authorization': `Bearer ${getApiKey()}`,
+            'Accept': 'application/json'
+        }
+    });
+    assertOk(response, 'Thingiverse API');
+    return readJson(response, 'Thingiverse API');
+}
+
+// Call the official API and return its list of things
+async function fetchApiThings(apiUrl) {
+    const data = await fetchApi(apiUrl);
+    const things = data.hits || data || [];
+    if (!Array.isArray(things)) {
+        throw new SourceError(STATUS.PARSE_ERROR, 'Thingiverse API returned no result list');
+    }
+    return things;
+}
+
+async function searchThingiverse(query, { limit = 10, page = 1, sort = 'relevance' } = {}) {
+    // If API key is available, use the official API
+    if (getApiKey()) {
+        try {
+            const apiUrl = `https://api.thingiverse.com/search/${encodeURIComponent(query)}?per_page=${limit}&page=${page}&sort=${SORTS[sort]}`;
+            const hits = await fetchApiThings(apiUrl);
+
+            if (hits.length > 0) {
+                return hits.slice(0, limit).map(mapThing);
+            }
+        } catch (apiError) {
+            console.error('Thingiverse API error:', apiError.message);
+        }
+    }
+
+    // Fallback: Try scraping the search results page
+    const searchUrl = `https://www.thingiverse.com/search?q=${encodeURIComponent(query)}&type=things&sort=${SORTS[sort]}&page=${page}`;
+
+    const response = await safeFetch(searchUrl);
+    assertOk(response, 'Thingiverse search page');
+    const html = await response.text();
+
+    // Thingiverse uses Next.js, so data might be in __NEXT_DATA__
+    const nextDataMatch = html.match(/<script id="__NEXT_DATA__" type="application\/json">([^<]+)<\/script>/);
+    let foundResultList = false;
+
+    if (nextDataMatch) {
+        try {
+            const nextData = JSON.parse(nextDataMatch[1]);
+            const things = nextData?.props?.pageProps?.things ||
+                          nextData?.props?.pageProps?.searchResults?.things ||
+                          nextData?.props?.pageProps?.initialState?.search?.results;
+
+            if (Array.isArray(things)) {
+                foundResultList = true;
+                if (things.length > 0) {
+                    return things.slice(0, limit).map(thing => ({
+                        ...mapThing(thing),
+                        downloads: thing.download_count || thing.downloads || 0
+                    }));
+                }
+            }
+        } catch (e) {
+            console.error('Thingiverse NEXT_DATA parse error:', e.message);
+        }
+    }
+
+    // Fallback: try cheerio parsing
+    const $ = cheerio.load(html);
+    const results = [];
+
+    // Try multiple selectors
+    $('[class*="ThingCard"], [class*="thing-card"], .thing-card-body, a[href*="/thing:"]').each((i, el) => {
+        if (results.length >= limit) return false;
+
+        const $el = $(el);
+        const link = $el.is('a') ? $el : $el.find('a[href*="/thing:"]').first();
+        const href = link.attr('href');
+
+        if (href && href.includes('/thing:')) {
+            const title = $el.find('[class*="title"], [class*="name"], h3, h4').text().trim() ||
+                         link.attr('title') ||
+                         'Untitled';
+            const img = $el.find('img').first();
+            const thumbnail = img.attr('src') || img.attr('data-src') || '';
+
+            results.push({
+                title,
+                creator: 'Unknown',
+                thumbnail,
+                url: href.startsWith('http') ? href : `https://www.thingiverse.com${href}`,
+                likes: 0,
+                downloads: 0,
+                free: true,
+                source: 'thingiverse'
+            });
+        }
+    });
+
+    // No result list in the page data and no cards in the markup means the page changed
+    if (results.length === 0 && !foundResultList) {
+        throw new SourceError(STATUS.PARSE_ERROR, 'Thingiverse search page had no recognizable results');
+    }
+
+    return results;
+}
+
+async function fetchPopularThingiverse({ limit = 10 } = {}) {
+    let reason = 'No API key configured';
+
+    // If API key is available, use the official API
+    if (getApiKey()) {
+        try {
+            const things = await fetchApiThings(`https://api.thingiverse.com/popular?per_page=${limit}`);
+
+            if (things.length > 0) {
+                return things.slice(0, limit).map(mapThing);
+            }
+            reason = 'API returned no popular models';
+        } catch (apiError) {
+            reason = apiError.message;
+        }
+    }
+
+    // Fallback: the runner serves the latest snapshot
+    return fromFallback([], reason);
+}
+
+// Thing and file list from the official API - there is no scrapeable fallback
+// because thing pages are rendered client-side
+async function fetchThingiverseDetail(id) {
+    if (!getApiKey()) {
+        throw new SourceError(STATUS.HTTP_ERROR, 'Thingiverse model details need THINGIVERSE_API_KEY', { httpStatus: 401 });
+    }
+
+    const thingId = String(id).replace(/^thing:/, '');
+    const [thing, files] = await Promise.all([
+        fetchApi(`https://api.thingiverse.com/things/${encodeURIComponent(thingId)}`),
+        fetchApi(`https://api.thingiverse.com/things/${encodeURIComponent(thingId)}/files`)
+    ]);
+    if (!thing?.id) {
+        throw new SourceError(STATUS.PARSE_ERROR, `Thingiverse API returned no thing ${thingId}`);
+    }
+
+    const fileList = Array.isArray(files) ? files : [];
+
+    return normalizeDetail({
+        ...mapThing(thing),
+        description: htmlToText(thing.description_html) || thing.description || '',
+        images: [
+            thing.default_image?.url,
+            ...(thing.images || []).map(image => image.url),
+            ...fileList.map(file => file.default_image?.url || file.thumbnail)
+        ],
+        files: fileList.map(file => ({ name: file.name, size: file.size, url: file.public_url || file.download_url })),
+        tags: (thing.tags || []).map(tag => tag.name || tag),
+        category: thing.categories?.[0]?.name,
+        remixOf: thing.ancestors?.[0] && { title: thing.ancestors[0].name, url: thing.ancestors[0].public_url }
+    });
+}
+
+module.exports = {
+    id: 'thingiverse',
+    name: 'Thingiverse',
+    color: '#248bfb',
+    capabilities: { search: true, popular: true, detail: true, pagination: true, sorting: Object.keys(SORTS), filters: [] },
+    config: [
+        { env: 'THINGIVERSE_API_KEY', required: false, description: 'Thingiverse App Token for the official API (falls back to scraping and curated data)' }
+    ],
+    searchUrl: 'https://www.thingiverse.com/search?q={query}&type=things&sort=popular',
+    browseUrl: 'https://www.thingiverse.com/search?sort=popular',
+    imageHosts: ['cdn.thingiverse.com'],
+    proxyImages: true,
+    referer: 'https://www.thingiverse.com/',
+    // Thingiverse bans clients that burst; one request at a time, one a second
+    rateLimit: { concurrency: 1, ratePerSecond: 1, burst: 3 },
+    search: searchThingiverse,
+    popular: fetchPopularThingiverse,
+    detail: fetchThingiverseDetail
+};
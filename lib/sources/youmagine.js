@@ -0,0 +1,53 @@
+const cheerio = require('cheerio');
+const { safeFetch } = require('../http');
+const { STATUS, SourceError, assertOk } = require('./status');
+const { normalizeDetail, htmlToText, readPageMetadata } = require('./detail');
+const { createScraperSource } = require('./scraper');
+
+// Search and popular are scraped from the design cards as described in
+// sites/youmagine.json; model pages still need the code below
+const definition = require('./sites/youmagine.json');
+
+const absoluteUrl = href => href.startsWith('http') ? href : `https://youmagine.com${href}`;
+
+async function fetchYouMagineDetail(id) {
+    const url = `https://youmagine.com/designs/${encodeURIComponent(id)}`;
+    const response = await safeFetch(url, { redirect: 'follow' });
+    assertOk(response, 'YouMagine design page');
+
+    const $ = cheerio.load(await response.text());
+    const page = readPageMetadata($);
+    const title = $('h1').first().text().trim() || page.title;
+    if (!title) {
+        throw new SourceError(STATUS.PARSE_ERROR, 'YouMagine design page had no recognizable model');
+    }
+
+    // Downloadable documents are listed as links to their file
+    const files = [];
+    $('a[href*="/documents/"], a[download]').each((i, el) => {
+        const $link = $(el);
+        const name = $link.attr('download') || $link.text().trim();
+        if (name) files.push({ name, url: absoluteUrl($link.attr('href')) });
+    });
+
+    const license = $('a[href*="creativecommons.org"]').first();
+
+    return normalizeDetail({
+        id,
+        source: 'youmagine',
+        title,
+        creator: $('a[href*="/users/"]').first().text().trim() || page.creator,
+        url,
+        description: htmlToText($('.description, [class*="description"]').first().html()) || page.description,
+        images: [...page.images, ...$('img.object-cover').map((i, el) => absoluteUrl($(el).attr('src') || '')).get()],
+        files,
+        license: license.text().trim() || license.attr('href') || page.license,
+        tags: [...$('a[href*="tag"]').map((i, el) => $(el).text().trim()).get(), ...page.tags],
+        publishedAt: $('time[datetime]').first().attr('datetime') || page.publishedAt
+    });
+}
+
+module.exports = {
+    ...createScraperSource(definition),
+    detail: fetchYouMagineDetail
+};
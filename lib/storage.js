@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Everything the server persists lives under DATA_DIR (mounted as a volume in Docker)
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function dataPath(...parts) {
+    return path.join(DATA_DIR, ...parts);
+}
+
+// Synchronous read for startup; a missing or corrupt file yields the fallback
+function readJsonFile(file, fallback) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read ${file}:`, error.message);
+        }
+        return fallback;
+    }
+}
+
+// Write via a temp file and rename so a crash never leaves half a file behind
+async function writeJsonFile(file, data) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(data));
+    await fs.promises.rename(tmp, file);
+}
+
+const writers = new Set();
+
+// Coalesce frequent changes into one write every `delayMs`
+function createDebouncedWriter(file, getData, delayMs = 1000) {
+    let timer = null;
+    let writing = Promise.resolve();
+
+    const flush = () => {
+        clearTimeout(timer);
+        timer = null;
+        writing = writing
+            .then(() => writeJsonFile(file, getData()))
+            .catch(error => console.error(`Failed to write ${file}:`, error.message));
+        return writing;
+    };
+
+    const schedule = () => {
+        if (!timer) {
+            timer = setTimeout(flush, delayMs);
+            timer.unref();
+        }
+    };
+
+    const writer = { schedule, flush, isPending: () => timer !== null };
+    writers.add(writer);
+    return writer;
+}
+
+// Write out anything still waiting - called on shutdown
+function flushAll() {
+    return Promise.all([...writers].filter(writer => writer.isPending()).map(writer => writer.flush()));
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJsonFile,
+    writeJsonFile,
+    createDebouncedWriter,
+    flushAll
+};
@@ -0,0 +1,80 @@
+const { listEntries } = require('./cache');
+const { listSavedSearches } = require('./saved-searches');
+const collections = require('./collections');
+const { getQueryStats } = require('./history');
+
+// ==================== SEARCH SUGGESTIONS ====================
+// Completions for /api/suggest (and the browser's search box through
+// /opensearch.xml), drawn from what this server already knows: the search
+// history, saved searches, queries still in the result cache, models kept in
+// collections and the titles of cached results. Nothing is fetched upstream
+// per keystroke.
+
+const MAX_SUGGESTIONS = 8;
+
+// Earlier sources rank higher when matches tie; past searches add their
+// frequency/recency score (see ./history) on top
+const WEIGHTS = { saved: 4, history: 3, query: 3, collection: 2, title: 1 };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function* candidates() {
+    for (const stat of getQueryStats()) {
+        yield { text: stat.query, kind: 'history', weight: WEIGHTS.history + stat.score, description: `Searched ${plural(stat.count, 'time')}` };
+    }
+    for (const saved of listSavedSearches()) {
+        yield { text: saved.query, kind: 'saved', weight: WEIGHTS.saved, description: 'Saved search' };
+    }
+    for (const [key, entry] of listEntries()) {
+        const [, kind, args] = key.match(/^[^:]+:([^:]+):(.*)$/) || [];
+        if (kind !== 'search') continue;
+        try {
+            const [query] = JSON.parse(args);
+            if (typeof query === 'string') yield { text: query, kind: 'query', weight: WEIGHTS.query, description: 'Recent search' };
+        } catch (e) {
+            continue;
+        }
+        for (const record of entry.results || []) {
+            yield { text: record.title, kind: 'title', weight: WEIGHTS.title, description: 'Model' };
+        }
+    }
+    for (const { id } of collections.listCollections()) {
+        for (const item of collections.getCollection(id).items) {
+            yield { text: item.model.title, kind: 'collection', weight: WEIGHTS.collection, description: 'In your collections' };
+        }
+    }
+}
+
+// [{ text, kind, description }]: prefix matches first, then matches at the start of a later word
+function getSuggestions(q, limit = MAX_SUGGESTIONS) {
+    const prefix = String(q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!prefix) return [];
+
+    const best = new Map();
+    for (const candidate of candidates()) {
+        if (typeof candidate.text !== 'string') continue;
+        const text = candidate.text.trim().replace(/\s+/g, ' ');
+        const normalized = text.toLowerCase();
+        if (!text || normalized === prefix || text.length > 100) continue;
+
+        const score = normalized.startsWith(prefix)
+            ? candidate.weight * 2
+            : normalized.includes(` ${prefix}`) ? candidate.weight : 0;
+        if (score === 0) continue;
+
+        // The first spelling seen is kept; the best-scoring kind describes it
+        const current = best.get(normalized);
+        if (!current || score > current.score) {
+            best.set(normalized, { text: current?.text || text, kind: candidate.kind, description: candidate.description, score });
+        }
+    }
+
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score || a.text.length - b.text.length || a.text.localeCompare(b.text))
+        .slice(0, limit)
+        .map(({ text, kind, description }) => ({ text, kind, description }));
+}
+
+module.exports = {
+    getSuggestions
+};
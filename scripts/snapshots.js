@@ -0,0 +1,92 @@
+// Inspect, prune and seed the fallback snapshots in DATA_DIR/snapshots.json:
+//
+//   npm run snapshots -- list [site]
+//   npm run snapshots -- show <id>
+//   npm run snapshots -- prune [--site thangs] [--older-than-days 30] [--keep 1] | --all
+//   npm run snapshots -- seed <site> [--live | --file models.json]
+//
+// A running server keeps its own copy of the snapshots and writes it back, so
+// stop it first or use /api/admin/snapshots instead.
+require('dotenv').config();
+
+const fs = require('fs');
+const sources = require('../lib/sources');
+const snapshots = require('../lib/snapshots');
+const { refreshFeed } = require('../lib/popular');
+const { STATUS } = require('../lib/sources/status');
+const { flushAll } = require('../lib/storage');
+
+// --name value pairs after the command and its positional arguments
+function parseFlags(args) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            const name = args[i].slice(2);
+            flags[name] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : true;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { flags, positional };
+}
+
+function printSnapshot(snapshot) {
+    const what = snapshot.kind === 'search' ? `search "${snapshot.query}"` : 'popular';
+    console.log(`${snapshot.id}  ${snapshot.capturedAt}  ${snapshot.site.padEnd(14)} ${what} - ${snapshot.count} models (${snapshot.origin})`);
+}
+
+async function seed(site, flags) {
+    const adapter = sources.getSource(site);
+    if (!adapter?.capabilities.popular) {
+        throw new snapshots.SnapshotError(400, `Unknown source or no popular list: "${site}"`);
+    }
+
+    if (flags.live) {
+        const feed = await refreshFeed(site);
+        if (feed.meta.status !== STATUS.OK) {
+            throw new Error(`${adapter.name} gave no live popular list (${feed.meta.status}: ${feed.meta.error || feed.meta.fallbackReason})`);
+        }
+        printSnapshot(snapshots.listSnapshots({ site, kind: 'popular' })[0]);
+        return;
+    }
+    const results = flags.file ? JSON.parse(fs.readFileSync(flags.file, 'utf8')) : undefined;
+    printSnapshot(snapshots.summarizeSnapshot(snapshots.seedSnapshot(site, results)));
+}
+
+async function main([command, ...args]) {
+    const { flags, positional } = parseFlags(args);
+
+    switch (command) {
+        case 'list':
+            snapshots.listSnapshots({ site: positional[0] }).forEach(printSnapshot);
+            break;
+        case 'show':
+            console.log(JSON.stringify(snapshots.getSnapshot(positional[0]), null, 2));
+            break;
+        case 'prune': {
+            if (!flags.site && flags['older-than-days'] === undefined && flags.keep === undefined && !flags.all) {
+                throw new Error('prune needs --site, --older-than-days or --keep; --all removes every snapshot');
+            }
+            const removed = snapshots.pruneSnapshots({
+                site: flags.site,
+                olderThanMs: flags['older-than-days'] !== undefined ? parseFloat(flags['older-than-days']) * 24 * 60 * 60 * 1000 : undefined,
+                keep: flags.keep !== undefined ? Number(flags.keep) : undefined
+            });
+            console.log(`Removed ${removed} snapshot(s)`);
+            break;
+        }
+        case 'seed':
+            await seed(positional[0], flags);
+            break;
+        default:
+            console.log('Usage: npm run snapshots -- list [site] | show <id> | prune [--site s] [--older-than-days n] [--keep n] | prune --all | seed <site> [--live | --file models.json]');
+            process.exitCode = 1;
+    }
+    await flushAll();
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -1,1000 +1,704 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
-const cheerio = require('cheerio');
-const crypto = require('crypto');
 const path = require('path');
+const sources = require('./lib/sources');
+const { runSource } = require('./lib/sources/runner');
+const { parseSearchOptions } = require('./lib/sources/options');
+const { getHealthReport } = require('./lib/sources/health');
+const { STATUS } = require('./lib/sources/status');
+const { getCacheStats } = require('./lib/cache');
+const { flushAll } = require('./lib/storage');
+const { getSchedulerStats } = require('./lib/http');
+const { fetchImage, parseThumbnailOptions, getThumbnail, getImageCacheStats, ImageFetchError } = require('./lib/images');
+const { mergeResults } = require('./lib/merge');
+const { parseLicenseFilter } = require('./lib/license');
+const { searchSource, searchLocal, resolveSearchSites, applyLicenseFilter } = require('./lib/search');
+const { getIndexStats } = require('./lib/local-index');
+const { parseQuery, describeQuery, restrictSites, buildUpstreamQuery } = require('./lib/query');
+const {
+    SavedSearchError,
+    createSavedSearch,
+    getSavedSearch,
+    deleteSavedSearch,
+    describeSavedSearch,
+    listSavedSearches,
+    getNewResults,
+    markRead,
+    runSavedSearch,
+    startSavedSearchRunner
+} = require('./lib/saved-searches');
+const { FEED_FORMATS, buildFeed, escapeXml } = require('./lib/feeds');
+const { isHistoryEnabled, recordSearch, listHistory, clearHistory } = require('./lib/history');
+const { getPopular, refreshFeed, startPopularRefresher } = require('./lib/popular');
+const snapshots = require('./lib/snapshots');
+const collections = require('./lib/collections');
+const { negotiateFormat, sendExport } = require('./lib/export');
+const { getSuggestions } = require('./lib/suggest');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const THINGIVERSE_API_KEY = process.env.THINGIVERSE_API_KEY || '';
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Collection imports can be larger than the default 100kb
+app.use(express.json({ limit: '2mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Common headers for requests
-const getHeaders = () => ({
-    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-    'Accept-Language': 'en-US,en;q=0.9',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Cache-Control': 'no-cache',
-});
-
-// Helper function to safely fetch with timeout
-async function safeFetch(url, options = {}) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 20000);
+// ==================== API ROUTES ====================
 
+// Result routes answer format=csv|jsonl|md (or a matching Accept header) as a download
+function exportFormat(req, res, next) {
+    res.vary('Accept');
     try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal,
-            headers: { ...getHeaders(), ...options.headers }
-        });
-        clearTimeout(timeout);
-        return response;
+        res.locals.format = negotiateFormat(req);
+        next();
     } catch (error) {
-        clearTimeout(timeout);
-        throw error;
+        res.status(error.status).json({ error: error.message });
     }
 }
 
-// Simple in-memory cache for popular models
-const popularCache = {
-    data: null,
-    timestamp: 0,
-    TTL: 5 * 60 * 1000 // 5 minutes
-};
+// Image proxy - fetches source CDN images server-side to bypass hotlink protection.
+// w, h and format (webp/jpeg/avif) return a resized thumbnail instead of the original.
+app.get('/api/image', async (req, res) => {
+    const { url } = req.query;
 
-// ==================== PRINTABLES ====================
-async function searchPrintables(query, limit = 10, page = 1) {
-    try {
-        // Printables GraphQL API
-        const graphqlUrl = 'https://api.printables.com/graphql/';
-        const offset = (page - 1) * limit;
-
-        // Search query - using searchPrints2
-        const searchQuery = {
-            query: `
-                query SearchPrints($query: String!, $limit: Int, $offset: Int) {
-                    searchPrints2(query: $query, limit: $limit, offset: $offset) {
-                        items {
-                            id
-                            name
-                            slug
-                            likesCount
-                            downloadCount
-                            user {
-                                publicUsername
-                            }
-                            image {
-                                filePath
-                            }
-                        }
-                    }
-                }
-            `,
-            variables: {
-                query: query,
-                limit: limit,
-                offset: offset
-            }
-        };
+    if (!url || typeof url !== 'string') {
+        return res.status(400).json({ error: 'URL parameter required', reason: 'invalid_url' });
+    }
 
-        const response = await safeFetch(graphqlUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-            body: JSON.stringify(searchQuery)
-        });
+    try {
+        const thumbnailOptions = parseThumbnailOptions(req.query);
+        const { buffer, contentType, etag } = thumbnailOptions
+            ? await getThumbnail(url, thumbnailOptions)
+            : await fetchImage(url);
 
-        if (response.ok) {
-            const data = await response.json();
-            const items = data?.data?.searchPrints2?.items || [];
-
-            return items.map(item => ({
-                title: item.name || 'Untitled',
-                creator: item.user?.publicUsername || 'Unknown',
-                thumbnail: item.image?.filePath
-                    ? `https://media.printables.com/${item.image.filePath}`
-                    : '',
-                url: `https://www.printables.com/model/${item.id}-${item.slug || ''}`,
-                likes: item.likesCount || 0,
-                downloads: item.downloadCount || 0,
-                source: 'printables'
-            }));
+        res.set('Content-Type', contentType);
+        res.set('ETag', etag);
+        // Thumbnails are derived from the URL alone, so browsers may keep them longer
+        res.set('Cache-Control', `public, max-age=${thumbnailOptions ? 86400 : 1800}`);
+        res.set('X-Content-Type-Options', 'nosniff');
+        if (req.fresh) {
+            return res.status(304).end();
         }
-
-        console.error('Printables API response not ok:', response.status);
-        return [];
+        res.send(buffer);
     } catch (error) {
-        console.error('Printables search error:', error.message);
-        return [];
+        console.error('Image proxy error:', error.message);
+        if (error instanceof ImageFetchError) {
+            return res.status(error.status).json({ error: error.message, reason: error.reason });
+        }
+        res.status(500).json({ error: 'Failed to fetch image' });
+    }
+});
+
+// List registered sources and what they support
+app.get('/api/sources', (req, res) => {
+    res.json({ sources: sources.listSources().map(sources.describeSource) });
+});
+
+// live asks the sources; local searches the models seen before (see lib/local-index)
+const SEARCH_MODES = ['live', 'local'];
+
+// Parse ?q= and its operators (see lib/query); answers 400 and returns null when there's nothing to search for
+function readSearchQuery(req, res) {
+    if (!req.query.q) {
+        res.status(400).json({ error: 'Query parameter "q" is required' });
+        return null;
+    }
+    // Repeated or bracketed parameters (?q[]=benchy) arrive as arrays and objects
+    if (typeof req.query.q !== 'string') {
+        res.status(400).json({ error: 'Query parameter "q" must be given once' });
+        return null;
     }
+    const parsed = parseQuery(req.query.q);
+    if (!parsed.text) {
+        res.status(400).json({ error: 'Query needs words to search for besides its operators', interpretation: describeQuery(parsed) });
+        return null;
+    }
+    return parsed;
 }
 
-// ==================== THANGS ====================
-async function searchThangs(query, limit = 10, page = 1) {
+// Search all sites
+app.get('/api/search', exportFormat, async (req, res) => {
+    const { sites: siteParam, limit = 10, page = 1, mode = 'live' } = req.query;
+    const fresh = req.query.fresh === '1';
+
+    if (!SEARCH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Unknown mode "${mode}"`, modes: SEARCH_MODES });
+    }
+    const parsed = readSearchQuery(req, res);
+    if (!parsed) return;
+
     try {
-        // Thangs has a public search API
-        const searchUrl = `https://thangs.com/api/models/search?q=${encodeURIComponent(query)}&limit=${limit}&page=${page}&sort=popular`;
+        const enabledSites = resolveSearchSites(siteParam, parsed);
+        const searchLimit = Math.min(parseInt(limit) || 10, 20);
+        const searchPage = Math.max(parseInt(page) || 1, 1);
+        const searchOptions = {
+            limit: searchLimit,
+            page: searchPage,
+            options: parseSearchOptions(req.query),
+            licenseFilter: parseLicenseFilter(req.query),
+            fresh
+        };
 
-        const response = await safeFetch(searchUrl, {
-            headers: {
-                'Accept': 'application/json',
-            }
-        });
+        console.log(`Searching for "${parsed.raw}" on sites: ${enabledSites.join(', ')} (page ${searchPage}${mode === 'local' ? ', local index' : ''})`);
 
-        if (response.ok) {
-            const text = await response.text();
-            try {
-                const data = JSON.parse(text);
-                const items = data?.results || data?.models || data || [];
-
-                if (Array.isArray(items)) {
-                    return items.slice(0, limit).map(item => ({
-                        title: item.name || item.title || 'Untitled',
-                        creator: item.owner?.username || item.ownerUsername || item.creator || 'Unknown',
-                        thumbnail: item.thumbnailUrl || item.previewUrl || item.thumbnail || '',
-                        url: item.publicUrl || item.url || `https://thangs.com/model/${item.id || item.modelId}`,
-                        likes: item.likes || item.likeCount || 0,
-                        downloads: item.downloads || item.downloadCount || 0,
-                        source: 'thangs'
-                    }));
-                }
-            } catch (e) {
-                console.error('Thangs JSON parse error');
-            }
-        }
+        const results = await Promise.all(enabledSites.map(site => mode === 'local'
+            ? searchLocal(site, parsed, searchOptions)
+            : searchSource(site, parsed, searchOptions)
+        ));
 
-        // Fallback: Try alternate API endpoint
-        const altUrl = `https://thangs.com/api/search?query=${encodeURIComponent(query)}&pageSize=${limit}&page=${page}`;
-        const altResponse = await safeFetch(altUrl, {
-            headers: { 'Accept': 'application/json' }
+        const response = {
+            mode,
+            page: searchPage,
+            limit: searchLimit,
+            interpretation: describeQuery(parsed),
+            results: {},
+            meta: {}
+        };
+        results.forEach(result => {
+            response.results[result.site] = result.results;
+            response.meta[result.site] = result.meta;
         });
+        // Later pages aren't new searches, and the local index is no search of the sources
+        if (searchPage === 1 && mode === 'live') recordSearch(parsed.raw, results);
+
+        if (res.locals.format !== 'json') {
+            return sendExport(res, res.locals.format, {
+                results: response.results,
+                title: `Results for "${parsed.raw}"`,
+                filenameParts: [parsed.raw, searchPage > 1 && `page ${searchPage}`]
+            });
+        }
 
-        if (altResponse.ok) {
-            const data = await altResponse.json();
-            const items = data?.models || data?.results || [];
-            return items.slice(0, limit).map(item => ({
-                title: item.name || item.title || 'Untitled',
-                creator: item.ownerUsername || item.owner?.username || 'Unknown',
-                thumbnail: item.thumbnailUrl || '',
-                url: item.publicUrl || `https://thangs.com/model/${item.id}`,
-                likes: item.likeCount || 0,
-                downloads: item.downloadCount || 0,
-                source: 'thangs'
-            }));
+        // merge=1: one entry per design across sources, ranked; phash=1 also compares thumbnails
+        if (req.query.merge === '1') {
+            response.merged = await mergeResults(response.results, { query: parsed.text, useImageHash: req.query.phash === '1' });
         }
 
-        return [];
+        res.json(response);
     } catch (error) {
-        console.error('Thangs search error:', error.message);
-        return [];
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed', message: error.message });
     }
-}
-
-// ==================== THINGIVERSE ====================
-async function searchThingiverse(query, limit = 10, page = 1) {
-    try {
-        // If API key is available, use the official API
-        if (THINGIVERSE_API_KEY) {
-            try {
-                const apiUrl = `https://api.thingiverse.com/search/${encodeURIComponent(query)}?per_page=${limit}&page=${page}&sort=relevant`;
-                const apiResponse = await fetch(apiUrl, {
-                    headers: {
-                        'Authorization': `Bearer ${THINGIVERSE_API_KEY}`,
-                        'Accept': 'application/json'
-                    }
-                });
-
-                if (apiResponse.ok) {
-                    const data = await apiResponse.json();
-                    const hits = data.hits || data || [];
-
-                    if (Array.isArray(hits) && hits.length > 0) {
-                        console.log(`Thingiverse API: found ${hits.length} results for "${query}"`);
-                        return hits.slice(0, limit).map(thing => ({
-                            title: thing.name || 'Untitled',
-                            creator: thing.creator?.name || thing.creator?.username || 'Unknown',
-                            thumbnail: thing.preview_image || thing.thumbnail || '',
-                            url: `https://www.thingiverse.com/thing:${thing.id}`,
-                            likes: thing.like_count || thing.likes || 0,
-                            downloads: thing.download_count || thing.downloads || thing.collect_count || 0,
-                            source: 'thingiverse'
-                        }));
-                    }
-                } else {
-                    console.error(`Thingiverse API error: ${apiResponse.status}`);
-                }
-            } catch (apiError) {
-                console.error('Thingiverse API error:', apiError.message);
-            }
-        }
-        else {
-            console.log('No Thingiverse API key provided')
-        }
+});
 
-        // Fallback: Try scraping the search results page
-        const searchUrl = `https://www.thingiverse.com/search?q=${encodeURIComponent(query)}&type=things&sort=relevant&page=${page}`;
-
-        const response = await safeFetch(searchUrl);
-        const html = await response.text();
-
-        // Thingiverse uses Next.js, so data might be in __NEXT_DATA__
-        const nextDataMatch = html.match(/<script id="__NEXT_DATA__" type="application\/json">([^<]+)<\/script>/);
-
-        if (nextDataMatch) {
-            try {
-                const nextData = JSON.parse(nextDataMatch[1]);
-                const things = nextData?.props?.pageProps?.things ||
-                              nextData?.props?.pageProps?.searchResults?.things ||
-                              nextData?.props?.pageProps?.initialState?.search?.results || [];
-
-                if (Array.isArray(things) && things.length > 0) {
-                    return things.slice(0, limit).map(thing => ({
-                        title: thing.name || 'Untitled',
-                        creator: thing.creator?.name || thing.creator?.username || 'Unknown',
-                        thumbnail: thing.preview_image || thing.thumbnail || '',
-                        url: `https://www.thingiverse.com/thing:${thing.id}`,
-                        likes: thing.like_count || thing.likes || 0,
-                        downloads: thing.download_count || thing.downloads || 0,
-                        source: 'thingiverse'
-                    }));
-                }
-            } catch (e) {
-                console.error('Thingiverse NEXT_DATA parse error:', e.message);
-            }
-        }
+// Search all sites, streaming each source's results as Server-Sent Events as soon as it responds
+app.get('/api/search-stream', async (req, res) => {
+    const { sites: siteParam, limit = 10, page = 1 } = req.query;
+    const fresh = req.query.fresh === '1';
 
-        // Fallback: try cheerio parsing
-        const $ = cheerio.load(html);
-        const results = [];
-
-        // Try multiple selectors
-        $('[class*="ThingCard"], [class*="thing-card"], .thing-card-body, a[href*="/thing:"]').each((i, el) => {
-            if (results.length >= limit) return false;
-
-            const $el = $(el);
-            const link = $el.is('a') ? $el : $el.find('a[href*="/thing:"]').first();
-            const href = link.attr('href');
-
-            if (href && href.includes('/thing:')) {
-                const title = $el.find('[class*="title"], [class*="name"], h3, h4').text().trim() ||
-                             link.attr('title') ||
-                             'Untitled';
-                const img = $el.find('img').first();
-                const thumbnail = img.attr('src') || img.attr('data-src') || '';
-
-                results.push({
-                    title,
-                    creator: 'Unknown',
-                    thumbnail,
-                    url: href.startsWith('http') ? href : `https://www.thingiverse.com${href}`,
-                    likes: 0,
-                    downloads: 0,
-                    source: 'thingiverse'
-                });
-            }
-        });
+    const parsed = readSearchQuery(req, res);
+    if (!parsed) return;
 
-        return results;
-    } catch (error) {
-        console.error('Thingiverse search error:', error.message);
-        return [];
-    }
-}
+    // Keep searching if the client goes away - slow sources can't be cancelled anyway
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    const send = (event, data) => {
+        if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-// ==================== MYMINIFACTORY ====================
-async function searchMyMiniFactory(query, limit = 10, page = 1) {
     try {
-        // Try API endpoint first
-        const apiUrl = `https://www.myminifactory.com/api/v2/search?q=${encodeURIComponent(query)}&limit=${limit}&page=${page}`;
+        const enabledSites = resolveSearchSites(siteParam, parsed);
+        const searchLimit = Math.min(parseInt(limit) || 10, 20);
+        const searchPage = Math.max(parseInt(page) || 1, 1);
+        const searchOptions = {
+            limit: searchLimit,
+            page: searchPage,
+            options: parseSearchOptions(req.query),
+            licenseFilter: parseLicenseFilter(req.query),
+            fresh
+        };
+        const started = Date.now();
 
-        const response = await safeFetch(apiUrl, {
-            headers: {
-                'Accept': 'application/json',
-            }
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
         });
+        res.flushHeaders();
 
-        if (response.ok) {
-            const text = await response.text();
-            try {
-                const data = JSON.parse(text);
-                const items = data?.items || data?.objects || data?.results || [];
-
-                if (Array.isArray(items) && items.length > 0) {
-                    return items.slice(0, limit).map(item => ({
-                        title: item.name || item.title || 'Untitled',
-                        creator: item.designer?.name || item.designer?.username || item.user?.name || 'Unknown',
-                        thumbnail: item.images?.[0]?.thumbnail?.url || item.images?.[0]?.url || item.thumbnail || '',
-                        url: item.url || `https://www.myminifactory.com/object/${item.slug || item.id}`,
-                        likes: item.likes || 0,
-                        downloads: item.downloads || item.views || 0,
-                        source: 'myminifactory'
-                    }));
-                }
-            } catch (e) {
-                // Not JSON, try scraping
-            }
-        }
+        console.log(`Streaming search for "${parsed.raw}" on sites: ${enabledSites.join(', ')} (page ${searchPage})`);
+        send('start', { query: parsed.raw, interpretation: describeQuery(parsed), page: searchPage, limit: searchLimit, sites: enabledSites });
 
-        // Fallback: scrape search page
-        const searchUrl = `https://www.myminifactory.com/search/?query=${encodeURIComponent(query)}&page=${page}`;
-        const htmlResponse = await safeFetch(searchUrl);
-        const html = await htmlResponse.text();
-        const $ = cheerio.load(html);
-
-        const results = [];
-        $('a[href*="/object/"]').each((i, el) => {
-            if (results.length >= limit) return false;
-
-            const $el = $(el);
-            const href = $el.attr('href');
-            const $card = $el.closest('[class*="card"], [class*="item"], .col');
-
-            const title = $card.find('[class*="title"], h3, h4, h5').text().trim() ||
-                         $el.attr('title') || '';
-            const img = $card.find('img').first();
-            const thumbnail = img.attr('src') || img.attr('data-src') || '';
-
-            if (href && title && !results.find(r => r.url.includes(href))) {
-                results.push({
-                    title,
-                    creator: 'Unknown',
-                    thumbnail,
-                    url: href.startsWith('http') ? href : `https://www.myminifactory.com${href}`,
-                    likes: 0,
-                    downloads: 0,
-                    source: 'myminifactory'
-                });
-            }
-        });
+        const outcomes = await Promise.all(enabledSites.map(async site => {
+            const outcome = await searchSource(site, parsed, searchOptions);
+            send('source', outcome);
+            return outcome;
+        }));
+        if (searchPage === 1) recordSearch(parsed.raw, outcomes);
 
-        return results;
+        send('done', {
+            page: searchPage,
+            limit: searchLimit,
+            durationMs: Date.now() - started,
+            totalResults: outcomes.reduce((sum, outcome) => sum + outcome.results.length, 0),
+            meta: Object.fromEntries(outcomes.map(outcome => [outcome.site, outcome.meta]))
+        });
+        res.end();
     } catch (error) {
-        console.error('MyMiniFactory search error:', error.message);
-        return [];
+        console.error('Streaming search error:', error);
+        // Before the stream starts this is an ordinary error response; after, its last event
+        if (!res.headersSent) {
+            return res.status(500).json({ error: 'Search failed', message: error.message });
+        }
+        send('error', { error: 'Search failed', message: error.message });
+        res.end();
     }
-}
+});
 
-// ==================== CREALITY CLOUD ====================
-async function searchCrealityCloud(query, limit = 10, page = 1) {
-    try {
-        const response = await safeFetch('https://www.crealitycloud.com/api/cxy/search/model', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, text/plain, */*',
-                '__cxy_app_ch_': 'Chrome 144.0.0.0',
-                '__cxy_app_id_': 'creality_model',
-                '__cxy_app_ver_': '6.0.0',
-                '__cxy_brand_': 'creality',
-                '__cxy_duid_': 'uuid-' + crypto.randomUUID(),
-                '__cxy_jwtoken_': '',
-                '__cxy_os_lang_': '0',
-                '__cxy_os_ver_': 'Linux x86_64',
-                '__cxy_platform_': '2',
-                '__cxy_requestid_': crypto.randomUUID(),
-                '__cxy_timezone_': '-18000',
-                '__cxy_token_': '',
-                '__cxy_uid_': '',
-                '_x_cxy_ehrtoken_': '',
-                'Origin': 'https://www.crealitycloud.com',
-                'Referer': 'https://www.crealitycloud.com/'
-            },
-            body: JSON.stringify({
-                page: page,
-                pageSize: limit,
-                sortType: 11,
-                isPay: 0,
-                hasCfgFile: 0,
-                isVip: 0,
-                isExclusive: 0,
-                multiMarkType: 0,
-                hasPromo: 0,
-                promoType: 0,
-                keyword: query
-            })
-        });
+// Search individual site - the path names the source, so site: operators in the query don't apply
+app.get('/api/search/:site', exportFormat, async (req, res) => {
+    const { site } = req.params;
+    const { limit = 10, page = 1 } = req.query;
+    const fresh = req.query.fresh === '1';
 
-        if (response.ok) {
-            const data = await response.json();
-            if (data.code === 0 && data.result?.list) {
-                return data.result.list.map(item => ({
-                    title: item.groupName || 'Untitled',
-                    creator: item.userInfo?.nickName || 'Unknown',
-                    thumbnail: item.covers?.[0]?.url || '',
-                    url: `https://www.crealitycloud.com/model-detail/${item.id}`,
-                    likes: item.likeCount || 0,
-                    downloads: item.downloadCount || 0,
-                    source: 'crealitycloud'
-                }));
-            }
-        }
+    const parsed = readSearchQuery(req, res);
+    if (!parsed) return;
 
-        return [];
-    } catch (error) {
-        console.error('Creality Cloud search error:', error.message);
-        return [];
+    const validSites = sources.getEnabledSources('search').map(adapter => adapter.id);
+    if (!validSites.includes(site)) {
+        return res.status(400).json({ error: 'Invalid site', validSites });
     }
-}
 
-// ==================== YOUMAGINE ====================
-async function searchYouMagine(query, limit = 10, page = 1) {
     try {
-        // Use youmagine.com without www (www redirects)
-        const searchUrl = `https://youmagine.com/designs?q=${encodeURIComponent(query)}&page=${page}`;
-        const response = await safeFetch(searchUrl, { redirect: 'follow' });
-        const html = await response.text();
-        const $ = cheerio.load(html);
-
-        const results = [];
-        const seen = new Set();
-
-        // Find all model card images (they have the title in alt attribute)
-        $('img.object-cover[alt]').each((i, el) => {
-            if (results.length >= limit) return false;
-
-            const $img = $(el);
-            const alt = $img.attr('alt') || '';
-            const src = $img.attr('src') || '';
-
-            // Skip small images (avatars, icons) - model images have w-full h-full
-            if (!$img.hasClass('w-full') || !src || alt === 'YouMagine') return;
-
-            // Find the parent link
-            const $link = $img.closest('a[href*="/designs/"]');
-            const href = $link.attr('href');
-
-            if (href && !href.endsWith('/designs/') && !seen.has(href)) {
-                seen.add(href);
-                const thumbnail = src.startsWith('http') ? src : `https://youmagine.com${src}`;
-                const url = href.startsWith('http') ? href : `https://youmagine.com${href}`;
-
-                results.push({
-                    title: alt || 'Untitled',
-                    creator: 'Unknown',
-                    thumbnail,
-                    url,
-                    likes: 0,
-                    downloads: 0,
-                    source: 'youmagine'
-                });
-            }
+        const searchLimit = Math.min(parseInt(limit) || 10, 20);
+        const searchPage = Math.max(parseInt(page) || 1, 1);
+        const { results, meta } = await searchSource(site, parsed, {
+            limit: searchLimit,
+            page: searchPage,
+            options: parseSearchOptions(req.query),
+            licenseFilter: parseLicenseFilter(req.query),
+            fresh
         });
-
-        return results;
+        if (res.locals.format !== 'json') {
+            return sendExport(res, res.locals.format, {
+                results: { [site]: results },
+                title: `${sources.getSource(site).name} results for "${parsed.raw}"`,
+                filenameParts: [parsed.raw, site, searchPage > 1 && `page ${searchPage}`]
+            });
+        }
+        res.json({ site, page: searchPage, interpretation: describeQuery(parsed), results, meta });
     } catch (error) {
-        console.error('YouMagine search error:', error.message);
-        return [];
+        console.error(`${site} search error:`, error);
+        res.status(500).json({ error: 'Search failed', message: error.message });
     }
-}
+});
 
-// ==================== FETCH POPULAR FUNCTIONS ====================
-
-// Curated fallback data for sources that have bot protection
-// Thumbnails use CDN URLs - frontend routes them through /api/image proxy
-const fallbackPopularModels = {
-    thingiverse: [
-        { title: 'Flexi Rex (T-Rex)', creator: 'DrLex', thumbnail: 'https://cdn.thingiverse.com/renders/9e/f5/92/56/d5/5e04faf6b1ebee0735ffb82771ca9051_preview_featured.jpg', url: 'https://www.thingiverse.com/thing:2738211', likes: 45000, downloads: 890000, source: 'thingiverse' },
-        { title: 'Low Poly Pikachu', creator: 'FLOWALISTIK', thumbnail: 'https://cdn.thingiverse.com/renders/60/5d/6d/72/c4/pikachu_low_poly_pokemon_flowalistik_preview_featured.jpg', url: 'https://www.thingiverse.com/thing:376601', likes: 22000, downloads: 410000, source: 'thingiverse' },
-        { title: 'Phone Stand', creator: 'WilliamAAdams', thumbnail: 'https://cdn.thingiverse.com/renders/37/83/e7/42/ac/841e55362ab601e2ed4c2de08074e8b2_preview_featured.jpg', url: 'https://www.thingiverse.com/thing:2194278', likes: 32000, downloads: 650000, source: 'thingiverse' },
-        { title: 'Modular Hex Drawers', creator: 'O3D', thumbnail: 'https://cdn.thingiverse.com/renders/8f/98/c7/7a/98/60acf4823a53e317955cdddbf12ddd12_preview_featured.jpg', url: 'https://www.thingiverse.com/thing:2425429', likes: 20000, downloads: 380000, source: 'thingiverse' },
-        { title: 'Articulated Slug', creator: 'Fizz Creations', thumbnail: 'https://cdn.thingiverse.com/assets/d6/82/8f/11/12/featured_preview_CoverPhoto.jpg', url: 'https://www.thingiverse.com/thing:4727448', likes: 15000, downloads: 280000, source: 'thingiverse' },
-        { title: 'Raspberry Pi 4 Case', creator: 'Malolo', thumbnail: 'https://cdn.thingiverse.com/assets/21/f7/ca/64/68/featured_preview_Logo_MM3.jpg', url: 'https://www.thingiverse.com/thing:3723561', likes: 18000, downloads: 350000, source: 'thingiverse' },
-        { title: 'Cable Management Clips', creator: 'Filar3D', thumbnail: 'https://cdn.thingiverse.com/assets/f3/ba/2e/d3/d0/featured_preview_IMG_20170804_104455.jpg', url: 'https://www.thingiverse.com/thing:2466594', likes: 25000, downloads: 480000, source: 'thingiverse' },
-        { title: '3DBenchy', creator: 'CreativeTools', thumbnail: '', url: 'https://www.thingiverse.com/thing:763622', likes: 17000, downloads: 340000, source: 'thingiverse' },
-        { title: 'Articulated Dragon', creator: 'McGybeer', thumbnail: '', url: 'https://www.thingiverse.com/thing:4817953', likes: 28000, downloads: 520000, source: 'thingiverse' },
-        { title: 'Flexi Shark', creator: 'McGybeer', thumbnail: '', url: 'https://www.thingiverse.com/thing:4846879', likes: 12000, downloads: 220000, source: 'thingiverse' }
-    ],
-    thangs: [
-        { title: 'Articulated Axolotl', creator: 'Printed Obsession', thumbnail: '', url: 'https://thangs.com/designer/PrintedObsession/3d-model/Articulated%20Axolotl-799498', likes: 31000, downloads: 620000, source: 'thangs' },
-        { title: 'Baby Groot Planter', creator: 'Fotis Mint', thumbnail: '', url: 'https://thangs.com/designer/Fotis%20Mint/3d-model/Baby%20Groot%20Flower%20Pot-38826', likes: 26000, downloads: 510000, source: 'thangs' },
-        { title: 'Flexi Octopus', creator: 'McGybeer', thumbnail: '', url: 'https://thangs.com/designer/McGybeer/3d-model/Cute%20Flexi%20Print-in-Place%20Octopus-798703', likes: 23000, downloads: 440000, source: 'thangs' },
-        { title: 'Mandalorian Helmet', creator: 'Galactic Armory', thumbnail: '', url: 'https://thangs.com/designer/Galactic%20Armory/3d-model/The%20Mandalorian%20Helmet-45873', likes: 20000, downloads: 390000, source: 'thangs' },
-        { title: 'Articulated Dragon', creator: 'McGybeer', thumbnail: '', url: 'https://thangs.com/designer/McGybeer/3d-model/Articulated%20Dragon-798707', likes: 18000, downloads: 350000, source: 'thangs' },
-        { title: 'Headphone Stand', creator: 'Various', thumbnail: '', url: 'https://thangs.com/search/headphone%20stand', likes: 16000, downloads: 310000, source: 'thangs' },
-        { title: 'Dice Tower', creator: 'Various', thumbnail: '', url: 'https://thangs.com/search/dice%20tower', likes: 15000, downloads: 290000, source: 'thangs' },
-        { title: 'Cable Organizer', creator: 'Various', thumbnail: '', url: 'https://thangs.com/search/cable%20organizer', likes: 14000, downloads: 270000, source: 'thangs' },
-        { title: 'Phone Stand', creator: 'Various', thumbnail: '', url: 'https://thangs.com/search/phone%20stand', likes: 13000, downloads: 250000, source: 'thangs' },
-        { title: 'Geometric Vase', creator: 'Various', thumbnail: '', url: 'https://thangs.com/search/geometric%20vase', likes: 12000, downloads: 230000, source: 'thangs' }
-    ],
-    myminifactory: [
-        { title: 'The Dragon', creator: 'Fotis Mint', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-the-dragon-100769', likes: 42000, downloads: 810000, source: 'myminifactory' },
-        { title: 'Cthulhu', creator: 'Fotis Mint', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-cthulhu-30203', likes: 35000, downloads: 680000, source: 'myminifactory' },
-        { title: 'Dice Guardian', creator: 'mz4250', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-dice-guardian-12345', likes: 28000, downloads: 540000, source: 'myminifactory' },
-        { title: 'Mind Flayer', creator: 'mz4250', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-mind-flayer-32001', likes: 25000, downloads: 480000, source: 'myminifactory' },
-        { title: 'Articulated Knight', creator: 'Printed Obsession', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-articulated-knight-56789', likes: 22000, downloads: 420000, source: 'myminifactory' },
-        { title: 'Baby Yoda', creator: 'Fotis Mint', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-baby-yoda-117365', likes: 20000, downloads: 380000, source: 'myminifactory' },
-        { title: 'Greek Statue Collection', creator: 'Scan The World', thumbnail: '', url: 'https://www.myminifactory.com/users/Scan%20The%20World', likes: 18000, downloads: 350000, source: 'myminifactory' },
-        { title: 'Terrain Set', creator: 'Printable Scenery', thumbnail: '', url: 'https://www.myminifactory.com/users/Printable%20Scenery', likes: 16000, downloads: 310000, source: 'myminifactory' },
-        { title: 'Beholder', creator: 'mz4250', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-beholder-28947', likes: 15000, downloads: 290000, source: 'myminifactory' },
-        { title: 'Dragon Bust', creator: 'Fotis Mint', thumbnail: '', url: 'https://www.myminifactory.com/object/3d-print-dragon-bust-100770', likes: 14000, downloads: 270000, source: 'myminifactory' }
-    ]
-};
-
-async function fetchPopularThingiverse(limit = 10) {
-    // If API key is available, use the official API
-    if (THINGIVERSE_API_KEY) {
-        try {
-            const apiUrl = `https://api.thingiverse.com/popular?per_page=${limit}`;
-            const apiResponse = await fetch(apiUrl, {
-                headers: {
-                    'Authorization': `Bearer ${THINGIVERSE_API_KEY}`,
-                    'Accept': 'application/json'
-                }
-            });
+// Full details of one model, fetched from its source
+app.get('/api/model/:source/:id', async (req, res) => {
+    const { source, id } = req.params;
+    const fresh = req.query.fresh === '1';
 
-            if (apiResponse.ok) {
-                const data = await apiResponse.json();
-                const things = data.hits || data || [];
-
-                if (Array.isArray(things) && things.length > 0) {
-                    console.log(`Thingiverse API: found ${things.length} popular models`);
-                    return things.slice(0, limit).map(thing => ({
-                        title: thing.name || 'Untitled',
-                        creator: thing.creator?.name || thing.creator?.username || 'Unknown',
-                        thumbnail: thing.preview_image || thing.thumbnail || '',
-                        url: `https://www.thingiverse.com/thing:${thing.id}`,
-                        likes: thing.like_count || thing.likes || 0,
-                        downloads: thing.download_count || thing.downloads || thing.collect_count || 0,
-                        source: 'thingiverse'
-                    }));
-                }
-            } else {
-                console.error(`Thingiverse API error: ${apiResponse.status}`);
-            }
-        } catch (apiError) {
-            console.error('Thingiverse API error:', apiError.message);
-        }
+    const validSources = sources.getEnabledSources('detail').map(adapter => adapter.id);
+    if (!validSources.includes(source)) {
+        return res.status(400).json({ error: 'Source does not provide model details', validSources });
     }
 
-    // Fallback: Return curated data
-    console.log('Thingiverse: Using fallback data (no API key or API error)');
-    return fallbackPopularModels.thingiverse.slice(0, limit);
-}
-
-async function fetchPopularPrintables(limit = 10) {
     try {
-        const graphqlUrl = 'https://api.printables.com/graphql/';
-
-        // Try with ordering parameter for popular/most downloaded
-        const searchQuery = {
-            query: `
-                query SearchPrints($limit: Int) {
-                    searchPrints2(query: "", limit: $limit, ordering: "-download_count") {
-                        items {
-                            id
-                            name
-                            slug
-                            likesCount
-                            downloadCount
-                            user {
-                                publicUsername
-                            }
-                            image {
-                                filePath
-                            }
-                        }
-                    }
-                }
-            `,
-            variables: { limit }
-        };
-
-        const response = await safeFetch(graphqlUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-            body: JSON.stringify(searchQuery)
-        });
-
-        if (response.ok) {
-            const data = await response.json();
-            const items = data?.data?.searchPrints2?.items || [];
-
-            if (items.length > 0) {
-                return items.map(item => ({
-                    title: item.name || 'Untitled',
-                    creator: item.user?.publicUsername || 'Unknown',
-                    thumbnail: item.image?.filePath
-                        ? `https://media.printables.com/${item.image.filePath}`
-                        : '',
-                    url: `https://www.printables.com/model/${item.id}-${item.slug || ''}`,
-                    likes: item.likesCount || 0,
-                    downloads: item.downloadCount || 0,
-                    source: 'printables'
-                }));
-            }
+        const { results, meta } = await runSource(source, 'detail', [id], { fresh });
+        if (results.length === 0) {
+            // Upstream "not found" stays a 404; anything else is a failed upstream
+            const status = meta.httpStatus === 404 ? 404 : 502;
+            return res.status(status).json({ error: meta.error || 'Model not found', meta });
         }
-
-        // Fallback: use search with common popular term
-        return searchPrintables('gridfinity', limit);
+        res.json({ model: results[0], meta });
     } catch (error) {
-        console.error('Printables popular fetch error:', error.message);
-        return [];
+        console.error(`${source} detail error:`, error);
+        res.status(500).json({ error: 'Model lookup failed', message: error.message });
     }
-}
-
-async function fetchPopularThangs(limit = 10) {
-    // Thangs has Cloudflare protection, use fallback data
-    console.log('Thangs: Using fallback data (Cloudflare protected)');
-    return fallbackPopularModels.thangs.slice(0, limit);
-}
+});
 
-async function fetchPopularMyMiniFactory(limit = 10) {
-    // MyMiniFactory has Cloudflare protection, use fallback data
-    console.log('MyMiniFactory: Using fallback data (Cloudflare protected)');
-    return fallbackPopularModels.myminifactory.slice(0, limit);
-}
+// Get popular models from the per-source feeds the background refresher keeps
+app.get('/api/popular', exportFormat, async (req, res) => {
+    const { sites: siteParam, limit = 10 } = req.query;
+    const fresh = req.query.fresh === '1';
 
-async function fetchPopularCrealityCloud(limit = 10) {
     try {
-        const response = await safeFetch('https://www.crealitycloud.com/api/cxy/v3/model/listTrend', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json, text/plain, */*',
-                '__cxy_app_ch_': 'Chrome 144.0.0.0',
-                '__cxy_app_id_': 'creality_model',
-                '__cxy_app_ver_': '6.0.0',
-                '__cxy_brand_': 'creality',
-                '__cxy_duid_': 'uuid-' + crypto.randomUUID(),
-                '__cxy_jwtoken_': '',
-                '__cxy_os_lang_': '0',
-                '__cxy_os_ver_': 'Linux x86_64',
-                '__cxy_platform_': '2',
-                '__cxy_requestid_': crypto.randomUUID(),
-                '__cxy_timezone_': '-18000',
-                '__cxy_token_': '',
-                '__cxy_uid_': '',
-                '_x_cxy_ehrtoken_': '',
-                'Origin': 'https://www.crealitycloud.com',
-                'Referer': 'https://www.crealitycloud.com/'
-            },
-            body: JSON.stringify({
-                page: 1,
-                pageSize: limit,
-                trendType: 3,
-                filterType: 10,
-                isPay: 0,
-                isExclusive: 0,
-                promoType: 0,
-                isVip: 0,
-                multiMark: 0,
-                hasCfgFile: 0,
-                hasCubeMeModel: 1
-            })
-        });
+        const enabledSites = sources.resolveSites(siteParam, 'popular');
+        const searchLimit = Math.min(parseInt(limit) || 10, 20);
+        const licenseFilter = parseLicenseFilter(req.query);
 
-        if (response.ok) {
-            const data = await response.json();
-            if (data.code === 0 && data.result?.list) {
-                return data.result.list.map(item => ({
-                    title: item.groupName || 'Untitled',
-                    creator: item.userInfo?.nickName || 'Unknown',
-                    thumbnail: item.covers?.[0]?.url || '',
-                    url: `https://www.crealitycloud.com/model-detail/${item.id}`,
-                    likes: item.likeCount || 0,
-                    downloads: item.downloadCount || 0,
-                    source: 'crealitycloud'
-                }));
-            }
-        }
+        // Feeds hold unfiltered results so every license filter can share them
+        const results = await getPopular(enabledSites, searchLimit, { fresh });
 
-        return [];
-    } catch (error) {
-        console.error('Creality Cloud popular fetch error:', error.message);
-        return [];
-    }
-}
-
-async function fetchPopularYouMagine(limit = 10) {
-    try {
-        // Scrape main designs page (shows featured/recent without query)
-        // Use youmagine.com without www (www redirects)
-        const url = 'https://youmagine.com/designs';
-        const response = await safeFetch(url, { redirect: 'follow' });
-        const html = await response.text();
-        const $ = cheerio.load(html);
-
-        const results = [];
-        const seen = new Set();
-
-        // Find all model card images (they have the title in alt attribute)
-        $('img.object-cover[alt]').each((i, el) => {
-            if (results.length >= limit) return false;
-
-            const $img = $(el);
-            const alt = $img.attr('alt') || '';
-            const src = $img.attr('src') || '';
-
-            // Skip small images (avatars, icons) - model images have w-full h-full
-            if (!$img.hasClass('w-full') || !src || alt === 'YouMagine') return;
-
-            // Find the parent link
-            const $link = $img.closest('a[href*="/designs/"]');
-            const href = $link.attr('href');
-
-            if (href && !href.endsWith('/designs/') && !seen.has(href)) {
-                seen.add(href);
-                const thumbnail = src.startsWith('http') ? src : `https://youmagine.com${src}`;
-                const modelUrl = href.startsWith('http') ? href : `https://youmagine.com${href}`;
-
-                results.push({
-                    title: alt || 'Untitled',
-                    creator: 'Unknown',
-                    thumbnail,
-                    url: modelUrl,
-                    likes: 0,
-                    downloads: 0,
-                    source: 'youmagine'
-                });
-            }
+        const response = { results: {}, meta: {} };
+        results.map(r => applyLicenseFilter(r, licenseFilter)).forEach(r => {
+            response.results[r.site] = r.results;
+            response.meta[r.site] = r.meta;
         });
 
-        return results;
+        if (res.locals.format !== 'json') {
+            return sendExport(res, res.locals.format, {
+                results: response.results,
+                title: 'Popular models',
+                filenameParts: ['popular', new Date().toISOString().slice(0, 10)]
+            });
+        }
+        res.json(response);
     } catch (error) {
-        console.error('YouMagine popular fetch error:', error.message);
-        return [];
+        console.error('Popular error:', error);
+        res.status(500).json({ error: 'Failed to fetch popular models', message: error.message });
     }
-}
-
-// ==================== API ROUTES ====================
-
-// Image proxy - fetches images server-side to bypass hotlink protection
-const imageCache = new Map();
-const IMAGE_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+});
 
-app.get('/api/image', async (req, res) => {
-    const { url } = req.query;
+// Search suggestions in the OpenSearch format browsers use: [query, [completions], [descriptions]]
+app.get('/api/suggest', (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    const limit = Math.min(parseInt(req.query.limit) || 8, 20);
+    const suggestions = getSuggestions(q, limit);
+    res.type('application/x-suggestions+json').send(JSON.stringify([
+        q,
+        suggestions.map(suggestion => suggestion.text),
+        suggestions.map(suggestion => suggestion.description)
+    ]));
+});
 
-    if (!url) {
-        return res.status(400).json({ error: 'URL parameter required' });
-    }
+// Past searches, newest first; q= narrows to queries containing it
+app.get('/api/history', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    res.json({ enabled: isHistoryEnabled(), entries: listHistory({ limit, q }) });
+});
 
-    try {
-        // Validate URL
-        const imageUrl = decodeURIComponent(url);
-        if (!imageUrl.startsWith('http://') && !imageUrl.startsWith('https://')) {
-            return res.status(400).json({ error: 'Invalid URL' });
-        }
+// Clear the history, or with q= every search for that one query
+app.delete('/api/history', (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q : '';
+    res.json({ removed: clearHistory(q) });
+});
 
-        // Check cache
-        const cached = imageCache.get(imageUrl);
-        if (cached && Date.now() - cached.timestamp < IMAGE_CACHE_TTL) {
-            res.set('Content-Type', cached.contentType);
-            res.set('Cache-Control', 'public, max-age=1800');
-            return res.send(cached.buffer);
-        }
+// OpenSearch description, so browsers can add the app as a search engine
+app.get('/opensearch.xml', (req, res) => {
+    const origin = escapeXml(`${req.protocol}://${req.get('host')}`);
+    const names = sources.getEnabledSources('search').map(adapter => adapter.name).join(', ');
+    res.type('application/opensearchdescription+xml').send(`<?xml version="1.0" encoding="utf-8"?>
+<OpenSearchDescription xmlns="http://a9.com/-/spec/opensearch/1.1/" xmlns:moz="http://www.mozilla.org/2006/browser/search/">
+  <ShortName>3D Model Search</ShortName>
+  <Description>${escapeXml(`Search ${names} at once`)}</Description>
+  <InputEncoding>UTF-8</InputEncoding>
+  <Url type="text/html" method="get" template="${origin}/?q={searchTerms}"/>
+  <Url type="application/x-suggestions+json" method="get" template="${origin}/api/suggest?q={searchTerms}"/>
+  <Url type="application/opensearchdescription+xml" rel="self" template="${origin}/opensearch.xml"/>
+  <moz:SearchForm>${origin}/</moz:SearchForm>
+</OpenSearchDescription>
+`);
+});
 
-        // Determine referer based on URL
-        let referer = '';
-        if (imageUrl.includes('thingiverse.com')) {
-            referer = 'https://www.thingiverse.com/';
-        } else if (imageUrl.includes('thangs.com')) {
-            referer = 'https://thangs.com/';
-        } else if (imageUrl.includes('myminifactory.com')) {
-            referer = 'https://www.myminifactory.com/';
-        } else if (imageUrl.includes('creality.com')) {
-            referer = 'https://www.crealitycloud.com/';
-        }
+// Get search URLs for opening in browser tabs (fallback)
+app.get('/api/search-urls', (req, res) => {
+    const parsed = readSearchQuery(req, res);
+    if (!parsed) return;
 
-        const response = await fetch(imageUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Referer': referer,
-                'Sec-Fetch-Dest': 'image',
-                'Sec-Fetch-Mode': 'no-cors',
-                'Sec-Fetch-Site': 'cross-site',
-            }
-        });
+    // The sites' own search boxes get what they would have been sent by /api/search
+    const searchUrls = {};
+    const ids = restrictSites(sources.listSources().map(adapter => adapter.id), parsed);
+    ids.map(sources.getSource).forEach(adapter => {
+        const url = sources.buildSearchUrl(adapter, buildUpstreamQuery(adapter, parsed).query);
+        if (url) searchUrls[adapter.id] = url;
+    });
 
-        if (!response.ok) {
-            console.error(`Image proxy error: ${response.status} for ${imageUrl}`);
-            return res.status(response.status).json({ error: 'Failed to fetch image' });
-        }
+    res.json(searchUrls);
+});
 
-        const buffer = Buffer.from(await response.arrayBuffer());
-        const contentType = response.headers.get('content-type') || 'image/jpeg';
+// ==================== SAVED SEARCHES ====================
 
-        // Cache the image
-        imageCache.set(imageUrl, { buffer, contentType, timestamp: Date.now() });
+function sendSavedSearchError(res, error) {
+    if (error instanceof SavedSearchError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Saved search error:', error);
+    res.status(500).json({ error: 'Saved search failed', message: error.message });
+}
 
-        // Clean old cache entries periodically
-        if (imageCache.size > 100) {
-            const now = Date.now();
-            for (const [key, value] of imageCache.entries()) {
-                if (now - value.timestamp > IMAGE_CACHE_TTL) {
-                    imageCache.delete(key);
-                }
-            }
-        }
+// List saved searches with their unread counts
+app.get('/api/saved', (req, res) => {
+    const saved = listSavedSearches();
+    res.json({ saved, unread: saved.reduce((total, search) => total + search.unread, 0) });
+});
 
-        res.set('Content-Type', contentType);
-        res.set('Cache-Control', 'public, max-age=1800');
-        res.send(buffer);
+// Save a search - takes the /api/search parameters (q, sites, sort, filters, license) plus an optional name
+app.post('/api/saved', (req, res) => {
+    try {
+        const saved = createSavedSearch(req.body);
+        // The first run only records what is already there; answer without waiting for it
+        runSavedSearch(saved).catch(error => console.error(`Saved search "${saved.name}" failed:`, error.message));
+        res.status(201).json(describeSavedSearch(saved));
     } catch (error) {
-        console.error('Image proxy error:', error.message);
-        res.status(500).json({ error: 'Failed to fetch image' });
+        sendSavedSearchError(res, error);
     }
 });
 
-// Search all sites
-app.get('/api/search', async (req, res) => {
-    const { q, sites: siteParam, limit = 10, page = 1 } = req.query;
-
-    if (!q) {
-        return res.status(400).json({ error: 'Query parameter "q" is required' });
+app.get('/api/saved/:id', (req, res) => {
+    try {
+        res.json(describeSavedSearch(getSavedSearch(req.params.id)));
+    } catch (error) {
+        sendSavedSearchError(res, error);
     }
+});
 
-    const enabledSites = siteParam ? siteParam.split(',') : ['thingiverse', 'printables', 'thangs', 'youmagine', 'myminifactory', 'crealitycloud'];
-    const searchLimit = Math.min(parseInt(limit) || 10, 20);
-    const searchPage = Math.max(parseInt(page) || 1, 1);
-
-    const searchFunctions = {
-        thingiverse: searchThingiverse,
-        printables: searchPrintables,
-        thangs: searchThangs,
-        youmagine: searchYouMagine,
-        myminifactory: searchMyMiniFactory,
-        crealitycloud: searchCrealityCloud
-    };
-
-    console.log(`Searching for "${q}" on sites: ${enabledSites.join(', ')} (page ${searchPage})`);
-
+app.delete('/api/saved/:id', (req, res) => {
     try {
-        const searchPromises = enabledSites
-            .filter(site => searchFunctions[site])
-            .map(async site => {
-                try {
-                    const results = await searchFunctions[site](q, searchLimit, searchPage);
-                    console.log(`${site}: found ${results.length} results`);
-                    return { site, results };
-                } catch (err) {
-                    console.error(`${site} error:`, err.message);
-                    return { site, results: [] };
-                }
-            });
-
-        const results = await Promise.all(searchPromises);
-
-        const response = {
-            page: searchPage,
-            limit: searchLimit,
-            results: {}
-        };
-        results.forEach(result => {
-            response.results[result.site] = result.results;
-        });
-
-        res.json(response);
+        deleteSavedSearch(req.params.id);
+        res.status(204).end();
     } catch (error) {
-        console.error('Search error:', error);
-        res.status(500).json({ error: 'Search failed', message: error.message });
+        sendSavedSearchError(res, error);
     }
 });
 
-// Search individual site
-app.get('/api/search/:site', async (req, res) => {
-    const { site } = req.params;
-    const { q, limit = 10, page = 1 } = req.query;
+// Results found since the search was saved, newest first
+app.get('/api/saved/:id/new', (req, res) => {
+    try {
+        const saved = getSavedSearch(req.params.id);
+        res.json({ ...describeSavedSearch(saved), results: getNewResults(saved) });
+    } catch (error) {
+        sendSavedSearchError(res, error);
+    }
+});
 
-    if (!q) {
-        return res.status(400).json({ error: 'Query parameter "q" is required' });
+app.post('/api/saved/:id/read', (req, res) => {
+    try {
+        const saved = getSavedSearch(req.params.id);
+        markRead(saved);
+        res.json(describeSavedSearch(saved));
+    } catch (error) {
+        sendSavedSearchError(res, error);
     }
+});
 
-    const searchFunctions = {
-        thingiverse: searchThingiverse,
-        printables: searchPrintables,
-        thangs: searchThangs,
-        youmagine: searchYouMagine,
-        myminifactory: searchMyMiniFactory,
-        crealitycloud: searchCrealityCloud
-    };
+// Re-run now instead of waiting for the background runner
+app.post('/api/saved/:id/run', async (req, res) => {
+    try {
+        const saved = getSavedSearch(req.params.id);
+        const { found } = await runSavedSearch(saved);
+        res.json({ ...describeSavedSearch(saved), found });
+    } catch (error) {
+        sendSavedSearchError(res, error);
+    }
+});
 
-    if (!searchFunctions[site]) {
-        return res.status(400).json({ error: 'Invalid site', validSites: Object.keys(searchFunctions) });
+// Atom or RSS feed of the new results
+app.get('/api/saved/:id/feed.:format', (req, res) => {
+    const { format } = req.params;
+    if (!FEED_FORMATS[format]) {
+        return res.status(404).json({ error: 'Feed format must be atom or rss' });
     }
 
     try {
-        const searchLimit = Math.min(parseInt(limit) || 10, 20);
-        const searchPage = Math.max(parseInt(page) || 1, 1);
-        const results = await searchFunctions[site](q, searchLimit, searchPage);
-        res.json({ site, page: searchPage, results });
+        const saved = getSavedSearch(req.params.id);
+        const origin = `${req.protocol}://${req.get('host')}`;
+        const results = getNewResults(saved);
+        const xml = buildFeed(format, {
+            title: `${saved.name} - 3D Model Cross-Search`,
+            selfUrl: `${origin}${req.originalUrl}`,
+            siteUrl: `${origin}/`,
+            updated: results[0]?.foundAt || saved.lastRunAt || saved.createdAt,
+            results
+        });
+        res.type(FEED_FORMATS[format]).send(xml);
     } catch (error) {
-        console.error(`${site} search error:`, error);
-        res.status(500).json({ error: 'Search failed', message: error.message });
+        sendSavedSearchError(res, error);
     }
 });
 
-// Get popular models (dynamically fetched)
-app.get('/api/popular', async (req, res) => {
-    const { sites: siteParam, limit = 10 } = req.query;
-    const enabledSites = siteParam ? siteParam.split(',') : ['thingiverse', 'printables', 'thangs', 'youmagine', 'myminifactory', 'crealitycloud'];
-    const searchLimit = Math.min(parseInt(limit) || 10, 20);
+// ==================== COLLECTIONS ====================
 
-    // Check cache
-    const cacheKey = `${enabledSites.sort().join(',')}-${searchLimit}`;
-    if (popularCache.data?.[cacheKey] && Date.now() - popularCache.timestamp < popularCache.TTL) {
-        console.log('Returning cached popular models');
-        return res.json(popularCache.data[cacheKey]);
+function sendCollectionError(res, error) {
+    if (error instanceof collections.CollectionError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('Collection error:', error);
+    res.status(500).json({ error: 'Collection update failed', message: error.message });
+}
 
-    console.log(`Fetching popular models for: ${enabledSites.join(', ')}`);
-
-    const fetchFunctions = {
-        thingiverse: fetchPopularThingiverse,
-        printables: fetchPopularPrintables,
-        thangs: fetchPopularThangs,
-        youmagine: fetchPopularYouMagine,
-        myminifactory: fetchPopularMyMiniFactory,
-        crealitycloud: fetchPopularCrealityCloud
+// Wrap a handler so CollectionErrors become their HTTP status
+function collectionRoute(handler) {
+    return (req, res) => {
+        try {
+            handler(req, res);
+        } catch (error) {
+            sendCollectionError(res, error);
+        }
     };
+}
 
-    // Fetch in parallel
-    const promises = enabledSites
-        .filter(site => fetchFunctions[site])
-        .map(async site => {
-            try {
-                const results = await fetchFunctions[site](searchLimit);
-                console.log(`Popular ${site}: found ${results.length} models`);
-                return { site, results };
-            } catch (err) {
-                console.error(`Popular ${site} error:`, err.message);
-                return { site, results: [] };
-            }
-        });
+// CSV imports are sent as the raw request body
+const csvBody = express.text({ type: 'text/csv', limit: '2mb' });
 
-    const results = await Promise.all(promises);
+// Import an exported collection (JSON, or CSV with Content-Type: text/csv) as a new one; ?name= overrides its name
+function importRoute(req, res) {
+    const format = req.is('text/csv') ? 'csv' : 'json';
+    const { collection, imported, skipped } = collections.importCollection(format, req.body, { id: req.params.id, name: req.query.name });
+    res.status(req.params.id ? 200 : 201).json({ ...collections.describeCollection(collection), imported, skipped });
+}
 
-    const response = {};
-    results.forEach(r => { response[r.site] = r.results; });
+app.get('/api/collections', collectionRoute((req, res) => {
+    res.json({ collections: collections.listCollections() });
+}));
+
+app.post('/api/collections', collectionRoute((req, res) => {
+    res.status(201).json(collections.describeCollection(collections.createCollection(req.body)));
+}));
+
+app.post('/api/collections/import', csvBody, collectionRoute(importRoute));
+
+app.get('/api/collections/:id', collectionRoute((req, res) => {
+    const collection = collections.getCollection(req.params.id);
+    res.json({ ...collections.describeCollection(collection), items: collection.items });
+}));
+
+app.patch('/api/collections/:id', collectionRoute((req, res) => {
+    res.json(collections.describeCollection(collections.updateCollection(req.params.id, req.body)));
+}));
+
+app.delete('/api/collections/:id', collectionRoute((req, res) => {
+    collections.deleteCollection(req.params.id);
+    res.status(204).end();
+}));
+
+// Add a model record from any source: { model, note, status } - adding it again updates it
+app.post('/api/collections/:id/items', collectionRoute((req, res) => {
+    const { item, created } = collections.addItem(req.params.id, req.body);
+    res.status(created ? 201 : 200).json(item);
+}));
+
+// Items are addressed by "<source>:<id>"
+app.patch('/api/collections/:id/items/:key', collectionRoute((req, res) => {
+    res.json(collections.updateItem(req.params.id, req.params.key, req.body));
+}));
+
+app.delete('/api/collections/:id/items/:key', collectionRoute((req, res) => {
+    collections.removeItem(req.params.id, req.params.key);
+    res.status(204).end();
+}));
+
+app.get('/api/collections/:id/export.:format', collectionRoute((req, res) => {
+    const { format } = req.params;
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(404).json({ error: 'Export format must be json or csv' });
+    }
+    const collection = collections.getCollection(req.params.id);
+    const filename = `${collection.name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'collection'}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') {
+        res.type('text/csv; charset=utf-8').send(collections.exportCollection(collection, 'csv'));
+    } else {
+        res.json(collections.exportCollection(collection, 'json'));
+    }
+}));
 
-    // Cache results
-    if (!popularCache.data) popularCache.data = {};
-    popularCache.data[cacheKey] = response;
-    popularCache.timestamp = Date.now();
+// Merge an export into an existing collection
+app.post('/api/collections/:id/import', csvBody, collectionRoute(importRoute));
 
-    res.json(response);
-});
+// ==================== ADMIN ====================
+// /api/admin can wipe and replace what every user is shown, so it answers only to
+// `Authorization: Bearer <ADMIN_TOKEN>`, and not at all while ADMIN_TOKEN is unset
+// (npm run snapshots does the same from a shell).
 
-// Get search URLs for opening in browser tabs (fallback)
-app.get('/api/search-urls', (req, res) => {
-    const { q } = req.query;
+const sameToken = (a, b) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(a).digest(),
+    crypto.createHash('sha256').update(b).digest()
+);
+
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (!token) {
+        return res.status(403).json({ error: 'The admin API is disabled; set ADMIN_TOKEN to enable it' });
+    }
+    const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!given || !sameToken(given, token)) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+}
+
+app.use('/api/admin', requireAdmin);
+
+// ==================== FALLBACK SNAPSHOTS ====================
 
-    if (!q) {
-        return res.status(400).json({ error: 'Query parameter "q" is required' });
+function sendSnapshotError(res, error) {
+    if (error instanceof snapshots.SnapshotError) {
+        return res.status(error.status).json({ error: error.message });
     }
+    console.error('Snapshot error:', error);
+    res.status(500).json({ error: 'Snapshot update failed', message: error.message });
+}
 
-    const searchUrls = {
-        thingiverse: `https://www.thingiverse.com/search?q=${encodeURIComponent(q)}&type=things&sort=popular`,
-        printables: `https://www.printables.com/search/models?q=${encodeURIComponent(q)}`,
-        thangs: `https://thangs.com/search/${encodeURIComponent(q)}?scope=all`,
-        youmagine: `https://www.youmagine.com/designs?q=${encodeURIComponent(q)}`,
-        myminifactory: `https://www.myminifactory.com/search/?query=${encodeURIComponent(q)}`,
-        crealitycloud: `https://www.crealitycloud.com/search/${encodeURIComponent(q)}`
+function snapshotRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            sendSnapshotError(res, error);
+        }
     };
+}
 
-    res.json(searchUrls);
+// Snapshots newest first, without their records; ?site= and ?kind= narrow the list
+app.get('/api/admin/snapshots', (req, res) => {
+    const { site, kind } = req.query;
+    res.json({ snapshots: snapshots.listSnapshots({ site, kind }) });
 });
 
-// Health check
+app.get('/api/admin/snapshots/:id', snapshotRoute((req, res) => {
+    res.json(snapshots.getSnapshot(req.params.id));
+}));
+
+// Prune by ?site=, ?olderThanDays= and/or ?keep= (versions per call); ?all=1 removes everything
+app.delete('/api/admin/snapshots', snapshotRoute((req, res) => {
+    const { site, olderThanDays, keep } = req.query;
+    if (!site && olderThanDays === undefined && keep === undefined && req.query.all !== '1') {
+        throw new snapshots.SnapshotError(400, 'Give site, olderThanDays or keep; all=1 removes every snapshot');
+    }
+    const removed = snapshots.pruneSnapshots({
+        site,
+        olderThanMs: olderThanDays !== undefined ? parseFloat(olderThanDays) * 24 * 60 * 60 * 1000 : undefined,
+        keep: keep !== undefined ? Number(keep) : undefined
+    });
+    res.json({ removed });
+}));
+
+app.delete('/api/admin/snapshots/:id', snapshotRoute((req, res) => {
+    snapshots.getSnapshot(req.params.id);
+    res.json({ removed: snapshots.pruneSnapshots({ id: req.params.id }) });
+}));
+
+// Seed a source's popular snapshot: { site, results } as given, { site, live: true } from
+// the source right now, or just { site } for the bundled curated list
+app.post('/api/admin/snapshots/seed', snapshotRoute(async (req, res) => {
+    const { site, results, live } = req.body || {};
+    const adapter = sources.getSource(site);
+    if (!adapter?.capabilities.popular) {
+        throw new snapshots.SnapshotError(400, `Unknown source or no popular list: "${site}"`);
+    }
+
+    if (live) {
+        const feed = await refreshFeed(site);
+        if (feed.meta.status !== STATUS.OK) {
+            return res.status(502).json({ error: `${adapter.name} gave no live popular list`, meta: feed.meta });
+        }
+        return res.status(201).json(snapshots.listSnapshots({ site, kind: 'popular' })[0]);
+    }
+    res.status(201).json(snapshots.summarizeSnapshot(snapshots.seedSnapshot(site, results)));
+}));
+
+// Health check - degraded/unhealthy reflects upstream sources; ?detail=1 adds per-source stats
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    const report = getHealthReport(sources.listSources().filter(sources.isConfigured).map(adapter => adapter.id));
+
+    const response = { status: report.status, timestamp: new Date().toISOString() };
+    if (req.query.detail === '1' || req.query.detail === 'true') {
+        response.sources = report.sources;
+        response.cache = getCacheStats();
+        response.images = getImageCacheStats();
+        response.hosts = getSchedulerStats();
+        response.localIndex = getIndexStats();
+    }
+
+    res.status(report.status === 'unhealthy' ? 503 : 200).json(response);
 });
 
 // Serve the main HTML file
@@ -1002,15 +706,52 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 3D Model Cross-Search server running on http://localhost:${PORT}`);
-    console.log(`📦 API endpoints:`);
-    console.log(`   GET /api/search?q=<query>&sites=<site1,site2>&limit=<n>&page=<n>`);
-    console.log(`   GET /api/search/:site?q=<query>&limit=<n>&page=<n>`);
-    console.log(`   GET /api/popular?sites=<site1,site2>&limit=<n>`);
-    console.log(`   GET /api/search-urls?q=<query>`);
-    console.log(`   GET /api/health`);
-    console.log(`🔑 API Keys:`);
-    console.log(`   Thingiverse: ${THINGIVERSE_API_KEY ? 'Configured ✓' : 'Not configured (using fallback data)'}`);
-});
+function start(port = PORT) {
+    // Persist pending cache writes before the container stops
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            flushAll().finally(() => process.exit(0));
+        });
+    });
+
+    startSavedSearchRunner();
+    startPopularRefresher();
+
+    return app.listen(port, () => {
+        console.log(`🚀 3D Model Cross-Search server running on http://localhost:${port}`);
+        console.log(`📦 API endpoints:`);
+        console.log(`   GET /api/search?q=<query>&sites=<site1,site2>&limit=<n>&page=<n>&sort=<order>&merge=1&commercial=allowed&format=<csv|jsonl|md>&mode=<live|local>`);
+        console.log(`   GET /api/search/:site?q=<query>&limit=<n>&page=<n>`);
+        console.log(`   GET /api/search-stream?q=<query>&sites=<site1,site2>&limit=<n>&page=<n>`);
+        console.log(`   GET /api/popular?sites=<site1,site2>&limit=<n>`);
+        console.log(`   GET /api/model/:source/:id`);
+        console.log(`   GET /api/image?url=<url>&w=<px>&h=<px>&format=<webp|jpeg|avif>`);
+        console.log(`   GET /api/search-urls?q=<query>`);
+        console.log(`   GET /api/suggest?q=<prefix>, GET /opensearch.xml`);
+        console.log(`   GET|DELETE /api/history`);
+        console.log(`   GET|POST /api/saved, GET|DELETE /api/saved/:id`);
+        console.log(`   GET /api/saved/:id/new, POST /api/saved/:id/read, POST /api/saved/:id/run`);
+        console.log(`   GET /api/saved/:id/feed.atom, /api/saved/:id/feed.rss`);
+        console.log(`   GET|POST /api/collections, GET|PATCH|DELETE /api/collections/:id`);
+        console.log(`   POST /api/collections/:id/items, PATCH|DELETE /api/collections/:id/items/:source::id`);
+        console.log(`   GET /api/collections/:id/export.<json|csv>, POST /api/collections[/:id]/import`);
+        console.log(`   GET|DELETE /api/admin/snapshots, GET|DELETE /api/admin/snapshots/:id, POST /api/admin/snapshots/seed`);
+        console.log(`   GET /api/sources`);
+        console.log(`   GET /api/health?detail=1`);
+        console.log(`🔌 Sources:`);
+        sources.listSources().forEach(adapter => {
+            const missing = adapter.config.filter(setting => !process.env[setting.env]).map(setting => setting.env);
+            const status = !sources.isConfigured(adapter)
+                ? `Disabled (missing ${missing.join(', ')})`
+                : missing.length ? `Enabled (${missing.join(', ')} not set, using fallbacks)` : 'Enabled ✓';
+            console.log(`   ${adapter.name}: ${status}`);
+        });
+    });
+}
+
+// Tests require the app without starting a server
+if (require.main === module) {
+    start();
+}
+
+module.exports = { app, start };
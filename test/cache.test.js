@@ -0,0 +1,101 @@
+require('./helpers');
+// Read when the runner loads: entries may be served up to 60ms past their TTL
+process.env.CACHE_STALE_MS = '60';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sources = require('../lib/sources');
+const cache = require('../lib/cache');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A source answering with a model titled after how often it was called
+let calls = 0;
+sources.registerSource({
+    id: 'cache-fake',
+    cacheTtlMs: 20,
+    search: async () => {
+        calls++;
+        return [{ id: '1', title: `Answer ${calls}`, url: 'https://example.com/1', source: 'cache-fake' }];
+    }
+});
+
+test('cache keys ignore case, spacing and option order', () => {
+    assert.equal(
+        cache.cacheKey('printables', 'search', ['  Phone   Stand ', { page: 1, limit: 10, sort: undefined }]),
+        cache.cacheKey('printables', 'search', ['phone stand', { limit: 10, page: 1 }])
+    );
+    assert.notEqual(cache.cacheKey('printables', 'search', ['phone stand', { page: 2 }]), cache.cacheKey('printables', 'search', ['phone stand', { page: 1 }]));
+    assert.notEqual(cache.cacheKey('printables', 'search', ['benchy']), cache.cacheKey('thangs', 'search', ['benchy']));
+});
+
+test('the memory backend drops the least recently used entry past maxEntries', () => {
+    const backend = new cache.MemoryBackend(2);
+    backend.set('a', { results: [] });
+    backend.set('b', { results: [] });
+    backend.get('a');
+    backend.set('c', { results: [] });
+
+    assert.deepEqual(backend.list().map(([key]) => key), ['a', 'c']);
+    assert.equal(backend.size, 2);
+});
+
+test('the file backend survives a restart', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'result-cache.json');
+
+    const backend = new cache.FileBackend(file, 10);
+    backend.set('printables:search:["benchy"]', { status: STATUS.OK, results: [{ title: 'Benchy' }], storedAt: 1 });
+    await backend.writer.flush();
+
+    const reloaded = new cache.FileBackend(file, 10);
+    assert.deepEqual(reloaded.get('printables:search:["benchy"]'), { status: STATUS.OK, results: [{ title: 'Benchy' }], storedAt: 1 });
+});
+
+test('stale entries are served at once and refreshed in the background', async () => {
+    calls = 0;
+    cache.clearCache();
+    const search = () => runSource('cache-fake', 'search', ['benchy', { limit: 1 }]);
+
+    const live = await search();
+    const hit = await search();
+    assert.equal(live.meta.cache.hit, false);
+    assert.equal(hit.meta.cache.hit, true);
+    assert.equal(hit.meta.cache.stale, false);
+    assert.equal(hit.results[0].title, 'Answer 1');
+    assert.equal(calls, 1);
+
+    // Past the TTL but within CACHE_STALE_MS
+    await wait(30);
+    const stale = await search();
+    assert.equal(stale.meta.cache.stale, true);
+    assert.equal(stale.meta.cache.revalidating, true);
+    assert.equal(stale.results[0].title, 'Answer 1');
+    await wait(5);
+    assert.equal(calls, 2);
+    assert.equal((await search()).results[0].title, 'Answer 2');
+
+    // Too old to serve at all
+    await wait(100);
+    const expired = await search();
+    assert.equal(expired.meta.cache.hit, false);
+    assert.equal(expired.results[0].title, 'Answer 3');
+
+    // fresh=1 skips the cache
+    assert.equal((await runSource('cache-fake', 'search', ['benchy', { limit: 1 }], { fresh: true })).results[0].title, 'Answer 4');
+});
+
+test('CACHE_TTL_<SOURCE> overrides the adapter TTL', async (t) => {
+    process.env.CACHE_TTL_CACHE_FAKE = '60000';
+    t.after(() => delete process.env.CACHE_TTL_CACHE_FAKE);
+    cache.clearCache();
+
+    await runSource('cache-fake', 'search', ['tugboat', { limit: 1 }]);
+    await wait(30);
+    assert.equal((await runSource('cache-fake', 'search', ['tugboat', { limit: 1 }])).meta.cache.stale, false);
+});
@@ -0,0 +1,157 @@
+require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function request(method, path, body, contentType = 'application/json') {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': contentType } : {},
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    const data = type.includes('application/json') ? await response.json() : await response.text();
+    return { status: response.status, headers: response.headers, body: data };
+}
+
+const benchy = {
+    id: 3161,
+    title: '3DBenchy',
+    creator: 'CreativeTools',
+    thumbnail: 'https://media.printables.com/media/prints/3161/images/benchy.jpg',
+    url: 'https://www.printables.com/model/3161-3dbenchy',
+    likes: 5400,
+    downloads: 98000,
+    license: { id: 'cc-by-nd', label: 'CC BY-ND', commercial: true, name: 'Creative Commons - Attribution - No Derivatives' },
+    source: 'printables',
+    fileCount: 3
+};
+
+const tugboat = {
+    id: 'tugboat',
+    title: 'Tugboat, "classic"',
+    creator: 'harbor',
+    thumbnail: '',
+    url: 'https://youmagine.com/designs/tugboat',
+    likes: 0,
+    downloads: 60,
+    license: 'CC BY-NC-SA 4.0',
+    source: 'youmagine'
+};
+
+test('favorites always exist and cannot be deleted', async () => {
+    const { body } = await request('GET', '/api/collections');
+    assert.equal(body.collections[0].id, 'favorites');
+    assert.equal(body.collections[0].name, 'Favorites');
+
+    assert.equal((await request('DELETE', '/api/collections/favorites')).status, 409);
+});
+
+test('collections hold model records with notes and print status', async () => {
+    const created = await request('POST', '/api/collections', { name: ' Boat night ', description: 'Club print-along' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.name, 'Boat night');
+    const { id } = created.body;
+
+    const added = await request('POST', `/api/collections/${id}/items`, { model: benchy, status: 'to_print' });
+    assert.equal(added.status, 201);
+    assert.equal(added.body.key, 'printables:3161');
+    const { fileCount, ...record } = benchy;
+    assert.deepEqual(added.body.model, { ...record, id: '3161' });
+
+    // Adding it again updates it instead of duplicating it
+    const again = await request('POST', `/api/collections/${id}/items`, { model: benchy, note: '0.2mm PETG' });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.status, 'to_print');
+    assert.equal(again.body.note, '0.2mm PETG');
+
+    await request('POST', `/api/collections/${id}/items`, { model: tugboat });
+    const patched = await request('PATCH', `/api/collections/${id}/items/youmagine:tugboat`, { status: 'printed' });
+    assert.equal(patched.body.status, 'printed');
+    assert.equal(patched.body.model.license.id, 'cc-by-nc');
+
+    const { body } = await request('GET', `/api/collections/${id}`);
+    assert.equal(body.itemCount, 2);
+    assert.equal(body.toPrint, 1);
+    assert.equal(body.printed, 1);
+    assert.deepEqual(body.keys, ['printables:3161', 'youmagine:tugboat']);
+
+    assert.equal((await request('DELETE', `/api/collections/${id}/items/youmagine:tugboat`)).status, 204);
+    assert.equal((await request('DELETE', `/api/collections/${id}/items/youmagine:tugboat`)).status, 404);
+    assert.equal((await request('PATCH', `/api/collections/${id}`, { name: 'Boats' })).body.name, 'Boats');
+    assert.equal((await request('DELETE', `/api/collections/${id}`)).status, 204);
+    assert.equal((await request('GET', `/api/collections/${id}`)).status, 404);
+});
+
+test('items are validated', async () => {
+    assert.equal((await request('POST', '/api/collections', { name: '  ' })).status, 400);
+
+    const add = model => request('POST', '/api/collections/favorites/items', { model });
+    assert.match((await add({ ...benchy, source: 'nowhere' })).body.error, /Unknown source/);
+    assert.equal((await add({ ...benchy, url: 'javascript:alert(1)' })).status, 400);
+    assert.equal((await add({ ...benchy, title: '' })).status, 400);
+    assert.match((await request('POST', '/api/collections/favorites/items', { model: benchy, status: 'done' })).body.error, /to_print, printed/);
+});
+
+test('collections round-trip through JSON and CSV exports', async () => {
+    const { body: source } = await request('POST', '/api/collections', { name: 'Part list' });
+    await request('POST', `/api/collections/${source.id}/items`, { model: benchy, note: 'hull, then "cabin"', status: 'printed' });
+    await request('POST', `/api/collections/${source.id}/items`, { model: tugboat });
+
+    const csv = await request('GET', `/api/collections/${source.id}/export.csv`);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(csv.headers.get('content-disposition'), /attachment; filename="Part-list.csv"/);
+    assert.equal(csv.body.split('\r\n')[0], 'source,id,title,creator,url,thumbnail,likes,downloads,license,status,note,addedAt');
+    assert.match(csv.body, /youmagine,tugboat,"Tugboat, ""classic""",harbor,/);
+
+    const fromCsv = await request('POST', '/api/collections/import?name=Shared', csv.body, 'text/csv');
+    assert.equal(fromCsv.status, 201);
+    assert.equal(fromCsv.body.name, 'Shared');
+    assert.equal(fromCsv.body.imported, 2);
+    const { body: copy } = await request('GET', `/api/collections/${fromCsv.body.id}`);
+    assert.deepEqual(copy.items.map(item => [item.key, item.status, item.note, item.model.license.id, item.model.likes]), [
+        ['printables:3161', 'printed', 'hull, then "cabin"', 'cc-by-nd', 5400],
+        ['youmagine:tugboat', null, '', 'cc-by-nc', 0]
+    ]);
+
+    const json = await request('GET', `/api/collections/${source.id}/export.json`);
+    assert.equal(json.body.name, 'Part list');
+    json.body.items.push({ model: { ...tugboat, source: 'nowhere' } });
+    const fromJson = await request('POST', '/api/collections/import', json.body);
+    assert.equal(fromJson.body.name, 'Part list');
+    assert.equal(fromJson.body.imported, 2);
+    assert.deepEqual(fromJson.body.skipped, [{ row: 3, error: 'Unknown source: nowhere' }]);
+
+    // Merging into an existing collection keeps one item per model
+    const merged = await request('POST', `/api/collections/${fromCsv.body.id}/import`, json.body);
+    assert.equal(merged.status, 200);
+    assert.equal(merged.body.itemCount, 2);
+
+    assert.equal((await request('POST', '/api/collections/import', { items: 'nope' })).status, 400);
+    assert.equal((await request('GET', `/api/collections/${source.id}/export.xml`)).status, 404);
+});
+
+test('CSV exports defuse spreadsheet formulas and imports take them back', async () => {
+    const { body: source } = await request('POST', '/api/collections', { name: 'Formulas' });
+    await request('POST', `/api/collections/${source.id}/items`, { model: { ...benchy, title: '=HYPERLINK("evil")' }, note: '-2+3' });
+
+    const csv = await request('GET', `/api/collections/${source.id}/export.csv`);
+    assert.match(csv.body, /\r\nprintables,3161,"'=HYPERLINK\(""evil""\)",CreativeTools,/);
+    assert.match(csv.body, /,'-2\+3,/);
+
+    const fromCsv = await request('POST', '/api/collections/import?name=Formulas%20copy', csv.body, 'text/csv');
+    const { body: copy } = await request('GET', `/api/collections/${fromCsv.body.id}`);
+    assert.deepEqual(copy.items.map(item => [item.model.title, item.note, item.model.likes]), [['=HYPERLINK("evil")', '-2+3', 5400]]);
+});
@@ -0,0 +1,96 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crealitycloud = require('../lib/sources/crealitycloud');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search maps the model list', async () => {
+    replay('crealitycloud/search.json');
+
+    const results = await crealitycloud.search('benchy', { limit: 2 });
+
+    assert.deepEqual(results[0], {
+        id: '64f0a1b2c3d4e5f6a7b8c9d0',
+        title: 'Benchy',
+        creator: 'CrealityOfficial',
+        thumbnail: 'https://pic2-cdn.creality.com/model/benchy.jpg',
+        url: 'https://www.crealitycloud.com/model-detail/64f0a1b2c3d4e5f6a7b8c9d0',
+        likes: 320,
+        downloads: 5400,
+        license: 'CC BY-NC',
+        free: true,
+        hasPrintProfile: true,
+        fileCount: 2,
+        category: 'Toys & Games',
+        publishedAt: '2023-07-22T04:26:40.000Z',
+        source: 'crealitycloud'
+    });
+    assert.equal(results[1].creator, 'Unknown');
+    assert.equal(results[1].thumbnail, '');
+    assert.equal(results[1].free, false);
+    assert.equal(results[1].publishedAt, '2023-09-18T01:20:00.000Z');
+});
+
+test('search sends sort, price and print profile natively', async () => {
+    const transport = replay();
+
+    await assert.rejects(crealitycloud.search('benchy', { sort: 'likes', price: 'paid', printProfile: true }));
+    const { sortType, isPay, hasCfgFile } = transport.calls[0].body;
+    assert.deepEqual({ sortType, isPay, hasCfgFile }, { sortType: 4, isPay: 2, hasCfgFile: 1 });
+});
+
+test('search reports a non-zero code as an HTTP error', async () => {
+    replay('crealitycloud/search-api-error.json');
+
+    await assert.rejects(crealitycloud.search('benchy'), {
+        status: STATUS.HTTP_ERROR,
+        message: 'Creality Cloud search API returned code 10001: invalid request header'
+    });
+});
+
+test('search reports a result without a list as a parse error', async () => {
+    replay('crealitycloud/search-no-list.json');
+
+    await assert.rejects(crealitycloud.search('benchy'), { status: STATUS.PARSE_ERROR });
+});
+
+test('search reports a timeout', async () => {
+    replay('crealitycloud/search-timeout.json');
+
+    const { meta } = await runSource('crealitycloud', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.TIMEOUT);
+});
+
+test('popular reads the trending list', async () => {
+    replay('crealitycloud/popular.json');
+
+    const results = await crealitycloud.popular({ limit: 2 });
+
+    assert.deepEqual(results.map(result => result.title), ['Benchy Speed Boat', 'Benchy']);
+});
+
+test('detail normalizes the model group', async () => {
+    replay('crealitycloud/detail.json');
+
+    const model = await crealitycloud.detail('64f0a1b2c3d4e5f6a7b8c9d0');
+
+    assert.equal(model.description, 'Calibration boat.');
+    assert.deepEqual(model.images, ['https://pic2-cdn.creality.com/model/benchy.jpg', 'https://pic2-cdn.creality.com/model/benchy-2.jpg']);
+    assert.deepEqual(model.files, [
+        { name: 'benchy.stl', size: 1200000, format: 'stl', url: null },
+        { name: 'benchy.gcode', size: 800000, format: 'gcode', url: null }
+    ]);
+    assert.deepEqual(model.tags, ['benchy', 'boat']);
+    assert.equal(model.license.id, 'cc-by-nc');
+    assert.deepEqual(model.remixOf, { title: '3DBenchy', url: 'https://www.crealitycloud.com/model-detail/5e1' });
+});
+
+test('detail of a missing model is a 404', async () => {
+    replay('crealitycloud/detail.json');
+
+    const { meta } = await runSource('crealitycloud', 'detail', ['missing'], { fresh: true });
+
+    assert.equal(meta.httpStatus, 404);
+});
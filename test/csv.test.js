@@ -0,0 +1,40 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { defuse, restore, toCsv, parseCsv } = require('../lib/csv');
+
+test('toCsv quotes only the fields that need it', () => {
+    const csv = toCsv([
+        { title: 'Benchy', note: 'PLA, 0.2mm', likes: 12 },
+        { title: 'The "Tug"', note: 'line one\nline two', likes: null }
+    ], ['title', 'note', 'likes']);
+
+    assert.equal(csv, 'title,note,likes\r\nBenchy,"PLA, 0.2mm",12\r\n"The ""Tug""","line one\nline two",\r\n');
+});
+
+test('parseCsv reads back what toCsv writes', () => {
+    const rows = [
+        { title: 'Benchy', note: 'PLA, 0.2mm' },
+        { title: 'The "Tug"', note: 'line one\r\nline two' }
+    ];
+
+    assert.deepEqual(parseCsv(toCsv(rows, ['title', 'note'])), rows);
+});
+
+test('parseCsv handles a BOM, LF endings, blank lines and short rows', () => {
+    assert.deepEqual(parseCsv('\uFEFFtitle,note\n\nBenchy\nTug,"ok"'), [
+        { title: 'Benchy', note: '' },
+        { title: 'Tug', note: 'ok' }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+});
+
+test('defuse keeps formula-like text as text and restore undoes it', () => {
+    assert.equal(defuse('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+    assert.equal(defuse('@cmd'), "'@cmd");
+    assert.equal(defuse('-1'), "'-1");
+    assert.equal(defuse(-1), -1);
+    assert.equal(defuse('Benchy'), 'Benchy');
+    assert.equal(restore(defuse('+44 123')), '+44 123');
+    assert.equal(restore("'quoted"), "'quoted");
+});
@@ -0,0 +1,102 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sources = require('../lib/sources');
+const cults3d = require('../lib/sources/cults3d');
+const { runSource } = require('../lib/sources/runner');
+const { searchSource } = require('../lib/search');
+const { STATUS } = require('../lib/sources/status');
+
+function withCredentials(fn) {
+    return async () => {
+        process.env.CULTS3D_USERNAME = 'maker';
+        process.env.CULTS3D_API_KEY = 'secret';
+        try {
+            await fn();
+        } finally {
+            process.env.CULTS3D_USERNAME = '';
+            process.env.CULTS3D_API_KEY = '';
+        }
+    };
+}
+
+test('without credentials the source is reported unconfigured and never called', async () => {
+    const transport = replay('cults3d/search.json');
+    const described = sources.describeSource(sources.getSource('cults3d'));
+
+    assert.equal(described.configured, false);
+    assert.deepEqual(described.config.map(setting => [setting.env, setting.required, setting.set]), [
+        ['CULTS3D_USERNAME', true, false],
+        ['CULTS3D_API_KEY', true, false]
+    ]);
+    assert.ok(!sources.resolveSites('', 'search').includes('cults3d'));
+    await assert.rejects(cults3d.search('benchy'), { status: STATUS.HTTP_ERROR, httpStatus: 401, message: /CULTS3D_API_KEY/ });
+    assert.equal(transport.calls.length, 0);
+});
+
+test('search maps creations with their price', withCredentials(async () => {
+    assert.ok(sources.resolveSites('', 'search').includes('cults3d'));
+    replay('cults3d/search.json');
+
+    const results = await cults3d.search('benchy', { limit: 2 });
+
+    assert.deepEqual(results[0], {
+        id: '3dbenchy-the-jolly-3d-printing-torture-test',
+        title: '#3DBenchy - The jolly 3D printing torture-test',
+        creator: 'CreativeTools',
+        thumbnail: 'https://images.cults3d.com/benchy.jpg',
+        url: 'https://cults3d.com/en/3d-model/various/3dbenchy-the-jolly-3d-printing-torture-test',
+        likes: 2100,
+        downloads: 45000,
+        license: 'CC BY-ND',
+        free: true,
+        price: { amount: 0, currency: 'EUR' },
+        category: 'Various',
+        publishedAt: '2015-04-09T10:00:00.000Z',
+        source: 'cults3d'
+    });
+    assert.equal(results[1].creator, 'Unknown');
+    assert.equal(results[1].thumbnail, '');
+    assert.equal(results[1].free, false);
+    assert.deepEqual(results[1].price, { amount: 4.5, currency: 'EUR' });
+}));
+
+test('search pages by offset and sends the sort natively', withCredentials(async () => {
+    const transport = replay('cults3d/search.json');
+
+    const results = await cults3d.search('benchy', { limit: 2, page: 2, sort: 'newest' });
+
+    assert.deepEqual(results.map(result => result.id), ['benchy-tugboat']);
+    assert.deepEqual(transport.calls[0].body.variables, { query: 'benchy', limit: 2, offset: 2, sort: 'BY_PUBLICATION' });
+}));
+
+test('the price filter is applied to the page it returns', withCredentials(async () => {
+    replay('cults3d/search.json');
+
+    const { results, meta } = await searchSource('cults3d', 'benchy', { limit: 2, page: 1, options: { price: 'paid' }, fresh: true });
+
+    assert.deepEqual(results.map(result => result.id), ['benchy-cargo-ship']);
+    assert.deepEqual(meta.options.post, ['price']);
+}));
+
+test('GraphQL errors and a rejected key are reported', withCredentials(async () => {
+    replay('cults3d/graphql-error.json');
+    await assert.rejects(cults3d.search('benchy'), {
+        status: STATUS.PARSE_ERROR,
+        message: "Cults3D GraphQL error: Argument 'sort' on Field 'creationsSearchBatch' has an invalid value"
+    });
+
+    replay('cults3d/unauthorized.json');
+    const { meta } = await runSource('cults3d', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    assert.equal(meta.status, STATUS.HTTP_ERROR);
+    assert.equal(meta.httpStatus, 401);
+}));
+
+test('popular reads the most downloaded creations', withCredentials(async () => {
+    const transport = replay('cults3d/popular.json');
+
+    const results = await cults3d.popular({ limit: 2 });
+
+    assert.deepEqual(results.map(result => [result.title, result.free]), [['Flexi Rex', true], ['Articulated Dragon', false]]);
+    assert.deepEqual(transport.calls[0].body.variables, { limit: 2 });
+}));
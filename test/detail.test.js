@@ -0,0 +1,97 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { normalizeDetail, fileFormat, toIsoDate, htmlToText, readPageMetadata } = require('../lib/sources/detail');
+
+test('normalizeDetail fills every field of the detail record', () => {
+    const detail = normalizeDetail({
+        id: 3161,
+        source: 'printables',
+        url: 'https://www.printables.com/model/3161-3dbenchy',
+        images: ['https://media.printables.com/a.jpg', '', 'https://media.printables.com/a.jpg', 'https://media.printables.com/b.jpg'],
+        files: [{ name: 'Benchy_v2.STL', size: 1024 }, { name: 'README', size: 'big', format: 'txt', url: 'https://example.com/readme' }],
+        license: 'CC BY-ND',
+        tags: ['boat', ' boat ', '', 42],
+        publishedAt: 1428573600,
+        remixOf: { url: 'https://www.printables.com/model/1' }
+    });
+
+    assert.deepEqual(detail, {
+        id: '3161',
+        source: 'printables',
+        title: 'Untitled',
+        creator: 'Unknown',
+        url: 'https://www.printables.com/model/3161-3dbenchy',
+        thumbnail: 'https://media.printables.com/a.jpg',
+        likes: 0,
+        downloads: 0,
+        description: '',
+        images: ['https://media.printables.com/a.jpg', 'https://media.printables.com/b.jpg'],
+        files: [
+            { name: 'Benchy_v2.STL', size: 1024, format: 'stl', url: null },
+            { name: 'README', size: null, format: 'txt', url: 'https://example.com/readme' }
+        ],
+        license: { id: 'cc-by-nd', label: 'CC BY-ND', commercial: true, name: 'CC BY-ND' },
+        tags: ['boat', '42'],
+        category: null,
+        publishedAt: '2015-04-09T10:00:00.000Z',
+        remixOf: { title: 'https://www.printables.com/model/1', url: 'https://www.printables.com/model/1' }
+    });
+});
+
+test('file formats and dates are read however the site writes them', () => {
+    assert.equal(fileFormat('part.3MF'), '3mf');
+    assert.equal(fileFormat('README'), null);
+    assert.equal(toIsoDate('2024-05-01T08:00:00Z'), '2024-05-01T08:00:00.000Z');
+    assert.equal(toIsoDate(1714550400000), '2024-05-01T08:00:00.000Z');
+    assert.equal(toIsoDate(1714550400), '2024-05-01T08:00:00.000Z');
+    assert.equal(toIsoDate('yesterday'), null);
+    assert.equal(toIsoDate(''), null);
+});
+
+test('htmlToText keeps paragraphs and drops markup', () => {
+    assert.equal(htmlToText('<p>Print at <b>0.2mm</b>.</p><p>No supports.<br>PLA or PETG</p>'), 'Print at 0.2mm.\n\nNo supports.\nPLA or PETG');
+    assert.equal(htmlToText(null), '');
+});
+
+test('readPageMetadata prefers JSON-LD and falls back to OpenGraph', () => {
+    const withLinkedData = cheerio.load(`
+        <meta property="og:title" content="OG title">
+        <meta property="og:image" content="https://example.com/og.jpg">
+        <script type="application/ld+json">{ broken</script>
+        <script type="application/ld+json">[{ "@type": "BreadcrumbList" }, {
+            "@type": "3DModel", "name": "Benchy", "description": "Torture test",
+            "image": [{ "url": "https://example.com/ld.jpg" }], "author": { "name": "CreativeTools" },
+            "keywords": "boat, benchmark", "datePublished": "2015-04-09"
+        }]</script>
+    `);
+    const metadata = readPageMetadata(withLinkedData);
+    assert.equal(metadata.title, 'Benchy');
+    assert.deepEqual(metadata.images, ['https://example.com/ld.jpg', 'https://example.com/og.jpg']);
+    assert.equal(metadata.creator, 'CreativeTools');
+    assert.deepEqual(metadata.tags, ['boat', ' benchmark']);
+
+    const openGraphOnly = readPageMetadata(cheerio.load('<meta property="og:title" content="OG title"><meta name="description" content="Plain">'));
+    assert.equal(openGraphOnly.title, 'OG title');
+    assert.equal(openGraphOnly.description, 'Plain');
+    assert.deepEqual(openGraphOnly.tags, []);
+});
+
+test('normalizeDetail drops links that are not http(s)', () => {
+    const detail = normalizeDetail({
+        id: 1,
+        source: 'thingiverse',
+        url: 'javascript:alert(1)',
+        thumbnail: 'data:image/svg+xml,<svg onload="alert(1)"/>',
+        images: ['javascript:alert(2)', 'https://cdn.thingiverse.com/a.jpg'],
+        files: [{ name: 'evil.stl', url: ' javascript:alert(3)' }, { name: 'ok.stl', url: 'https://www.thingiverse.com/download/1' }],
+        remixOf: { title: 'Original', url: 'JavaScript:alert(4)' }
+    });
+
+    assert.equal(detail.url, null);
+    assert.equal(detail.thumbnail, 'https://cdn.thingiverse.com/a.jpg');
+    assert.deepEqual(detail.images, ['https://cdn.thingiverse.com/a.jpg']);
+    assert.deepEqual(detail.files.map(file => file.url), [null, 'https://www.thingiverse.com/download/1']);
+    assert.equal(detail.remixOf, null);
+});
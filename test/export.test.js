@@ -0,0 +1,84 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toRows, renderExport, exportFilename, negotiateFormat } = require('../lib/export');
+
+const results = {
+    printables: [{
+        id: '3161',
+        title: '=HYPERLINK("evil") | Benchy',
+        creator: 'CreativeTools',
+        thumbnail: 'https://media.printables.com/benchy.jpg',
+        url: 'https://www.printables.com/model/3161-3dbenchy',
+        likes: 5400,
+        downloads: 98000,
+        license: { id: 'cc-by-nd', label: 'CC BY-ND', commercial: true, name: null },
+        category: 'Toys'
+    }],
+    youmagine: [{
+        id: 'tugboat',
+        title: 'Tugboat (v2)',
+        creator: 'harbor',
+        thumbnail: '',
+        url: 'https://youmagine.com/designs/tugboat (v2)',
+        likes: 0,
+        downloads: 0,
+        free: true,
+        license: { id: 'unknown', label: 'Unknown', commercial: null, name: null },
+        source: 'youmagine'
+    }]
+};
+
+test('toRows gives every source the same columns', () => {
+    const rows = toRows(results);
+
+    assert.deepEqual(rows.map(row => Object.keys(row).length), [15, 15]);
+    assert.equal(rows[0].source, 'printables');
+    assert.equal(rows[0].license, 'CC BY-ND');
+    assert.equal(rows[0].free, null);
+    assert.equal(rows[1].license, null);
+    assert.equal(rows[1].thumbnail, null);
+    assert.equal(rows[1].free, true);
+});
+
+test('CSV exports defuse spreadsheet formulas', () => {
+    const csv = renderExport('csv', toRows(results), 'Results');
+
+    assert.match(csv, /\r\nprintables,"'=HYPERLINK\(""evil""\) \| Benchy",CreativeTools,/);
+});
+
+test('Markdown exports escape table syntax and link titles', () => {
+    const md = renderExport('md', toRows(results), 'Results for "benchy"');
+
+    assert.match(md, /^## Results for "benchy"\n/);
+    assert.match(md, /\| printables \| \[=HYPERLINK\("evil"\) \\\| Benchy\]\(https:\/\/www\.printables\.com\/model\/3161-3dbenchy\) \| CreativeTools \| 5400 \| 98000 \| CC BY-ND \|/);
+    assert.match(md, /\[Tugboat \(v2\)\]\(https:\/\/youmagine\.com\/designs\/tugboat%20%28v2%29\)/);
+    assert.match(md, /\| 0 \| 0 \| Unknown \|\n$/);
+});
+
+test('JSON Lines exports one record per line', () => {
+    const lines = renderExport('jsonl', toRows(results)).split('\n');
+
+    assert.equal(lines.length, 3);
+    assert.equal(JSON.parse(lines[1]).id, 'tugboat');
+    assert.equal(renderExport('jsonl', []), '');
+});
+
+test('exportFilename slugs the query', () => {
+    assert.equal(exportFilename(['Phone Stand!', 'printables', 'page 2'], 'csv'), 'phone-stand-printables-page-2.csv');
+    assert.equal(exportFilename(['Drachen Zähne', false], 'md'), 'drachen-zahne.md');
+    assert.equal(exportFilename(['???'], 'jsonl'), 'results.jsonl');
+});
+
+test('negotiateFormat prefers format= over Accept', () => {
+    const req = (query, accept) => ({ query, accepts: types => (accept && types.includes(accept) ? accept : types[0]) });
+
+    assert.equal(negotiateFormat(req({ format: 'md' }, 'text/csv')), 'md');
+    assert.equal(negotiateFormat(req({}, 'text/csv')), 'csv');
+    assert.equal(negotiateFormat(req({}, 'application/x-ndjson')), 'jsonl');
+    assert.equal(negotiateFormat(req({})), 'json');
+    assert.throws(() => negotiateFormat(req({ format: 'xlsx' })), { status: 400 });
+    assert.throws(() => negotiateFormat(req({ format: 'toString' })), { status: 400 });
+    assert.throws(() => negotiateFormat(req({ format: ['csv'] })), { status: 400 });
+    assert.throws(() => negotiateFormat(req({ format: { csv: '' } })), { status: 400 });
+});
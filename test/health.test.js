@@ -0,0 +1,90 @@
+require('./helpers');
+// Read when lib/sources/health loads: open after two failures, retry 30ms later
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_COOLDOWN_MS = '30';
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sources = require('../lib/sources');
+const health = require('../lib/sources/health');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS, SourceError } = require('../lib/sources/status');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+const failure = { status: STATUS.TIMEOUT, latencyMs: 100, error: 'Request timed out' };
+
+test('the circuit opens after repeated failures and a trial call closes it again', async () => {
+    let calls = 0;
+    let fail = true;
+    sources.registerSource({
+        id: 'health-flaky',
+        search: async () => {
+            calls++;
+            if (fail) throw new SourceError(STATUS.BLOCKED, 'Blocked by Cloudflare', { httpStatus: 403 });
+            return [{ id: '1', title: 'Benchy', url: 'https://example.com/1', source: 'health-flaky' }];
+        }
+    });
+    const search = () => runSource('health-flaky', 'search', ['benchy', { limit: 1 }], { fresh: true });
+
+    await search();
+    assert.equal(health.getSourceHealth('health-flaky').circuit.state, 'closed');
+    await search();
+    const opened = health.getSourceHealth('health-flaky');
+    assert.equal(opened.circuit.state, 'open');
+    assert.equal(opened.state, 'down');
+    assert.equal(opened.lastError.httpStatus, 403);
+    assert.ok(opened.circuit.retryAt);
+
+    // Skipped without calling the source while open
+    const skipped = await search();
+    assert.equal(calls, 2);
+    assert.equal(skipped.meta.status, STATUS.CIRCUIT_OPEN);
+    assert.match(skipped.meta.error, /^Circuit open after repeated failures \(blocked\), retrying after \d{4}-/);
+
+    // After the cooldown one trial goes through; failing it re-opens at once
+    await wait(40);
+    assert.equal(health.canRequest('health-flaky'), true);
+    assert.equal(health.canRequest('health-flaky'), false);
+    const halfOpen = await search();
+    assert.equal(calls, 2);
+    assert.equal(halfOpen.meta.error, 'Circuit open after repeated failures (blocked)');
+    health.recordOutcome('health-flaky', failure);
+    assert.equal(health.getSourceHealth('health-flaky').circuit.state, 'open');
+
+    await wait(40);
+    fail = false;
+    assert.equal((await search()).meta.status, STATUS.OK);
+    const closed = health.getSourceHealth('health-flaky');
+    assert.equal(closed.circuit.state, 'closed');
+    assert.equal(closed.circuit.consecutiveFailures, 0);
+    assert.ok(closed.lastSuccessAt);
+});
+
+test('source health reports rates, latency percentiles and a state', () => {
+    assert.equal(health.getSourceHealth('health-unused').state, 'unknown');
+
+    [10, 20, 30, 40, 50, 60, 70, 80, 90].forEach(latencyMs => health.recordOutcome('health-steady', { status: STATUS.OK, latencyMs }));
+    health.recordOutcome('health-steady', { status: STATUS.FALLBACK, latencyMs: 100 });
+
+    const steady = health.getSourceHealth('health-steady');
+    assert.equal(steady.state, 'healthy');
+    assert.equal(steady.requests, 10);
+    assert.equal(steady.successRate, 1);
+    assert.equal(steady.fallbackRate, 0.1);
+    assert.deepEqual(steady.latencyMs, { p50: 50, p90: 90, p99: 100 });
+
+    health.recordOutcome('health-shaky', { status: STATUS.OK, latencyMs: 10 });
+    health.recordOutcome('health-shaky', failure);
+    health.recordOutcome('health-shaky', { status: STATUS.EMPTY, latencyMs: 10 });
+    assert.equal(health.getSourceHealth('health-shaky').state, 'degraded');
+    assert.equal(health.getSourceHealth('health-shaky').successRate, 0.667);
+});
+
+test('the overall report is degraded with one source down and unhealthy with all of them', () => {
+    health.recordOutcome('health-down', failure);
+    health.recordOutcome('health-down', failure);
+
+    assert.equal(health.getHealthReport(['health-steady', 'health-unused']).status, 'ok');
+    assert.equal(health.getHealthReport(['health-steady', 'health-down']).status, 'degraded');
+    assert.equal(health.getHealthReport(['health-down', 'health-unused']).status, 'unhealthy');
+    assert.deepEqual(Object.keys(health.getHealthReport(['health-steady', 'health-down']).sources), ['health-steady', 'health-down']);
+});
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Required first by every test file: settings the modules below read when loaded.
+// Nothing is written to ./data, a .env key can't switch adapters onto their API
+// path, failing fixtures never open a circuit, and fixtures answering at once
+// aren't held back by a rate limit or a retry's backoff.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), '3dmodelsearch-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.RESULT_CACHE = 'memory';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '1000';
+process.env.HTTP_HOST_RATE = '0';
+process.env.HTTP_RETRY_BASE_MS = '1';
+process.env.THINGIVERSE_API_KEY = '';
+process.env.CULTS3D_USERNAME = '';
+process.env.CULTS3D_API_KEY = '';
+delete process.env.HTTP_FIXTURES;
+delete process.env.SOURCES_DIR;
+delete process.env.SEARCH_HISTORY;
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { setTransport } = require('../lib/http');
+const { loadFixtures, createReplayTransport } = require('../lib/fixtures');
+const { clearCache } = require('../lib/cache');
+const { clearSnapshots } = require('../lib/snapshots');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Answer upstream requests from fixture files (paths relative to test/fixtures),
+// starting from an empty result cache and no snapshots. Returns the transport to inspect its calls.
+function replay(...names) {
+    const transport = createReplayTransport(loadFixtures(...names.map(name => path.join(FIXTURES_DIR, name))));
+    setTransport(transport);
+    clearCache();
+    clearSnapshots();
+    return transport;
+}
+
+function withApiKey(key, fn) {
+    return async () => {
+        process.env.THINGIVERSE_API_KEY = key;
+        try {
+            await fn();
+        } finally {
+            process.env.THINGIVERSE_API_KEY = '';
+        }
+    };
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    replay,
+    withApiKey
+};
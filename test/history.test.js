@@ -0,0 +1,58 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { recordSearch, listHistory, clearHistory, getQueryStats } = require('../lib/history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-03-01T12:00:00Z');
+const outcome = (site, count, error = null, status = error ? 'error' : 'ok') => ({ site, results: Array(count).fill({}), meta: { status, error } });
+
+test('a repeated search within a minute updates the newest entry', () => {
+    clearHistory();
+    recordSearch(' phone  stand ', [outcome('printables', 3)], now);
+    const entry = recordSearch('Phone stand', [outcome('thangs', 0, 'HTTP 403'), outcome('cults3d', 2, null, 'served_from_fallback')], now + 30 * 1000);
+
+    assert.equal(listHistory().length, 1);
+    assert.equal(entry.query, 'phone stand');
+    assert.deepEqual(entry.results, { printables: 3, thangs: null, cults3d: null });
+    assert.equal(entry.total, 3);
+
+    recordSearch('phone stand', [outcome('printables', 1)], now + 2 * 60 * 1000);
+    assert.equal(listHistory().length, 2);
+});
+
+test('query stats weigh frequency and recency', () => {
+    clearHistory();
+    recordSearch('gear', [], now - 14 * DAY);
+    recordSearch('gear', [], now - 7 * DAY);
+    recordSearch('gridfinity', [], now);
+
+    const stats = Object.fromEntries(getQueryStats(now).map(stat => [stat.query, stat]));
+    assert.equal(stats.gear.count, 2);
+    assert.equal(stats.gear.score, 0.75);
+    assert.equal(stats.gridfinity.score, 1);
+});
+
+test('history can be filtered and cleared per query', () => {
+    clearHistory();
+    recordSearch('dice tower', [], now);
+    recordSearch('pi case', [], now + DAY);
+    recordSearch('dice box', [], now + 2 * DAY);
+
+    assert.deepEqual(listHistory({ q: 'DICE' }).map(entry => entry.query), ['dice box', 'dice tower']);
+    assert.deepEqual(listHistory({ limit: 1 }).map(entry => entry.query), ['dice box']);
+    assert.equal(clearHistory('Dice Tower'), 1);
+    assert.equal(clearHistory(), 2);
+    assert.deepEqual(listHistory(), []);
+});
+
+test('SEARCH_HISTORY=off records nothing', () => {
+    clearHistory();
+    process.env.SEARCH_HISTORY = 'off';
+    try {
+        assert.equal(recordSearch('benchy', [], now), null);
+        assert.deepEqual(listHistory(), []);
+    } finally {
+        delete process.env.SEARCH_HISTORY;
+    }
+});
@@ -0,0 +1,52 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { dataPath } = require('../lib/storage');
+const { DiskImageCache, getDiskCacheStats } = require('../lib/image-cache');
+const { getImageCacheStats } = require('../lib/images');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('stats report an empty disk cache without creating its directory', () => {
+    assert.deepEqual(getDiskCacheStats(), { entries: 0, bytes: 0, maxBytes: 200 * 1024 * 1024, hits: 0, misses: 0 });
+    assert.equal(getImageCacheStats().disk.entries, 0);
+    assert.equal(fs.existsSync(dataPath('image-cache')), false);
+});
+
+test('thumbnails are evicted least recently used first once past maxBytes', async (t) => {
+    const cache = new DiskImageCache(tempDir(t), 250);
+
+    const etag = await cache.set('a', Buffer.alloc(100, 1), 'image/webp');
+    await cache.set('b', Buffer.alloc(100, 2), 'image/webp');
+    assert.deepEqual(await cache.get('a'), { buffer: Buffer.alloc(100, 1), contentType: 'image/webp', etag });
+
+    // b is now the least recently used
+    await cache.set('c', Buffer.alloc(100, 3), 'image/webp');
+    assert.equal(await cache.get('b'), null);
+    assert.ok(await cache.get('a'));
+    assert.deepEqual(cache.getStats(), { entries: 2, bytes: 200, maxBytes: 250, hits: 2, misses: 1 });
+
+    // Replacing a thumbnail counts only the new one
+    await cache.set('a', Buffer.alloc(50, 4), 'image/webp');
+    assert.equal(cache.getStats().bytes, 150);
+});
+
+test('the index is rebuilt from the directory at startup', async (t) => {
+    const dir = tempDir(t);
+    const first = new DiskImageCache(dir, 1000);
+    const etag = await first.set('thumb|280x180|webp', Buffer.from('webp bytes'), 'image/webp');
+    await first.set('thumb|280x180|jpeg', Buffer.from('jpeg bytes'), 'image/jpeg');
+    fs.writeFileSync(path.join(dir, 'stray.txt'), 'not a thumbnail');
+
+    const reloaded = new DiskImageCache(dir, 1000);
+
+    assert.deepEqual(reloaded.getStats(), { entries: 2, bytes: 20, maxBytes: 1000, hits: 0, misses: 0 });
+    assert.deepEqual(await reloaded.get('thumb|280x180|webp'), { buffer: Buffer.from('webp bytes'), contentType: 'image/webp', etag });
+});
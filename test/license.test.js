@@ -0,0 +1,52 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeLicense, withLicense, parseLicenseFilter, filterByLicense } = require('../lib/license');
+
+test('normalizeLicense maps each site\'s wording onto one license', () => {
+    assert.equal(normalizeLicense('Creative Commons - Attribution - Non-Commercial').id, 'cc-by-nc');
+    assert.equal(normalizeLicense('CC BY-SA 4.0').id, 'cc-by-sa');
+    assert.equal(normalizeLicense('CC_BY_ND').id, 'cc-by-nd');
+    assert.equal(normalizeLicense('Creative Commons - Public Domain Dedication').id, 'public-domain');
+    assert.equal(normalizeLicense({ name: 'GNU - GPL' }).id, 'gpl');
+    assert.equal(normalizeLicense({ abbreviation: 'MIT' }).id, 'permissive');
+    assert.deepEqual(normalizeLicense('Standard Digital File License'), {
+        id: 'standard',
+        label: 'Standard',
+        commercial: false,
+        name: 'Standard Digital File License'
+    });
+    assert.deepEqual(normalizeLicense(undefined), { id: 'unknown', label: 'Unknown', commercial: null, name: null });
+    assert.equal(normalizeLicense('Some house license').id, 'unknown');
+    // Already normalized records pass through
+    const normalized = normalizeLicense('CC BY');
+    assert.equal(normalizeLicense(normalized), normalized);
+    assert.equal(withLicense({ title: 'Benchy', license: 'CC BY' }).license.id, 'cc-by');
+});
+
+test('parseLicenseFilter reads ids, commercial use and the unknown switch', () => {
+    assert.equal(parseLicenseFilter({}), null);
+    assert.equal(parseLicenseFilter({ license: 'nonsense', commercial: 'maybe' }), null);
+    assert.deepEqual(parseLicenseFilter({ license: 'cc-by, cc-by-sa,bogus' }), { ids: ['cc-by', 'cc-by-sa'], commercial: null, includeUnknown: false });
+    assert.deepEqual(parseLicenseFilter({ commercial: 'forbidden', unknown: 'include' }), { ids: [], commercial: false, includeUnknown: true });
+});
+
+test('parseLicenseFilter takes repeated parameters instead of throwing', () => {
+    // Express hands ?license=a&license=b over as an array
+    assert.deepEqual(parseLicenseFilter({ license: ['cc-by', 'gpl,cc-by-nc'] }).ids, ['cc-by', 'gpl', 'cc-by-nc']);
+    assert.deepEqual(parseLicenseFilter({ license: [{ id: 'cc-by' }], commercial: ['allowed', 'allowed'] }), null);
+});
+
+test('filterByLicense counts unknown licenses apart from the rest', () => {
+    const records = ['CC BY', 'CC BY-NC', 'Standard', undefined].map(license => ({ license }));
+
+    assert.deepEqual(filterByLicense(records, null), { results: records, removed: 0, unknownRemoved: 0 });
+
+    const commercial = filterByLicense(records, parseLicenseFilter({ commercial: 'allowed' }));
+    assert.deepEqual(commercial.results, [records[0]]);
+    assert.equal(commercial.removed, 2);
+    assert.equal(commercial.unknownRemoved, 1);
+
+    const withUnknown = filterByLicense(records, parseLicenseFilter({ license: 'cc-by-nc', unknown: 'include' }));
+    assert.deepEqual(withUnknown.results, [records[1], records[3]]);
+});
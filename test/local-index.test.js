@@ -0,0 +1,89 @@
+require('./helpers');
+process.env.LOCAL_INDEX_MAX_ENTRIES = '4';
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { canonicalUrl, tokenize, addRecords, searchIndex, getIndexStats, clearIndex } = require('../lib/local-index');
+const { searchLocal } = require('../lib/search');
+
+const model = (id, title, extra = {}) => ({
+    id: String(id),
+    title,
+    creator: 'Maker',
+    url: `https://www.printables.com/model/${id}`,
+    thumbnail: '',
+    likes: 0,
+    downloads: 0,
+    source: 'printables',
+    ...extra
+});
+
+beforeEach(() => clearIndex());
+
+test('canonicalUrl ignores www, fragments, tracking parameters and trailing slashes', () => {
+    assert.equal(canonicalUrl('http://www.Printables.com/model/1/?utm_source=x&b=2&a=1#files'), 'https://printables.com/model/1?a=1&b=2');
+    assert.equal(canonicalUrl('https://printables.com/model/1'), 'https://printables.com/model/1');
+    assert.equal(canonicalUrl('not a url'), null);
+    assert.equal(canonicalUrl('ftp://example.com/file'), null);
+});
+
+test('tokenize folds case, accents and plurals and splits joined words for the index', () => {
+    assert.deepEqual(tokenize('Café Phone-Stands'), ['cafe', 'phone', 'stand']);
+    assert.deepEqual(tokenize('3DBenchy', { parts: true }), ['3dbenchy', '3', 'd', 'benchy']);
+    assert.deepEqual(tokenize('3DBenchy'), ['3dbenchy']);
+});
+
+test('records are deduplicated by canonical URL, keeping fields the newer one lacks', () => {
+    addRecords([model(1, 'Benchy', { tags: ['boat'] })], Date.parse('2026-01-01T00:00:00Z'));
+    addRecords([{ ...model(1, 'Benchy v2'), url: 'https://printables.com/model/1/', tags: undefined }], Date.parse('2026-02-01T00:00:00Z'));
+
+    const [found] = searchIndex('boat');
+    assert.equal(getIndexStats().entries, 1);
+    assert.equal(found.title, 'Benchy v2');
+    assert.deepEqual(found.tags, ['boat']);
+    assert.equal(found.lastSeenAt, '2026-02-01T00:00:00.000Z');
+});
+
+test('every query word has to match, whole words and titles ranking first', () => {
+    addRecords([
+        model(1, 'Benchy Display Stand'),
+        model(2, '3DBenchy'),
+        model(3, 'Phone Stand', { creator: 'Benchy Fan' }),
+        model(4, 'Benchmark Tower')
+    ]);
+
+    assert.deepEqual(searchIndex('benchy').map(record => record.id), ['1', '2', '3']);
+    // Only a start matches here, and the rarer word ranks higher
+    assert.deepEqual(searchIndex('bench').map(record => record.id), ['4', '1', '2', '3']);
+    assert.deepEqual(searchIndex('benchy stands').map(record => record.id), ['1', '3']);
+    assert.deepEqual(searchIndex('benchy tower'), []);
+    assert.deepEqual(searchIndex('be'), []);
+    assert.deepEqual(searchIndex('benchy', { site: 'thangs' }), []);
+});
+
+test('the least recently seen entries go past the limit', () => {
+    [1, 2, 3, 4, 5].forEach(id => addRecords([model(id, `Vase ${id}`)], Date.parse('2026-01-01T00:00:00Z') + id * 1000));
+
+    assert.equal(getIndexStats().entries, 4);
+    assert.deepEqual(searchIndex('vase').map(record => record.id).sort(), ['2', '3', '4', '5']);
+});
+
+test('searchLocal filters and sorts every match before cutting out the page', () => {
+    addRecords([
+        model(1, 'Vase Spiral', { downloads: 10 }),
+        model(2, 'Vase Twisted', { downloads: 300 }),
+        model(3, 'Vase Low Poly', { downloads: 50, creator: 'Polygon' })
+    ]);
+
+    const first = searchLocal('printables', 'vase -poly', { limit: 1, page: 1, options: { sort: 'downloads' } });
+    const second = searchLocal('printables', 'vase -poly', { limit: 1, page: 2, options: { sort: 'downloads' } });
+    const past = searchLocal('printables', 'vase', { limit: 5, page: 2 });
+
+    assert.deepEqual(first.results.map(record => record.id), ['2']);
+    assert.deepEqual(second.results.map(record => record.id), ['1']);
+    assert.equal(first.meta.status, 'ok');
+    assert.deepEqual(first.meta.local, { total: 2, hasMore: true });
+    assert.equal(second.meta.local.hasMore, false);
+    assert.equal(first.meta.query.removed, 1);
+    assert.deepEqual(first.meta.options.post, ['sort']);
+    assert.equal(past.meta.status, 'empty');
+});
@@ -0,0 +1,73 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeTitle, similarity, mergeResults } = require('../lib/merge');
+
+const model = (source, overrides) => ({
+    id: `${source}-1`,
+    title: 'Articulated Dragon',
+    creator: 'McGybeer',
+    thumbnail: '',
+    url: `https://${source}.example.com/1`,
+    likes: 10,
+    downloads: 100,
+    source,
+    ...overrides
+});
+
+test('normalizeTitle drops case, accents, punctuation and filler words', () => {
+    assert.equal(normalizeTitle('The Café Planter - Free STL file for 3D printing!'), 'cafe planter');
+    assert.equal(normalizeTitle(undefined), '');
+    assert.equal(similarity('articulated dragon', 'articulated dragon'), 1);
+    assert.equal(similarity('', 'dragon'), 0);
+    assert.ok(similarity('articulated dragon', 'articulated dragons') > 0.9);
+    assert.ok(similarity('articulated dragon', 'cable clip') < 0.2);
+});
+
+test('cross-posted designs are merged into one entry with combined stats', async () => {
+    const merged = await mergeResults({
+        printables: [model('printables', { title: 'Articulated Dragon (print in place)', downloads: 500, license: 'CC BY' })],
+        thingiverse: [model('thingiverse', { title: 'Articulated dragon - print in place', creator: 'mcgybeer', thumbnail: 'https://cdn.example.com/dragon.jpg' })],
+        thangs: [model('thangs', { title: 'Cable Clip' })]
+    }, { query: 'dragon' });
+
+    assert.equal(merged.length, 2);
+    const [dragon, clip] = merged;
+    assert.equal(dragon.title, 'Articulated Dragon (print in place)');
+    assert.equal(dragon.source, 'printables');
+    assert.equal(dragon.downloads, 600);
+    assert.equal(dragon.likes, 20);
+    assert.equal(dragon.thumbnail, 'https://cdn.example.com/dragon.jpg');
+    assert.deepEqual(dragon.sources.map(copy => copy.source), ['printables', 'thingiverse']);
+    assert.equal(clip.sources.length, 1);
+    assert.ok(dragon.score > clip.score);
+});
+
+test('different creators, or one site\'s own results, are never merged', async () => {
+    const merged = await mergeResults({
+        printables: [model('printables'), model('printables', { id: 'printables-2' })],
+        thangs: [model('thangs', { creator: 'SomeoneElse' })]
+    });
+
+    assert.equal(merged.length, 3);
+});
+
+test('an unknown creator needs a near-identical title', async () => {
+    const merged = await mergeResults({
+        printables: [model('printables', { title: 'Flexi Rex' })],
+        youmagine: [model('youmagine', { title: 'Flexi Rex', creator: 'Unknown' })],
+        thangs: [model('thangs', { title: 'Flexi Rex Remix', creator: '' })]
+    }, { useImageHash: true });
+
+    assert.deepEqual(merged.map(entry => entry.sources.length).sort(), [1, 2]);
+    assert.equal(merged.find(entry => entry.sources.length === 2).creator, 'McGybeer');
+});
+
+test('ranking favours titles matching the query', async () => {
+    const merged = await mergeResults({
+        printables: [model('printables', { title: 'Phone Stand' }), model('printables', { id: 'p2', title: 'Dragon Phone Stand' })]
+    }, { query: 'dragon' });
+
+    assert.deepEqual(merged.map(entry => entry.title), ['Dragon Phone Stand', 'Phone Stand']);
+    assert.deepEqual(await mergeResults({}), []);
+});
@@ -0,0 +1,93 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const myminifactory = require('../lib/sources/myminifactory');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search maps the API', async () => {
+    const transport = replay('myminifactory/api-search.json');
+
+    const results = await myminifactory.search('benchy', { limit: 2 });
+
+    assert.equal(transport.calls.length, 1);
+    assert.deepEqual(results[0], {
+        id: '3d-print-benchy-123',
+        title: 'Benchy',
+        creator: 'CreativeTools',
+        thumbnail: 'https://cdn.myminifactory.com/assets/benchy-thumb.jpg',
+        url: 'https://www.myminifactory.com/object/3d-print-benchy-123',
+        likes: 75,
+        downloads: 1500,
+        license: 'Creative Commons - Attribution',
+        source: 'myminifactory'
+    });
+    assert.deepEqual(results[1], {
+        id: '456',
+        title: 'Tugboat',
+        creator: 'harbor',
+        thumbnail: 'https://cdn.myminifactory.com/assets/tugboat.jpg',
+        url: 'https://www.myminifactory.com/object/456',
+        likes: 0,
+        downloads: 60,
+        license: 'All rights reserved',
+        source: 'myminifactory'
+    });
+});
+
+test('search scrapes the page when the API answers HTML', async () => {
+    const transport = replay('myminifactory/search-page.json');
+
+    const { results } = await myminifactory.search('benchy', { limit: 10 });
+
+    assert.equal(transport.calls.length, 2);
+    assert.deepEqual(results.map(result => [result.id, result.title, result.url, result.thumbnail]), [
+        ['3d-print-benchy-123', 'Benchy', 'https://www.myminifactory.com/object/3d-print-benchy-123', 'https://cdn.myminifactory.com/assets/benchy.jpg'],
+        ['3d-print-tugboat-456', 'Tugboat', 'https://www.myminifactory.com/object/3d-print-tugboat-456', 'https://cdn.myminifactory.com/assets/tugboat.jpg']
+    ]);
+});
+
+test('search reports the page being blocked', async () => {
+    replay('myminifactory/search-blocked.json');
+
+    const { meta } = await runSource('myminifactory', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.BLOCKED);
+    assert.equal(meta.httpStatus, 503);
+});
+
+test('search sends the unified sort to both endpoints', async () => {
+    const transport = replay();
+
+    await assert.rejects(myminifactory.search('benchy', { sort: 'newest' }));
+    assert.deepEqual(transport.calls.map(call => new URL(call.url).searchParams.get('sortBy')), ['date', 'date']);
+});
+
+test('popular serves curated models', async () => {
+    replay();
+
+    const { results, meta } = await runSource('myminifactory', 'popular', [{ limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(meta.fallbackReason, 'Cloudflare protected');
+    assert.equal(results.length, 2);
+});
+
+test('detail reads the page metadata and markup', async () => {
+    replay('myminifactory/object.json');
+
+    const model = await myminifactory.detail('3d-print-benchy-123');
+
+    assert.equal(model.title, 'Benchy');
+    assert.equal(model.creator, 'CreativeTools');
+    assert.equal(model.description, 'The jolly torture test.');
+    assert.deepEqual(model.images, [
+        'https://cdn.myminifactory.com/assets/benchy.jpg',
+        'https://cdn.myminifactory.com/assets/benchy-side.jpg'
+    ]);
+    assert.deepEqual(model.files.map(file => file.name), ['benchy.stl', 'benchy_supports.stl']);
+    assert.equal(model.license.id, 'cc-by');
+    assert.deepEqual(model.tags, ['boat', 'benchmark']);
+    assert.equal(model.category, 'Toys');
+    assert.equal(model.publishedAt, '2016-02-03T00:00:00.000Z');
+});
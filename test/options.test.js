@@ -0,0 +1,57 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchOptions, splitSearchOptions, applySearchOptions } = require('../lib/sources/options');
+
+const adapter = { capabilities: { sorting: ['newest'], filters: ['price'] } };
+const record = (id, extra) => ({ id, title: `Model ${id}`, ...extra });
+
+test('parseSearchOptions keeps the options it understands', () => {
+    assert.equal(parseSearchOptions({}), null);
+    assert.equal(parseSearchOptions({ sort: 'random', price: 'cheap', printProfile: 'yes', category: '  ' }), null);
+    assert.deepEqual(parseSearchOptions({ sort: 'likes', price: 'free', printProfile: '1', multipleFiles: '1', category: ' Toys ' }), {
+        sort: 'likes',
+        price: 'free',
+        printProfile: true,
+        multipleFiles: true,
+        category: 'Toys'
+    });
+});
+
+test('parseSearchOptions ignores repeated parameters instead of throwing', () => {
+    // Express hands ?category=a&category=b over as an array
+    assert.equal(parseSearchOptions({ category: ['toys', 'tools'], sort: ['likes', 'newest'], price: ['free'] }), null);
+    assert.deepEqual(parseSearchOptions({ category: ['toys'], sort: 'likes' }), { sort: 'likes' });
+});
+
+test('splitSearchOptions sends the adapter only what it handles natively', () => {
+    assert.deepEqual(splitSearchOptions(adapter, { sort: 'newest', price: 'paid', category: 'toys' }), {
+        native: { sort: 'newest', price: 'paid' },
+        post: { category: 'toys' }
+    });
+    assert.deepEqual(splitSearchOptions(adapter, { sort: 'likes' }), { native: {}, post: { sort: 'likes' } });
+    assert.deepEqual(splitSearchOptions(adapter, null), { native: {}, post: {} });
+});
+
+test('applySearchOptions filters and sorts the page, counting what it could not judge', () => {
+    const outcome = {
+        site: 'example',
+        results: [
+            record('1', { free: true, likes: 5, category: 'Toys & Games' }),
+            record('2', { free: false, likes: 50, category: 'Toys' }),
+            record('3', { likes: 500, category: 'Toys' }),
+            record('4', { free: true, likes: 20, category: 'Tools' })
+        ],
+        meta: { status: 'ok' }
+    };
+
+    const { results, meta } = applySearchOptions(outcome, { native: { sort: 'newest' }, post: { price: 'free', category: 'toy', sort: 'likes' } });
+
+    assert.deepEqual(results.map(result => result.id), ['1']);
+    assert.deepEqual(meta.options, { native: ['sort'], post: ['price', 'category', 'sort'], removed: 2, unknownRemoved: 1 });
+    assert.equal(meta.status, 'ok');
+
+    const sorted = applySearchOptions(outcome, { native: {}, post: { sort: 'likes' } });
+    assert.deepEqual(sorted.results.map(result => result.id), ['3', '2', '4', '1']);
+    assert.equal(applySearchOptions(outcome, { native: {}, post: {} }), outcome);
+});
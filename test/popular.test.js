@@ -0,0 +1,120 @@
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sources = require('../lib/sources');
+const { fromFallback, SourceError, STATUS } = require('../lib/sources/status');
+const { recordSnapshot, clearSnapshots } = require('../lib/snapshots');
+const { getPopular, clearFeeds } = require('../lib/popular');
+
+// A source whose popular() answers whatever the test queues next
+const answers = [];
+let calls = 0;
+const models = count => Array.from({ length: count }, (_, i) => ({ id: String(i + 1), title: `Model ${i + 1}`, url: `https://example.com/${i + 1}` }));
+
+function fakePopular() {
+    calls++;
+    const next = answers.shift();
+    if (next instanceof Error) return Promise.reject(next);
+    return Promise.resolve(next);
+}
+
+sources.registerSource({ id: 'fake-feed', popular: fakePopular });
+sources.registerSource({ id: 'fake-stale', popular: fakePopular, popularRefreshMs: 0 });
+
+beforeEach(() => {
+    answers.length = 0;
+    calls = 0;
+    clearFeeds();
+});
+
+test('getPopular fetches a feed once and slices it per request', async () => {
+    answers.push(models(5));
+
+    const [first] = await getPopular(['fake-feed'], 3);
+    const [second] = await getPopular(['fake-feed'], 2);
+
+    assert.equal(calls, 1);
+    assert.equal(first.results.length, 3);
+    assert.equal(first.meta.count, 3);
+    assert.equal(second.results.length, 2);
+    assert.equal(second.meta.status, STATUS.OK);
+    assert.ok(second.meta.feed.ageMs >= 0);
+    assert.equal(second.meta.feed.fetchedAt, first.meta.feed.fetchedAt);
+    assert.equal(second.meta.feed.refreshError, null);
+});
+
+test('a failed refresh keeps serving the last good feed', async () => {
+    answers.push(models(2), new SourceError(STATUS.BLOCKED, 'Blocked by Cloudflare'));
+
+    const [good] = await getPopular(['fake-feed'], 10);
+    const [kept] = await getPopular(['fake-feed'], 10, { fresh: true });
+
+    assert.equal(calls, 2);
+    assert.deepEqual(kept.results.map(model => model.id), ['1', '2']);
+    assert.equal(kept.meta.status, STATUS.OK);
+    assert.equal(kept.meta.feed.fetchedAt, good.meta.feed.fetchedAt);
+    assert.match(kept.meta.feed.refreshError, /Cloudflare/);
+});
+
+test('curated fallback data never replaces a live feed', async () => {
+    answers.push(models(2), fromFallback(models(1), 'Cloudflare protected'));
+
+    await getPopular(['fake-feed'], 10);
+    const [kept] = await getPopular(['fake-feed'], 10, { fresh: true });
+
+    assert.equal(kept.meta.status, STATUS.OK);
+    assert.equal(kept.results.length, 2);
+    assert.equal(kept.meta.feed.refreshError, 'Cloudflare protected');
+});
+
+test('a first refresh that fails reports the error without a fetch time', async () => {
+    answers.push(new SourceError(STATUS.NETWORK_ERROR, 'socket hang up'));
+
+    const [feed] = await getPopular(['fake-feed'], 10);
+
+    assert.deepEqual(feed.results, []);
+    assert.equal(feed.meta.error, 'socket hang up');
+    assert.equal(feed.meta.feed.fetchedAt, null);
+    assert.equal(feed.meta.feed.ageMs, null);
+});
+
+test('a snapshot standing in for the feed keeps its capture time', async () => {
+    const capturedAt = Date.parse('2024-05-01T08:00:00.000Z');
+    recordSnapshot('fake-feed', 'popular', [{ limit: 20 }], models(2), capturedAt);
+    answers.push(new SourceError(STATUS.BLOCKED, 'Blocked by Cloudflare'));
+
+    try {
+        const [feed] = await getPopular(['fake-feed'], 10);
+        assert.equal(feed.meta.status, STATUS.FALLBACK);
+        assert.equal(feed.results.length, 2);
+        assert.equal(feed.meta.feed.fetchedAt, '2024-05-01T08:00:00.000Z');
+        assert.ok(feed.meta.feed.ageMs >= Date.now() - capturedAt);
+    } finally {
+        clearSnapshots();
+    }
+});
+
+test('curated data has no fetch time and outlasts a failed refresh', async () => {
+    answers.push(fromFallback(models(1), 'Cloudflare protected'), new SourceError(STATUS.BLOCKED, 'Blocked by Cloudflare'));
+
+    const [curated] = await getPopular(['fake-feed'], 10);
+    const [kept] = await getPopular(['fake-feed'], 10, { fresh: true });
+
+    assert.equal(curated.meta.status, STATUS.FALLBACK);
+    assert.equal(curated.meta.feed.fetchedAt, null);
+    assert.equal(curated.meta.feed.ageMs, null);
+    assert.equal(kept.results.length, 1);
+    assert.match(kept.meta.feed.refreshError, /Cloudflare/);
+});
+
+test('an overdue feed is served at once and refreshed in the background', async () => {
+    answers.push(models(1), models(3));
+
+    await getPopular(['fake-stale'], 10);
+    const [served] = await getPopular(['fake-stale'], 10);
+    await new Promise(resolve => setImmediate(resolve));
+    const [refreshed] = await getPopular(['fake-stale'], 10);
+
+    assert.equal(served.results.length, 1);
+    assert.equal(refreshed.results.length, 3);
+});
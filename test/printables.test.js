@@ -0,0 +1,115 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const printables = require('../lib/sources/printables');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search maps searchPrints2 items', async () => {
+    const transport = replay('printables/search.json');
+
+    const results = await printables.search('benchy', { limit: 2 });
+
+    assert.equal(transport.calls[0].body.variables.ordering, null);
+    assert.deepEqual(results[0], {
+        id: '3161',
+        title: '3DBenchy',
+        creator: 'CreativeTools',
+        thumbnail: 'https://media.printables.com/media/prints/3161/images/benchy.jpg',
+        url: 'https://www.printables.com/model/3161-3161-3dbenchy',
+        likes: 5400,
+        downloads: 98000,
+        license: 'Creative Commons — Attribution — No Derivatives',
+        source: 'printables'
+    });
+    assert.equal(results[1].thumbnail, '');
+    assert.equal(results[1].license, undefined);
+});
+
+test('search sends the unified sort as the ordering and pages by offset', async () => {
+    const transport = replay();
+
+    await assert.rejects(printables.search('benchy', { limit: 5, page: 3, sort: 'downloads' }));
+    assert.deepEqual(transport.calls[0].body.variables, { query: 'benchy', limit: 5, offset: 10, ordering: '-download_count' });
+});
+
+test('search reports GraphQL errors as parse errors', async () => {
+    replay('printables/graphql-error.json');
+
+    await assert.rejects(printables.search('benchy'), {
+        status: STATUS.PARSE_ERROR,
+        message: 'Printables GraphQL error: Cannot query field "searchPrints2" on type "Query".'
+    });
+});
+
+test('search reports malformed JSON as a parse error', async () => {
+    replay('printables/search-malformed.json');
+
+    const { meta } = await runSource('printables', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.PARSE_ERROR);
+    assert.equal(meta.error, 'Printables API returned invalid JSON');
+});
+
+test('search reports a dropped connection as a network error', async () => {
+    replay('printables/search-network-error.json');
+
+    const { meta } = await runSource('printables', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.NETWORK_ERROR);
+});
+
+test('popular lists the most downloaded prints', async () => {
+    replay('printables/popular.json');
+
+    const results = await printables.popular({ limit: 2 });
+
+    assert.deepEqual(results.map(result => result.id), ['3161', '61562']);
+});
+
+test('popular falls back to a search when the feed is empty', async () => {
+    replay('printables/popular-fallback.json');
+
+    const { results, meta } = await runSource('printables', 'popular', [{ limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.match(meta.fallbackReason, /gridfinity/);
+    assert.deepEqual(results.map(result => result.title), ['Gridfinity Baseplate']);
+});
+
+test('popular reports the feed failure when the fallback fails too', async () => {
+    replay('printables/graphql-error.json');
+
+    await assert.rejects(printables.popular({ limit: 2 }), { message: /Cannot query field/ });
+});
+
+test('detail normalizes a print', async () => {
+    const transport = replay('printables/detail.json');
+
+    const model = await printables.detail('3161-3dbenchy');
+
+    assert.equal(transport.calls[0].body.variables.id, '3161');
+    assert.equal(model.title, '3DBenchy');
+    assert.equal(model.description, 'Made to test and calibrate printers.');
+    assert.deepEqual(model.images, [
+        'https://media.printables.com/media/prints/3161/images/benchy.jpg',
+        'https://media.printables.com/media/prints/3161/images/benchy-back.jpg'
+    ]);
+    assert.deepEqual(model.files, [
+        { name: '3DBenchy.stl', size: 11283784, format: 'stl', url: null },
+        { name: '3DBenchy_0.2mm_PLA_MK4.gcode', size: 4300000, format: 'gcode', url: null }
+    ]);
+    assert.deepEqual(model.tags, ['benchy', 'calibration']);
+    assert.equal(model.category, 'Test Models');
+    assert.equal(model.publishedAt, '2019-08-01T09:30:00.000Z');
+    assert.equal(model.license.id, 'cc-by-nd');
+});
+
+test('detail of a missing print is a 404', async () => {
+    replay('printables/detail.json');
+
+    const { results, meta } = await runSource('printables', 'detail', ['999'], { fresh: true });
+
+    assert.deepEqual(results, []);
+    assert.equal(meta.httpStatus, 404);
+});
@@ -0,0 +1,131 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSource } = require('../lib/sources');
+const { validateRecord, assessResults, recordQuality, getQualityReport } = require('../lib/sources/quality');
+const { runSource } = require('../lib/sources/runner');
+const { getSourceHealth } = require('../lib/sources/health');
+const { STATUS, fromPage } = require('../lib/sources/status');
+
+const record = overrides => ({
+    id: '3161',
+    title: '3DBenchy',
+    creator: 'CreativeTools',
+    thumbnail: 'https://media.printables.com/media/prints/3161/images/benchy.jpg',
+    url: 'https://www.printables.com/model/3161-3dbenchy',
+    likes: 5400,
+    downloads: 98000,
+    source: 'printables',
+    ...overrides
+});
+
+test('validateRecord accepts a well-formed record', () => {
+    assert.deepEqual(validateRecord(record(), getSource('printables')), []);
+});
+
+test('validateRecord checks URLs, hosts and stats', () => {
+    const printables = getSource('printables');
+
+    assert.deepEqual(validateRecord(record({ url: '/model/3161' }), printables), ['url']);
+    assert.deepEqual(validateRecord(record({ url: 'https://evil.example/model/3161' }), printables), ['url_host']);
+    assert.deepEqual(validateRecord(record({ thumbnail: 'data:image/png;base64,AAAA' }), printables), ['thumbnail']);
+    assert.deepEqual(validateRecord(record({ thumbnail: 'https://cdn.example.com/benchy.jpg' }), printables), ['thumbnail_host']);
+    assert.deepEqual(validateRecord(record({ likes: '5.4k', downloads: -1 }), printables), ['likes', 'downloads']);
+    assert.deepEqual(validateRecord(record({ id: 3161, source: 'thangs' }), printables), ['id', 'source']);
+});
+
+test('assessResults scores placeholders below clean records', () => {
+    const printables = getSource('printables');
+
+    const clean = assessResults(printables, [record(), record()]);
+    const placeholders = assessResults(printables, [record(), record({ title: 'Untitled', creator: 'Unknown', thumbnail: '' })]);
+
+    assert.equal(clean.score, 1);
+    assert.equal(placeholders.score, 0.864);
+    assert.deepEqual(placeholders.placeholders, { title: 1, creator: 1, thumbnail: 1 });
+    assert.equal(placeholders.invalid, 0);
+    assert.equal(assessResults(printables, []).score, null);
+});
+
+test('fromPage tells an empty page from a "no results" page', () => {
+    const filler = 'Browse thousands of printable designs. '.repeat(10);
+
+    assert.deepEqual(fromPage([], `<p>${filler}</p>`).page, { textLength: filler.trim().length, hasContent: true, noResults: false });
+    assert.equal(fromPage([], `<p>${filler}</p><p>No results for "benchy"</p>`).page.noResults, true);
+    assert.equal(fromPage([], '<div id="root"></div><script>' + filler + '</script>').page.hasContent, false);
+});
+
+test('a page with content but no cards is flagged as drift', async () => {
+    replay('youmagine/search-changed.json');
+
+    const first = await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    assert.equal(first.meta.status, STATUS.EMPTY);
+    assert.equal(getQualityReport('youmagine').drift.suspected, false);
+
+    await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    const health = getSourceHealth('youmagine');
+    assert.equal(health.quality.drift.suspected, true);
+    assert.equal(health.quality.drift.signals[0].type, 'unparsed_page');
+    assert.equal(health.state, 'degraded');
+
+    // Parsing works again: the flag clears
+    replay('youmagine/search.json');
+    const fixed = await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    assert.equal(fixed.meta.quality.records, 2);
+    assert.equal(getQualityReport('youmagine').drift.suspected, false);
+});
+
+test('a "no results" page is not drift', async () => {
+    replay('youmagine/search-no-results.json');
+
+    await runSource('youmagine', 'search', ['zzqx', { limit: 2 }], { fresh: true });
+    await runSource('youmagine', 'search', ['zzqx', { limit: 2 }], { fresh: true });
+
+    assert.equal(getQualityReport('youmagine').drift.suspected, false);
+});
+
+test('repeated parse errors are flagged as drift', async () => {
+    replay('thingiverse/search-page-changed.json');
+
+    await runSource('thingiverse', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    await runSource('thingiverse', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    const { drift } = getQualityReport('thingiverse');
+    assert.equal(drift.suspected, true);
+    assert.equal(drift.signals[0].type, 'parse_error');
+});
+
+test('a placeholder spike above the source baseline is flagged', () => {
+    const myminifactory = getSource('myminifactory');
+    const good = [1, 2, 3, 4].map(n => record({ title: `Model ${n}`, url: `https://www.myminifactory.com/object/${n}`, thumbnail: '', source: 'myminifactory' }));
+    const untitled = good.map(model => ({ ...model, title: 'Untitled' }));
+
+    // Thumbnails are always missing here - that is this source's normal, not drift
+    [1, 2, 3].forEach(() => recordQuality('myminifactory', { status: STATUS.OK }, assessResults(myminifactory, good), null));
+    assert.deepEqual(recordQuality('myminifactory', { status: STATUS.OK }, assessResults(myminifactory, good), null), []);
+
+    const signals = recordQuality('myminifactory', { status: STATUS.OK }, assessResults(myminifactory, untitled), null);
+    assert.deepEqual(signals.map(signal => signal.type), ['placeholder_spike']);
+    assert.match(signals[0].detail, /100% of records have a placeholder title \(usually 0%\)/);
+    recordQuality('myminifactory', { status: STATUS.OK }, assessResults(myminifactory, untitled), null);
+    assert.equal(getQualityReport('myminifactory').drift.suspected, true);
+
+    // Flagged answers stay out of the baseline, however long the spike lasts
+    for (let i = 0; i < 25; i++) recordQuality('myminifactory', { status: STATUS.OK }, assessResults(myminifactory, untitled), null);
+    assert.equal(getQualityReport('myminifactory').drift.suspected, true);
+    assert.match(getQualityReport('myminifactory').drift.signals[0].detail, /\(usually 0%\)/);
+});
+
+test('runner answers carry a quality report', async () => {
+    replay('printables/search.json');
+
+    const { meta } = await runSource('printables', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.deepEqual(meta.quality, {
+        score: 0.955,
+        records: 2,
+        invalid: 0,
+        placeholders: { title: 0, creator: 0, thumbnail: 1 },
+        issues: {}
+    });
+});
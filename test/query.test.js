@@ -0,0 +1,79 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuery, restrictSites, buildUpstreamQuery, applyQueryFilter } = require('../lib/query');
+
+test('parseQuery separates words from operators', () => {
+    const parsed = parseQuery('benchy site:printables -site:Thangs creator:Creative -boat "3D  Benchy" min-downloads:1.5k min-likes:50');
+
+    assert.deepEqual(parsed.terms, ['benchy']);
+    assert.deepEqual(parsed.phrases, ['3d benchy']);
+    assert.deepEqual(parsed.exclude, ['boat']);
+    assert.deepEqual(parsed.sites, ['printables']);
+    assert.deepEqual(parsed.excludeSites, ['thangs']);
+    assert.equal(parsed.creator, 'Creative');
+    assert.equal(parsed.minDownloads, 1500);
+    assert.equal(parsed.minLikes, 50);
+    assert.equal(parsed.text, 'benchy 3d benchy');
+    assert.deepEqual(parsed.operators.map(operator => operator.token), [
+        'site:printables', '-site:Thangs', 'creator:Creative', '-boat', '"3D  Benchy"', 'min-downloads:1.5k', 'min-likes:50'
+    ]);
+});
+
+test('parseQuery keeps what it cannot read as words and warns', () => {
+    const parsed = parseQuery('m3:screw site:nowhere min-likes:lots - -"tug boat" "unclosed');
+
+    assert.deepEqual(parsed.terms, ['m3:screw', 'unclosed']);
+    assert.deepEqual(parsed.exclude, ['tug boat']);
+    assert.deepEqual(parsed.sites, []);
+    assert.deepEqual(parsed.warnings, ['Unknown source in site:nowhere', 'min-likes:lots needs a number']);
+});
+
+test('site: matches ids, names and domains', () => {
+    const parsed = parseQuery('x site:Creality-Cloud site:www.thingiverse.com -site:thingiverse');
+
+    assert.deepEqual(parsed.sites, ['crealitycloud', 'thingiverse']);
+    assert.deepEqual(restrictSites(['thingiverse', 'printables', 'crealitycloud'], parsed), ['crealitycloud']);
+    assert.deepEqual(restrictSites(['thingiverse', 'printables'], parseQuery('x')), ['thingiverse', 'printables']);
+});
+
+test('a creator-only query searches for the creator', () => {
+    const parsed = parseQuery('creator:prusa min-likes:10');
+
+    assert.equal(parsed.text, 'prusa');
+    assert.deepEqual(buildUpstreamQuery({ capabilities: {} }, parsed), { query: 'prusa', native: [] });
+});
+
+test('sources that understand phrases and exclusions get them upstream', () => {
+    const parsed = parseQuery('boat "tug boat" -rc -"wooden hull" creator:harbor');
+
+    assert.deepEqual(buildUpstreamQuery({ capabilities: { query: [] } }, parsed), { query: 'boat tug boat', native: [] });
+    assert.deepEqual(buildUpstreamQuery({ capabilities: { query: ['phrase', 'exclude'] } }, parsed), {
+        query: 'boat "tug boat" -rc -"wooden hull"',
+        native: ['phrase', 'exclude']
+    });
+});
+
+test('applyQueryFilter drops results the operators rule out', () => {
+    const outcome = {
+        site: 'youmagine',
+        results: [
+            { title: 'Tug Boat', creator: 'Harbor Works', likes: 20, downloads: 900 },
+            { title: 'Tug boat RC conversion', creator: 'harbor', likes: 80, downloads: 50 },
+            { title: 'Tug boat, wooden', creator: 'someone', likes: 5, downloads: 10 },
+            { title: 'Tug boat keychain', creator: 'harbor' }
+        ],
+        meta: { status: 'ok' }
+    };
+    const parsed = parseQuery('"tug boat" -rc creator:HARBOR min-likes:10');
+
+    const { results, meta } = applyQueryFilter(outcome, parsed, { query: 'tug boat', native: [] });
+    assert.deepEqual(results.map(record => record.title), ['Tug Boat']);
+    assert.deepEqual(meta.query, { upstream: 'tug boat', native: [], removed: 2, unknownRemoved: 1 });
+
+    // Operators the source applied itself aren't applied again
+    const native = applyQueryFilter(outcome, parseQuery('"tug boat" -rc'), { query: '"tug boat" -rc', native: ['phrase', 'exclude'] });
+    assert.equal(native.results.length, 4);
+
+    assert.equal(applyQueryFilter(outcome, parseQuery('tug boat site:youmagine'), { query: 'tug boat', native: [] }), outcome);
+});
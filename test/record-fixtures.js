@@ -0,0 +1,28 @@
+// Record fresh upstream responses for every configured source:
+//
+//   npm run fixtures:record -- "phone stand"
+//
+// Each response is saved under HTTP_FIXTURES_DIR (default test/fixtures/recorded)
+// in the format the tests replay. Copy the ones a test needs next to it and trim
+// them down - recorded pages are large and change whenever the site does.
+require('dotenv').config();
+process.env.HTTP_FIXTURES = 'record';
+
+const sources = require('../lib/sources');
+
+async function record(query) {
+    for (const adapter of sources.listSources().filter(sources.isConfigured)) {
+        for (const [kind, args] of [['search', [query, { limit: 5 }]], ['popular', [{ limit: 5 }]]]) {
+            if (!adapter.capabilities[kind]) continue;
+            try {
+                const answer = await adapter[kind](...args);
+                const results = Array.isArray(answer) ? answer : answer.results;
+                console.log(`${adapter.name} ${kind}: ${results.length} results${answer.fallback ? ` (fallback: ${answer.reason})` : ''}`);
+            } catch (error) {
+                console.error(`${adapter.name} ${kind}: ${error.message}`);
+            }
+        }
+    }
+}
+
+record(process.argv[2] || 'benchy');
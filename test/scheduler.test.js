@@ -0,0 +1,149 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Response } = require('node-fetch');
+const { createScheduler, parseRetryAfter } = require('../lib/scheduler');
+const { classifyError, STATUS } = require('../lib/sources/status');
+const { setTransport } = require('../lib/http');
+const { runSource } = require('../lib/sources/runner');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A send() that answers each call with the next of `responses` ([status, headers]) after `delayMs`
+function upstream(responses = [[200]], delayMs = 0) {
+    const send = async () => {
+        const call = ++send.calls;
+        send.active++;
+        send.maxActive = Math.max(send.maxActive, send.active);
+        await sleep(delayMs);
+        send.active--;
+        const [status, headers] = responses[Math.min(call - 1, responses.length - 1)];
+        return new Response(`answer ${call}`, { status, headers });
+    };
+    Object.assign(send, { calls: 0, active: 0, maxActive: 0 });
+    return send;
+}
+
+test('requests to one host take turns, other hosts run alongside', async () => {
+    const scheduler = createScheduler({ concurrency: 1, ratePerSecond: 0 });
+    const send = upstream([[200]], 20);
+    const other = upstream([[200]], 20);
+
+    await Promise.all([
+        scheduler.schedule('https://a.example/1', {}, send),
+        scheduler.schedule('https://a.example/2', {}, send),
+        scheduler.schedule('https://a.example/3', {}, send),
+        scheduler.schedule('https://b.example/1', {}, other)
+    ]);
+
+    assert.equal(send.calls, 3);
+    assert.equal(send.maxActive, 1);
+    assert.equal(other.calls, 1);
+});
+
+test('the token bucket spaces requests out once the burst is spent', async () => {
+    const scheduler = createScheduler({ concurrency: 5, ratePerSecond: 20, burst: 1 });
+    const send = upstream();
+    const started = Date.now();
+
+    await Promise.all([1, 2, 3].map(n => scheduler.schedule(`https://a.example/${n}`, {}, send)));
+
+    // One from the burst, then one every 50ms
+    assert.ok(Date.now() - started >= 90, `took ${Date.now() - started}ms`);
+});
+
+test('idempotent requests are retried with backoff, others are not', async () => {
+    const scheduler = createScheduler({ ratePerSecond: 0, retries: 2, retryBaseMs: 1 });
+
+    const flaky = upstream([[503], [502], [200]]);
+    const response = await scheduler.schedule('https://a.example/', {}, flaky);
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), 'answer 3');
+
+    const post = upstream([[503], [200]]);
+    assert.equal((await scheduler.schedule('https://a.example/', { method: 'POST', body: '{}' }, post)).status, 503);
+    const query = upstream([[503], [200]]);
+    assert.equal((await scheduler.schedule('https://a.example/', { method: 'POST', body: '{}', idempotent: true }, query)).status, 200);
+
+    // A Cloudflare challenge isn't asked again
+    const challenge = upstream([[503, { server: 'cloudflare' }], [200]]);
+    assert.equal((await scheduler.schedule('https://a.example/', {}, challenge)).status, 503);
+    assert.equal(challenge.calls, 1);
+
+    const reset = async () => {
+        reset.calls = (reset.calls || 0) + 1;
+        throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    };
+    await assert.rejects(scheduler.schedule('https://a.example/', {}, reset), /socket hang up/);
+    assert.equal(reset.calls, 3);
+});
+
+test('Retry-After pauses the host', async () => {
+    const scheduler = createScheduler({ ratePerSecond: 0, retries: 1, maxRetryWaitMs: 2000 });
+    const send = upstream([[429, { 'retry-after': '1' }], [200]]);
+    const started = Date.now();
+
+    const response = await scheduler.schedule('https://a.example/', {}, send);
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - started >= 1000);
+
+    // Longer than anyone will wait: answered as is, and the host is left alone until then
+    const banned = upstream([[429, { 'retry-after': '120' }]]);
+    assert.equal((await scheduler.schedule('https://b.example/', {}, banned)).status, 429);
+    const error = await scheduler.schedule('https://b.example/other', {}, banned).catch(e => e);
+    assert.equal(error.code, 'EHOSTPAUSED');
+    assert.equal(classifyError(error).status, STATUS.BLOCKED);
+    assert.equal(banned.calls, 1);
+    assert.ok(scheduler.getStats()['b.example'].pausedUntil);
+});
+
+test('identical requests in flight share one call', async () => {
+    const scheduler = createScheduler({ ratePerSecond: 0 });
+    const send = upstream([[200]], 20);
+
+    const responses = await Promise.all([
+        scheduler.schedule('https://a.example/search?q=benchy', {}, send),
+        scheduler.schedule('https://a.example/search?q=benchy', {}, send),
+        scheduler.schedule('https://a.example/search?q=gear', {}, send)
+    ]);
+
+    assert.equal(send.calls, 2);
+    assert.deepEqual(await Promise.all(responses.map(response => response.text())), ['answer 1', 'answer 1', 'answer 2']);
+});
+
+test('the timeout covers waiting for a turn', async () => {
+    const scheduler = createScheduler({ concurrency: 1, ratePerSecond: 0 });
+    const slow = upstream([[200]], 200);
+
+    const first = scheduler.schedule('https://a.example/slow', {}, slow);
+    const error = await scheduler.schedule('https://a.example/next', { timeoutMs: 50 }, slow).catch(e => e);
+    assert.equal(error.name, 'AbortError');
+    assert.equal(classifyError(error).status, STATUS.TIMEOUT);
+    assert.equal((await first).status, 200);
+    assert.equal(slow.calls, 1);
+});
+
+test('HTTP_TIMEOUT_<SOURCE> sets the time a source gets', async () => {
+    // Answers only by failing once the request is aborted
+    setTransport((url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+    }));
+    process.env.HTTP_TIMEOUT_YOUMAGINE = '50';
+    try {
+        const started = Date.now();
+        const { meta } = await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+        assert.equal(meta.status, STATUS.TIMEOUT);
+        assert.ok(Date.now() - started < 1000);
+    } finally {
+        delete process.env.HTTP_TIMEOUT_YOUMAGINE;
+        setTransport(null);
+    }
+});
+
+test('parseRetryAfter reads seconds and dates', () => {
+    const now = Date.parse('2026-03-01T12:00:00Z');
+    assert.equal(parseRetryAfter('30', now), 30000);
+    assert.equal(parseRetryAfter('Sun, 01 Mar 2026 12:01:00 GMT', now), 60000);
+    assert.equal(parseRetryAfter('soon', now), null);
+    assert.equal(parseRetryAfter(null, now), null);
+});
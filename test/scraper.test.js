@@ -0,0 +1,113 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sources = require('../lib/sources');
+const { createScraperSource, parseCount } = require('../lib/sources/scraper');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+const definition = {
+    id: 'example-library',
+    name: 'Example Library',
+    searchUrl: 'https://example.com/search?q={query}',
+    imageHosts: ['example.com'],
+    search: { url: 'https://example.com/search?q={query}&start={offset}&page={page}', firstPage: 0 },
+    popular: { url: 'https://example.com/popular' },
+    noResults: 'nothing matched',
+    cards: {
+        selector: 'article.model',
+        fields: {
+            title: { selector: 'h2' },
+            url: { selector: 'a.model-link', attr: 'href', type: 'url' },
+            thumbnail: { selector: 'img', attr: ['data-src', 'src'], type: 'url' },
+            creator: { selector: '.by' },
+            likes: { selector: '.likes', type: 'count' },
+            downloads: { selector: '.downloads', type: 'count' },
+            publishedAt: { selector: 'time', attr: 'datetime', type: 'date' },
+            id: { from: 'url', match: '/models/(\\d+)' },
+            free: { value: true }
+        },
+        exclude: { url: '/models/?$' }
+    }
+};
+
+test('cards are read into model records, made absolute and deduplicated', async () => {
+    replay('scraper/search.json');
+    const adapter = createScraperSource(definition);
+
+    const { results, page } = await adapter.search('wall hook', { limit: 10 });
+
+    assert.equal(page.noResults, false);
+    assert.deepEqual(results, [
+        {
+            id: '12',
+            title: 'Wall Hook',
+            creator: 'Ada',
+            thumbnail: 'https://cdn.example.com/12.jpg',
+            url: 'https://example.com/models/12-wall-hook',
+            likes: 1200,
+            downloads: 3400,
+            publishedAt: '2024-05-01T08:00:00.000Z',
+            free: true,
+            source: 'example-library'
+        },
+        {
+            id: '13',
+            title: 'Untitled',
+            creator: 'Unknown',
+            thumbnail: 'https://example.com/images/13.jpg',
+            url: 'https://example.com/models/13-cable-clip',
+            likes: 0,
+            downloads: 0,
+            free: true,
+            source: 'example-library'
+        }
+    ]);
+    assert.deepEqual(adapter.capabilities, { search: true, popular: true, pagination: true, sorting: [], filters: [] });
+});
+
+test('pages are filled into the URL template and a "nothing found" page is recognised', async () => {
+    const transport = replay('scraper/search.json');
+    const adapter = createScraperSource(definition);
+
+    const { results, page } = await adapter.search('wall hook', { limit: 2, page: 2 });
+
+    assert.equal(transport.calls[0].url, 'https://example.com/search?q=wall%20hook&start=2&page=1');
+    assert.deepEqual(results, []);
+    assert.equal(page.noResults, true);
+});
+
+test('unusable definitions are refused with the reason', () => {
+    const broken = changes => ({ ...definition, ...changes });
+
+    assert.throws(() => createScraperSource(broken({ cards: { fields: {} } })), /needs cards.selector/);
+    assert.throws(() => createScraperSource(broken({ search: { url: 'https://example.com/all' } })), /\{query\} placeholder/);
+    assert.throws(() => createScraperSource(broken({ cards: { ...definition.cards, fields: { title: {}, url: { type: 'link' } } } })), /unknown type "link"/);
+    assert.throws(() => createScraperSource(broken({ cards: { ...definition.cards, exclude: { slug: 'x' } } })), /unknown field "slug"/);
+    assert.throws(() => createScraperSource(broken({ noResults: '(' })), /invalid regex/);
+    assert.equal(parseCount('no count'), null);
+});
+
+test('JSON definitions in SOURCES_DIR are registered as sources', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-sources-'));
+    fs.writeFileSync(path.join(dir, 'example.json'), JSON.stringify(definition));
+    try {
+        sources.loadSourcesFromDir(dir);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    replay('scraper/search.json');
+
+    const search = await runSource('example-library', 'search', ['wall hook', { limit: 10 }], { fresh: true });
+    const popular = await runSource('example-library', 'popular', [{ limit: 10 }], { fresh: true });
+
+    assert.equal(sources.describeSource(sources.getSource('example-library')).configured, true);
+    assert.equal(search.meta.status, STATUS.OK);
+    assert.equal(search.meta.quality.records, 2);
+    // The failed popular page is stood in for by the search just made
+    assert.equal(popular.meta.status, STATUS.FALLBACK);
+    assert.equal(popular.meta.snapshot.origin, 'searches');
+});
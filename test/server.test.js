@@ -0,0 +1,483 @@
+const { replay } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sources = require('../lib/sources');
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+async function get(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    const body = response.headers.get('content-type')?.includes('application/json') ? await response.json() : await response.text();
+    return { status: response.status, headers: response.headers, body };
+}
+
+// Split a text/event-stream body into [{ event, data }]
+function parseEvents(text) {
+    return text.trim().split('\n\n').map(block => {
+        const lines = block.split('\n');
+        return {
+            event: lines.find(line => line.startsWith('event: ')).slice(7),
+            data: JSON.parse(lines.find(line => line.startsWith('data: ')).slice(6))
+        };
+    });
+}
+
+test('GET /api/sources lists every built-in source', async () => {
+    const { status, body } = await get('/api/sources');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.sources.map(source => source.id), ['thingiverse', 'printables', 'thangs', 'youmagine', 'myminifactory', 'crealitycloud', 'cults3d']);
+    assert.equal(body.sources.find(source => source.id === 'thangs').capabilities.detail, false);
+    // No CULTS3D_* credentials in the test environment
+    assert.equal(body.sources.find(source => source.id === 'cults3d').configured, false);
+});
+
+test('GET /api/search needs a query', async () => {
+    const { status, body } = await get('/api/search');
+
+    assert.equal(status, 400);
+    assert.match(body.error, /"q" is required/);
+});
+
+test('GET /api/search answers per source from the replayed responses', async () => {
+    replay('printables/search.json', 'youmagine/search.json');
+
+    const { status, body } = await get('/api/search?q=benchy&sites=printables,youmagine,crealitycloud&limit=2');
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.results), ['printables', 'youmagine', 'crealitycloud']);
+    assert.equal(body.results.printables.length, 2);
+    assert.equal(body.results.printables[0].license.id, 'cc-by-nd');
+    assert.deepEqual(body.results.youmagine.map(result => result.id), ['benchy-remix', 'tugboat']);
+    assert.equal(body.meta.printables.status, 'ok');
+    assert.equal(body.meta.youmagine.status, 'ok');
+    // No fixture for Creality Cloud: it fails on its own without sinking the others
+    assert.equal(body.meta.crealitycloud.status, 'network_error');
+    assert.deepEqual(body.results.crealitycloud, []);
+});
+
+test('GET /api/search serves repeated queries from the cache', async () => {
+    const transport = replay('printables/search.json');
+
+    await get('/api/search?q=benchy&sites=printables&limit=2');
+    const { body } = await get('/api/search?q=benchy&sites=printables&limit=2');
+
+    assert.equal(transport.calls.length, 1);
+    assert.equal(body.meta.printables.cache.hit, true);
+});
+
+test('GET /api/search applies license filters and options the source lacks', async () => {
+    replay('printables/search.json', 'youmagine/search.json');
+
+    const { body } = await get('/api/search?q=benchy&sites=printables,youmagine&limit=2&commercial=allowed&sort=likes');
+
+    assert.deepEqual(body.results.printables.map(result => result.id), ['3161']);
+    assert.deepEqual(body.meta.printables.licenseFilter, { removed: 0, unknownRemoved: 1 });
+    assert.deepEqual(body.meta.youmagine.licenseFilter, { removed: 0, unknownRemoved: 2 });
+    assert.deepEqual(body.meta.printables.options.native, ['sort']);
+    assert.deepEqual(body.meta.youmagine.options.post, ['sort']);
+});
+
+test('GET /api/search and /api/popular take repeated license parameters', async () => {
+    replay('printables/search.json', 'crealitycloud/popular-feed.json');
+
+    const search = await get('/api/search?q=benchy&sites=printables&limit=2&license=cc-by-nd&license=cc-by');
+    const popular = await get('/api/popular?sites=crealitycloud&license=cc-by&license=cc-by-nc');
+
+    assert.equal(search.status, 200);
+    assert.deepEqual(search.body.results.printables.map(result => result.license.id), ['cc-by-nd']);
+    assert.equal(popular.status, 200);
+    assert.deepEqual(popular.body.results.crealitycloud.map(result => result.license.id), ['cc-by-nc']);
+});
+
+test('GET /api/search and /api/search-stream ignore repeated option parameters', async () => {
+    replay('printables/search.json');
+
+    const search = await get('/api/search?q=benchy&sites=printables&limit=2&category=a&category=b');
+    const stream = await get('/api/search-stream?q=benchy&sites=printables&limit=2&category=a&category=b');
+
+    assert.equal(search.status, 200);
+    assert.equal(search.body.results.printables.length, 2);
+    assert.equal(search.body.meta.printables.options, undefined);
+    assert.equal(stream.status, 200);
+    assert.equal(parseEvents(stream.body).pop().data.totalResults, 2);
+});
+
+test('GET /api/search and /api/search-stream refuse a repeated q', async () => {
+    const search = await get('/api/search?q=benchy&q=boat&sites=printables');
+    const stream = await get('/api/search-stream?q[a]=benchy&sites=printables');
+
+    assert.equal(search.status, 400);
+    assert.match(search.body.error, /"q" must be given once/);
+    assert.equal(stream.status, 400);
+});
+
+test('GET /api/search-stream echoes the query it parsed', async () => {
+    replay('printables/search.json');
+
+    const events = parseEvents((await get('/api/search-stream?q=%20benchy%20&sites=printables&limit=2')).body);
+
+    assert.equal(events[0].data.query, 'benchy');
+});
+
+test('GET /api/search?merge=1 adds merged results', async () => {
+    replay('printables/search.json', 'crealitycloud/search.json');
+
+    const { body } = await get('/api/search?q=benchy&sites=printables,crealitycloud&limit=2&merge=1');
+
+    assert.ok(Array.isArray(body.merged));
+    assert.ok(body.merged.length > 0);
+    body.merged.forEach(entry => assert.ok(entry.sources.length >= 1));
+});
+
+test('GET /api/search/:site searches one source', async () => {
+    replay('thangs/search-alt.json');
+
+    const { status, body } = await get('/api/search/thangs?q=benchy&limit=2');
+
+    assert.equal(status, 200);
+    assert.equal(body.site, 'thangs');
+    assert.equal(body.results[0].title, 'Benchy');
+    assert.equal(body.meta.status, 'ok');
+});
+
+test('GET /api/search/:site rejects unknown sources', async () => {
+    const { status, body } = await get('/api/search/nowhere?q=benchy');
+
+    assert.equal(status, 400);
+    assert.ok(body.validSites.includes('printables'));
+});
+
+test('GET /api/search?format=csv downloads the results', async () => {
+    replay('printables/search.json', 'youmagine/search.json');
+
+    const { status, headers, body } = await get('/api/search?q=benchy&sites=printables,youmagine&limit=2&format=csv');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/csv/);
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="benchy.csv"');
+    const lines = body.trim().split('\r\n');
+    assert.equal(lines[0], 'source,title,creator,url,likes,downloads,thumbnail,license,commercial,free,category,fileCount,hasPrintProfile,publishedAt,id');
+    assert.deepEqual(lines.slice(1).map(line => line.split(',')[0]), ['printables', 'printables', 'youmagine', 'youmagine']);
+});
+
+test('GET /api/search/:site honours an Accept header', async () => {
+    replay('thangs/search-alt.json');
+
+    const { headers, body } = await get('/api/search/thangs?q=benchy&limit=2', { Accept: 'text/markdown' });
+
+    assert.match(headers.get('content-type'), /^text\/markdown/);
+    assert.equal(headers.get('content-disposition'), 'attachment; filename="benchy-thangs.md"');
+    assert.match(body, /^## Thangs results for "benchy"\n\n\| Source \| Title \|/);
+    assert.match(body, /\| thangs \| \[Benchy\]\(https:\/\/thangs\.com\//);
+});
+
+test('GET /api/popular?format=jsonl and unknown formats', async () => {
+    replay('crealitycloud/popular-feed.json');
+
+    const { headers, body } = await get('/api/popular?sites=crealitycloud&limit=2&fresh=1&format=jsonl');
+    const rows = body.trim().split('\n').map(line => JSON.parse(line));
+
+    assert.match(headers.get('content-type'), /^application\/x-ndjson/);
+    assert.match(headers.get('content-disposition'), /filename="popular-\d{4}-\d{2}-\d{2}\.jsonl"/);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].source, 'crealitycloud');
+
+    const { status, body: error } = await get('/api/popular?format=xml');
+    assert.equal(status, 400);
+    assert.match(error.error, /Unknown format "xml"/);
+    assert.equal((await get('/api/popular?format[]=csv')).status, 400);
+});
+
+test('GET /api/search-stream sends start, one event per source and done', async () => {
+    replay('printables/search.json', 'thingiverse/search-page-blocked.json');
+
+    const { status, headers, body } = await get('/api/search-stream?q=benchy&sites=printables,thingiverse&limit=2');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /text\/event-stream/);
+    const events = parseEvents(body);
+    assert.deepEqual(events.map(event => event.event).sort(), ['done', 'source', 'source', 'start']);
+    assert.equal(events[0].event, 'start');
+    assert.equal(events[events.length - 1].event, 'done');
+    const done = events[events.length - 1].data;
+    assert.equal(done.totalResults, 2);
+    assert.equal(done.meta.thingiverse.status, 'blocked');
+});
+
+test('GET /api/search-stream answers 500 when it fails before streaming, an error event after', async t => {
+    replay('printables/search.json');
+
+    const resolve = t.mock.method(sources, 'resolveSites', () => { throw new Error('registry unavailable'); });
+    const before = await get('/api/search-stream?q=benchy&sites=printables');
+    assert.equal(before.status, 500);
+    assert.equal(before.body.message, 'registry unavailable');
+    resolve.mock.restore();
+
+    t.mock.method(sources, 'getSource', () => { throw new Error('adapter unavailable'); });
+    const during = await get('/api/search-stream?q=benchy&sites=printables');
+    assert.equal(during.status, 200);
+    const events = parseEvents(during.body);
+    assert.deepEqual(events.map(event => event.event), ['start', 'error']);
+    assert.equal(events[1].data.message, 'adapter unavailable');
+});
+
+test('GET /api/search applies query operators', async () => {
+    const transport = replay('printables/search.json', 'youmagine/search.json');
+
+    const q = encodeURIComponent('benchy site:printables -stand');
+    const { status, body } = await get(`/api/search?q=${q}&sites=printables,youmagine&limit=2`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.results), ['printables']);
+    assert.deepEqual(body.results.printables.map(result => result.title), ['3DBenchy']);
+    assert.deepEqual(body.meta.printables.query, { upstream: 'benchy', native: [], removed: 1, unknownRemoved: 0 });
+    assert.deepEqual(body.interpretation.operators.map(operator => [operator.type, operator.value]), [['site', 'printables'], ['exclude', 'stand']]);
+    assert.equal(transport.calls.length, 1);
+
+    const operatorsOnly = await get('/api/search?q=site%3Aprintables');
+    assert.equal(operatorsOnly.status, 400);
+    assert.match(operatorsOnly.body.error, /words to search for/);
+});
+
+test('GET /api/search-stream leaves out sources excluded by -site:', async () => {
+    replay('printables/search.json');
+
+    const q = encodeURIComponent('benchy -site:thingiverse min-likes:1k');
+    const events = parseEvents((await get(`/api/search-stream?q=${q}&sites=printables,thingiverse&limit=2`)).body);
+
+    assert.deepEqual(events.map(event => event.event), ['start', 'source', 'done']);
+    assert.deepEqual(events[0].data.sites, ['printables']);
+    assert.equal(events[0].data.interpretation.text, 'benchy');
+    assert.deepEqual(events[1].data.results.map(result => result.title), ['3DBenchy']);
+});
+
+test('GET /api/model/:source/:id returns the normalized model', async () => {
+    replay('printables/detail.json');
+
+    const { status, body } = await get('/api/model/printables/3161');
+
+    assert.equal(status, 200);
+    assert.equal(body.model.title, '3DBenchy');
+    assert.equal(body.model.files.length, 2);
+    assert.equal(body.meta.status, 'ok');
+});
+
+test('GET /api/model/:source/:id keeps upstream 404s', async () => {
+    replay('printables/detail.json');
+
+    const { status } = await get('/api/model/printables/999');
+
+    assert.equal(status, 404);
+});
+
+test('GET /api/model/:source/:id answers 502 when the source is unreachable', async () => {
+    replay();
+
+    const { status, body } = await get('/api/model/crealitycloud/64f0a1b2c3d4e5f6a7b8c9d0');
+
+    assert.equal(status, 502);
+    assert.equal(body.meta.status, 'network_error');
+});
+
+test('GET /api/model/:source/:id rejects sources without details', async () => {
+    const { status } = await get('/api/model/thangs/1001');
+
+    assert.equal(status, 400);
+});
+
+test('GET /api/popular reports curated fallbacks', async () => {
+    replay('crealitycloud/popular-feed.json');
+
+    const { status, body } = await get('/api/popular?sites=thangs,crealitycloud&limit=2&fresh=1');
+
+    assert.equal(status, 200);
+    assert.equal(body.meta.thangs.status, 'served_from_fallback');
+    assert.equal(body.meta.thangs.snapshot.origin, 'bundled');
+    assert.equal(body.meta.crealitycloud.status, 'ok');
+    assert.equal(body.results.crealitycloud.length, 2);
+    assert.ok(Date.parse(body.meta.crealitycloud.feed.fetchedAt) <= Date.now());
+    assert.equal(body.meta.crealitycloud.feed.refreshError, null);
+});
+
+test('GET /api/popular answers 500 instead of crashing when it fails', async t => {
+    t.mock.method(sources, 'resolveSites', () => { throw new Error('registry unavailable'); });
+
+    const { status, body } = await get('/api/popular');
+
+    assert.equal(status, 500);
+    assert.equal(body.message, 'registry unavailable');
+});
+
+// Requests to /api/admin with ADMIN_TOKEN set for the test and sent as a bearer token
+function adminClient(t, token = 'admin-secret') {
+    process.env.ADMIN_TOKEN = token;
+    t.after(() => delete process.env.ADMIN_TOKEN);
+    const headers = { authorization: `Bearer ${token}` };
+    return {
+        get: path => get(path, headers),
+        send: (method, path, body) => fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { ...headers, 'content-type': 'application/json' },
+            body: body && JSON.stringify(body)
+        })
+    };
+}
+
+test('/api/admin is off without ADMIN_TOKEN and needs the token with it', async t => {
+    assert.equal((await get('/api/admin/snapshots')).status, 403);
+    assert.equal((await fetch(`${baseUrl}/api/admin/snapshots?all=1`, { method: 'DELETE' })).status, 403);
+
+    adminClient(t);
+    const anonymous = await get('/api/admin/snapshots');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await get('/api/admin/snapshots', { authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await get('/api/admin/snapshots', { authorization: 'Bearer admin-secret' })).status, 200);
+});
+
+test('/api/admin/snapshots/seed refuses links off the source\'s hosts', async t => {
+    const admin = adminClient(t);
+    const seed = results => admin.send('POST', '/api/admin/snapshots/seed', { site: 'thangs', results });
+
+    const script = await seed([{ title: '<img src=x onerror=alert(1)>', url: 'javascript:alert(1)' }]);
+    assert.equal(script.status, 400);
+    const thumbnail = await seed([{ title: 'Benchy', url: 'https://thangs.com/m/1', thumbnail: '" onerror="alert(2)' }]);
+    assert.equal(thumbnail.status, 400);
+    assert.match((await thumbnail.json()).error, /results\[0\] has an invalid thumbnail/);
+    const elsewhere = await seed([{ title: 'Benchy', url: 'https://evil.example/m/1' }]);
+    assert.match((await elsewhere.json()).error, /url_host/);
+    assert.equal((await admin.get('/api/admin/snapshots?site=thangs')).body.snapshots.length, 0);
+});
+
+test('/api/admin/snapshots lists, seeds and prunes fallback snapshots', async t => {
+    replay('printables/search.json');
+    const { send, get: adminGet } = adminClient(t);
+
+    await get('/api/search?q=benchy&sites=printables&limit=2');
+    const { body: listed } = await adminGet('/api/admin/snapshots?site=printables');
+    assert.equal(listed.snapshots.length, 1);
+    assert.equal(listed.snapshots[0].kind, 'search');
+    assert.equal(listed.snapshots[0].query, 'benchy');
+    assert.equal(listed.snapshots[0].count, 2);
+    assert.equal((await adminGet(`/api/admin/snapshots/${listed.snapshots[0].id}`)).body.results.length, 2);
+
+    const seeded = await send('POST', '/api/admin/snapshots/seed', { site: 'thangs', results: [{ title: 'Seeded Benchy', url: 'https://thangs.com/m/1' }] });
+    assert.equal(seeded.status, 201);
+    assert.equal((await seeded.json()).origin, 'seed');
+    const { body: popular } = await get('/api/popular?sites=thangs&fresh=1');
+    assert.equal(popular.meta.thangs.snapshot.origin, 'seed');
+    assert.equal(popular.results.thangs[0].title, 'Seeded Benchy');
+
+    assert.equal((await send('POST', '/api/admin/snapshots/seed', { site: 'nowhere' })).status, 400);
+    assert.equal((await send('DELETE', '/api/admin/snapshots?keep=none')).status, 400);
+    assert.equal((await send('DELETE', '/api/admin/snapshots')).status, 400);
+    assert.deepEqual(await (await send('DELETE', `/api/admin/snapshots/${listed.snapshots[0].id}`)).json(), { removed: 1 });
+    assert.deepEqual(await (await send('DELETE', '/api/admin/snapshots?site=thangs')).json(), { removed: 1 });
+    assert.equal((await send('DELETE', '/api/admin/snapshots/missing')).status, 404);
+});
+
+test('GET /api/search?mode=local searches models seen before', async () => {
+    replay('printables/search.json');
+    await get('/api/search?q=benchy&sites=printables&limit=2');
+    // Nothing upstream answers now; the index still does
+    const transport = replay();
+
+    const { status, body } = await get('/api/search?q=display%20bench&sites=printables,thangs&mode=local');
+    const paged = await get('/api/search?q=benchy&sites=printables&mode=local&limit=1&page=2');
+    const unknown = await get('/api/search?q=benchy&mode=offline');
+
+    assert.equal(status, 200);
+    assert.equal(transport.calls.length, 0);
+    assert.equal(body.mode, 'local');
+    assert.deepEqual(body.results.printables.map(model => model.title), ['Benchy Display Stand']);
+    assert.ok(body.results.printables[0].lastSeenAt);
+    assert.equal(body.meta.thangs.status, 'empty');
+    assert.deepEqual(paged.body.meta.printables.local, { total: 2, hasMore: false });
+    assert.equal(paged.body.results.printables[0].title, 'Benchy Display Stand');
+    assert.equal(unknown.status, 400);
+});
+
+test('GET /api/image refuses hosts that are not source CDNs', async () => {
+    const missing = await get('/api/image');
+    const foreign = await get(`/api/image?url=${encodeURIComponent('http://127.0.0.1/secret.png')}`);
+
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.reason, 'invalid_url');
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.body.reason, 'host_not_allowed');
+});
+
+test('GET /api/search-urls builds browser links', async () => {
+    const { body } = await get('/api/search-urls?q=phone%20stand');
+
+    assert.equal(body.printables, 'https://www.printables.com/search/models?q=phone%20stand');
+    assert.equal(body.cults3d, 'https://cults3d.com/en/search?q=phone%20stand');
+
+    const operatorsOnly = await get('/api/search-urls?q=site:printables');
+    assert.equal(operatorsOnly.status, 400);
+    assert.match(operatorsOnly.body.error, /besides its operators/);
+});
+
+test('GET /api/suggest answers in the OpenSearch suggestions format', async () => {
+    replay('printables/search.json');
+    await fetch(`${baseUrl}/api/history`, { method: 'DELETE' });
+    await get('/api/search?q=benchy&sites=printables&limit=2');
+
+    const { status, headers, body } = await get('/api/suggest?q=ben');
+
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^application\/x-suggestions\+json/);
+    assert.deepEqual(JSON.parse(body), ['ben', ['benchy', 'Benchy Display Stand'], ['Searched 1 time', 'Model']]);
+});
+
+test('GET /api/history lists searches with per-source counts and DELETE clears it', async () => {
+    replay('printables/search.json');
+    await fetch(`${baseUrl}/api/history`, { method: 'DELETE' });
+    await get('/api/search?q=benchy&sites=printables,crealitycloud&limit=2');
+    await get('/api/search?q=benchy&sites=printables&limit=2&page=2');
+
+    const { body } = await get('/api/history');
+    assert.equal(body.enabled, true);
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].query, 'benchy');
+    // Creality Cloud has no fixture, so it failed rather than found nothing
+    assert.deepEqual(body.entries[0].results, { printables: 2, crealitycloud: null });
+    assert.equal(body.entries[0].total, 2);
+
+    const cleared = await fetch(`${baseUrl}/api/history?q=BENCHY`, { method: 'DELETE' });
+    assert.deepEqual(await cleared.json(), { removed: 1 });
+    assert.deepEqual((await get('/api/history')).body.entries, []);
+});
+
+test('GET /opensearch.xml describes the search and suggestion URLs', async () => {
+    const { headers, body } = await get('/opensearch.xml');
+
+    assert.match(headers.get('content-type'), /^application\/opensearchdescription\+xml/);
+    assert.match(body, new RegExp(`<Url type="text/html" method="get" template="${baseUrl}/\\?q=\\{searchTerms\\}"/>`));
+    assert.match(body, new RegExp(`template="${baseUrl}/api/suggest\\?q=\\{searchTerms\\}"`));
+    assert.match(body, /<Description>Search Thingiverse, Printables, Thangs, YouMagine, MyMiniFactory, Creality Cloud at once<\/Description>/);
+});
+
+test('GET /api/health?detail=1 includes per-source and cache stats', async () => {
+    const { body } = await get('/api/health?detail=1');
+
+    assert.ok(['ok', 'degraded', 'unhealthy'].includes(body.status));
+    assert.ok(body.sources.printables.requests > 0);
+    assert.equal(body.sources.printables.quality.drift.suspected, false);
+    assert.ok(body.sources.printables.quality.score > 0);
+    assert.equal(body.cache.backend, 'MemoryBackend');
+    assert.ok(body.localIndex.entries > 0);
+    assert.ok(body.images.memory);
+});
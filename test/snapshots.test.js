@@ -0,0 +1,136 @@
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sources = require('../lib/sources');
+const { runSource } = require('../lib/sources/runner');
+const { clearCache } = require('../lib/cache');
+const { SourceError, STATUS, fromFallback } = require('../lib/sources/status');
+const snapshots = require('../lib/snapshots');
+
+// A source answering whatever the test queues next, for search and popular alike
+const answers = [];
+const next = () => {
+    const answer = answers.shift();
+    return answer instanceof Error ? Promise.reject(answer) : Promise.resolve(answer);
+};
+const model = (id, downloads = 0) => ({
+    id: String(id),
+    title: `Model ${id}`,
+    creator: 'Maker',
+    url: `https://example.com/models/${id}`,
+    thumbnail: `https://img.example.com/${id}.jpg`,
+    likes: 0,
+    downloads,
+    source: 'fake-snap'
+});
+
+sources.registerSource({
+    id: 'fake-snap',
+    searchUrl: 'https://example.com/search?q={query}',
+    imageHosts: ['img.example.com'],
+    search: next,
+    popular: next
+});
+
+beforeEach(() => {
+    answers.length = 0;
+    clearCache();
+    snapshots.clearSnapshots();
+});
+
+test('a failed search is answered from the snapshot of the same search', async () => {
+    answers.push([model(1), model(2)], new SourceError(STATUS.BLOCKED, 'Blocked by Cloudflare'));
+
+    await runSource('fake-snap', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    const { results, meta } = await runSource('fake-snap', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(meta.fallbackReason, 'Blocked by Cloudflare');
+    assert.equal(meta.snapshot.origin, 'live');
+    assert.equal(meta.snapshot.query, 'benchy');
+    assert.ok(Date.parse(meta.snapshot.capturedAt) <= Date.now());
+    assert.deepEqual(results.map(record => record.id), ['1', '2']);
+    assert.equal(results[0].license.id, 'unknown');
+});
+
+test('a failure with no snapshot of the call stays a failure', async () => {
+    answers.push([model(1)], new SourceError(STATUS.TIMEOUT, 'Timed out'));
+
+    await runSource('fake-snap', 'search', ['benchy', { limit: 2 }], { fresh: true });
+    const { meta } = await runSource('fake-snap', 'search', ['boat', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.TIMEOUT);
+    assert.equal(meta.snapshot, undefined);
+});
+
+test('snapshots keep a few versions and only date identical answers', async () => {
+    const t0 = Date.parse('2026-01-01T00:00:00Z');
+    const args = ['benchy', { limit: 2 }];
+
+    snapshots.recordSnapshot('fake-snap', 'search', args, [model(1)], t0);
+    snapshots.recordSnapshot('fake-snap', 'search', args, [model(1)], t0 + 1000);
+    assert.equal(snapshots.listSnapshots().length, 1);
+    assert.equal(snapshots.listSnapshots()[0].capturedAt, new Date(t0 + 1000).toISOString());
+
+    [2, 3, 4].forEach(id => snapshots.recordSnapshot('fake-snap', 'search', args, [model(id)], t0 + id * 1000));
+    assert.deepEqual(snapshots.listSnapshots().map(entry => entry.count), [1, 1, 1]);
+    assert.equal(snapshots.findFallback('fake-snap', 'search', args).results[0].id, '4');
+    assert.equal(snapshots.recordSnapshot('fake-snap', 'search', args, []), null);
+});
+
+test('answers that fail the quality checks are not kept', async () => {
+    answers.push([{ title: 42, url: 'not a url', source: 'elsewhere' }]);
+
+    await runSource('fake-snap', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.deepEqual(snapshots.listSnapshots(), []);
+});
+
+test('popular falls back to pooled searches, then to a popular snapshot', async () => {
+    answers.push([model(1, 10), model(2, 500)], [model(2, 500), model(3, 90)], fromFallback([], 'Cloudflare protected'));
+    assert.equal(snapshots.findFallback('fake-snap', 'popular', [{ limit: 5 }]), null);
+
+    await runSource('fake-snap', 'search', ['benchy', {}], { fresh: true });
+    await runSource('fake-snap', 'search', ['boat', {}], { fresh: true });
+    const pooled = await runSource('fake-snap', 'popular', [{ limit: 5 }], { fresh: true });
+
+    assert.equal(pooled.meta.status, STATUS.FALLBACK);
+    assert.equal(pooled.meta.fallbackReason, 'Cloudflare protected');
+    assert.equal(pooled.meta.snapshot.origin, 'searches');
+    assert.deepEqual(pooled.results.map(record => record.id), ['2', '3', '1']);
+
+    snapshots.seedSnapshot('fake-snap', [model(9)]);
+    const seeded = snapshots.findFallback('fake-snap', 'popular', [{ limit: 5 }]);
+    assert.equal(seeded.snapshot.origin, 'seed');
+    assert.deepEqual(seeded.results.map(record => record.id), ['9']);
+});
+
+test('seedSnapshot takes the bundled list or valid records only', () => {
+    const bundled = snapshots.seedSnapshot('thangs');
+
+    assert.equal(bundled.origin, 'seed');
+    assert.ok(bundled.results.length > 0);
+    assert.throws(() => snapshots.seedSnapshot('fake-snap'), { status: 400, message: /No seed data/ });
+    assert.throws(() => snapshots.seedSnapshot('fake-snap', [{ title: 'No link' }]), { status: 400, message: /results\[0\]/ });
+    assert.throws(() => snapshots.seedSnapshot('fake-snap', [{ title: 'Script', url: 'javascript:alert(1)' }]), { status: 400 });
+    assert.throws(() => snapshots.seedSnapshot('fake-snap', [model(1), { ...model(2), url: 'https://elsewhere.example/2' }]), { status: 400, message: /results\[1\] has an invalid url_host/ });
+    assert.throws(() => snapshots.seedSnapshot('fake-snap', [{ ...model(1), thumbnail: 'https://evil.example/x.jpg' }]), { status: 400, message: /thumbnail_host/ });
+    assert.throws(() => snapshots.seedSnapshot('nowhere', [model(1)]), { status: 400, message: /Unknown source/ });
+    assert.equal(snapshots.seedSnapshot('fake-snap', [{ title: 'Bare', url: 'https://example.com/models/3' }]).results[0].creator, 'Unknown');
+});
+
+test('pruneSnapshots drops by source, age and surplus versions', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = Date.parse('2026-03-01T00:00:00Z');
+    snapshots.recordSnapshot('fake-snap', 'search', ['a', {}], [model(1)], now - 40 * day);
+    snapshots.recordSnapshot('fake-snap', 'search', ['a', {}], [model(2)], now - 2 * day);
+    snapshots.recordSnapshot('fake-snap', 'search', ['b', {}], [model(3)], now - day);
+    snapshots.seedSnapshot('thangs', undefined, now);
+
+    assert.equal(snapshots.pruneSnapshots({ olderThanMs: 30 * day }, now), 1);
+    assert.equal(snapshots.pruneSnapshots({ keep: 1 }, now), 0);
+    assert.equal(snapshots.pruneSnapshots({ site: 'thangs' }, now), 1);
+    assert.deepEqual(snapshots.listSnapshots().map(entry => entry.query), ['b', 'a']);
+    assert.throws(() => snapshots.pruneSnapshots({ keep: -1 }), { status: 400 });
+    assert.throws(() => snapshots.getSnapshot('missing'), { status: 404 });
+});
@@ -0,0 +1,87 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sources = require('../lib/sources');
+
+const search = async () => [];
+
+test('registered adapters get defaults for everything they leave out', () => {
+    sources.registerSource({ id: 'registry-minimal', search });
+    sources.registerSource({ id: 'registry-full', name: 'Full', popular: search, detail: search, capabilities: { sorting: ['newest'] } });
+
+    const minimal = sources.getSource('registry-minimal');
+    assert.equal(minimal.name, 'registry-minimal');
+    assert.deepEqual(minimal.imageHosts, []);
+    assert.deepEqual(minimal.capabilities, { search: true, popular: false, detail: false, pagination: false, sorting: [], filters: [], query: [] });
+    assert.deepEqual(sources.getSource('registry-full').capabilities, { search: false, popular: true, detail: true, pagination: false, sorting: ['newest'], filters: [], query: [] });
+    assert.ok(sources.listSources().includes(minimal));
+});
+
+test('adapters without an id or a listing are refused', () => {
+    assert.throws(() => sources.registerSource({ id: 'Bad Id', search }), /lowercase "id"/);
+    assert.throws(() => sources.registerSource({ search }), /lowercase "id"/);
+    assert.throws(() => sources.registerSource({ id: 'registry-empty', detail: search }), /must implement search\(\) or popular\(\)/);
+});
+
+test('resolveSites keeps known, configured sources with the capability', (t) => {
+    sources.registerSource({ id: 'registry-keyed', search, config: [{ env: 'REGISTRY_TEST_KEY', required: true }] });
+    t.after(() => delete process.env.REGISTRY_TEST_KEY);
+
+    assert.ok(sources.resolveSites('', 'search').includes('printables'));
+    assert.ok(!sources.resolveSites('', 'search').includes('registry-keyed'));
+    assert.deepEqual(sources.resolveSites('printables,nowhere,registry-keyed', 'search'), ['printables']);
+    assert.deepEqual(sources.resolveSites('registry-full,printables', 'popular'), ['registry-full', 'printables']);
+
+    process.env.REGISTRY_TEST_KEY = 'secret';
+    assert.deepEqual(sources.resolveSites('registry-keyed', 'search'), ['registry-keyed']);
+});
+
+test('resolveSites joins repeated sites parameters instead of throwing', () => {
+    // Express hands ?sites=a&sites=b over as an array
+    assert.deepEqual(sources.resolveSites(['printables', 'thangs,printables'], 'search'), ['printables', 'thangs']);
+    assert.deepEqual(sources.resolveSites([{ id: 'printables' }], 'search'), []);
+});
+
+test('describeSource exposes settings without their values', (t) => {
+    sources.registerSource({
+        id: 'registry-described',
+        search,
+        searchUrl: 'https://example.com/find?q={query}',
+        config: [{ env: 'REGISTRY_TEST_TOKEN', required: false, description: 'Optional token' }]
+    });
+    process.env.REGISTRY_TEST_TOKEN = 'hunter2';
+    t.after(() => delete process.env.REGISTRY_TEST_TOKEN);
+
+    const described = sources.describeSource(sources.getSource('registry-described'));
+
+    assert.equal(described.configured, true);
+    assert.deepEqual(described.config, [{ env: 'REGISTRY_TEST_TOKEN', required: false, description: 'Optional token', set: true }]);
+    assert.ok(!JSON.stringify(described).includes('hunter2'));
+    assert.equal(sources.buildSearchUrl(sources.getSource('registry-described'), 'wall hook'), 'https://example.com/find?q=wall%20hook');
+    assert.equal(sources.buildSearchUrl(sources.getSource('registry-minimal'), 'wall hook'), null);
+});
+
+test('findSourceForImage matches CDN hosts and their subdomains', () => {
+    assert.equal(sources.findSourceForImage('https://media.printables.com/media/benchy.jpg').id, 'printables');
+    assert.equal(sources.findSourceForImage('https://eu.media.printables.com/benchy.jpg').id, 'printables');
+    assert.equal(sources.findSourceForImage('https://media.printables.com.example.com/benchy.jpg'), undefined);
+    assert.equal(sources.findSourceForImage('not a url'), undefined);
+});
+
+test('SOURCES_DIR adapters are registered and broken files skipped', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-sources-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    fs.writeFileSync(path.join(dir, 'private.js'), "module.exports = [{ id: 'registry-private-a', search: async () => [] }, { id: 'registry-private-b', popular: async () => [] }];");
+    fs.writeFileSync(path.join(dir, 'broken.js'), "module.exports = { id: 'registry-broken' };");
+    t.mock.method(console, 'error', () => {});
+
+    sources.loadSourcesFromDir(dir);
+
+    assert.ok(sources.getSource('registry-private-a'));
+    assert.ok(sources.getSource('registry-private-b'));
+    assert.equal(sources.getSource('registry-broken'), undefined);
+    assert.match(console.error.mock.calls[0].arguments[0], /broken\.js/);
+});
@@ -0,0 +1,73 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Response, FetchError, AbortError } = require('node-fetch');
+const sources = require('../lib/sources');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS, SourceError, assertOk, readJson, classifyError, fromFallback } = require('../lib/sources/status');
+
+// A source whose search() runs whatever the test hands it next
+let nextSearch;
+sources.registerSource({ id: 'status-fake', search: (...args) => nextSearch(...args) });
+
+const model = { id: '1', title: 'Benchy', creator: 'Ada', thumbnail: '', url: 'https://example.com/1', likes: 1, downloads: 2, source: 'status-fake' };
+
+test('assertOk tells blocked requests from other HTTP errors', () => {
+    const response = (status, headers) => new Response('', { status, headers });
+
+    assert.equal(assertOk(response(200), 'Site').status, 200);
+    assert.throws(() => assertOk(response(403), 'Site'), { status: STATUS.BLOCKED, httpStatus: 403, message: 'Site blocked the request (HTTP 403)' });
+    assert.throws(() => assertOk(response(429), 'Site'), { status: STATUS.BLOCKED, httpStatus: 429 });
+    assert.throws(() => assertOk(response(503, { server: 'cloudflare' }), 'Site'), { status: STATUS.BLOCKED, httpStatus: 503 });
+    assert.throws(() => assertOk(response(503), 'Site'), { status: STATUS.HTTP_ERROR, httpStatus: 503, message: 'Site returned HTTP 503' });
+    assert.throws(() => assertOk(response(404), 'Site'), { status: STATUS.HTTP_ERROR, httpStatus: 404 });
+});
+
+test('readJson reports a page that is not JSON as a parse error', async () => {
+    assert.deepEqual(await readJson(new Response('{"ok":true}'), 'Site API'), { ok: true });
+    await assert.rejects(readJson(new Response('<html>'), 'Site API'), { status: STATUS.PARSE_ERROR, message: 'Site API returned invalid JSON' });
+});
+
+test('classifyError maps whatever an adapter throws onto a status', () => {
+    assert.deepEqual(classifyError(new SourceError(STATUS.HTTP_ERROR, 'Gone', { httpStatus: 410 })), { status: STATUS.HTTP_ERROR, httpStatus: 410, message: 'Gone' });
+    assert.equal(classifyError(new AbortError('The user aborted a request.')).status, STATUS.TIMEOUT);
+    assert.equal(classifyError(new FetchError('getaddrinfo ENOTFOUND example.com', 'system')).status, STATUS.NETWORK_ERROR);
+    assert.equal(classifyError(new FetchError('invalid json response body', 'invalid-json')).status, STATUS.PARSE_ERROR);
+    assert.equal(classifyError(Object.assign(new Error('example.com paused'), { code: 'EHOSTPAUSED' })).status, STATUS.BLOCKED);
+    assert.equal(classifyError(new TypeError("Cannot read properties of undefined (reading 'hits')")).status, STATUS.PARSE_ERROR);
+});
+
+test('the runner reports ok, empty and failed calls apart', async () => {
+    nextSearch = async () => [model];
+    const ok = await runSource('status-fake', 'search', ['benchy', { limit: 1 }], { fresh: true });
+    assert.equal(ok.meta.status, STATUS.OK);
+    assert.equal(ok.meta.count, 1);
+    assert.ok(ok.meta.latencyMs >= 0);
+    assert.equal(ok.meta.error, undefined);
+
+    nextSearch = async () => [];
+    const empty = await runSource('status-fake', 'search', ['nothing', { limit: 1 }], { fresh: true });
+    assert.equal(empty.meta.status, STATUS.EMPTY);
+    assert.deepEqual(empty.results, []);
+
+    nextSearch = async () => { throw new SourceError(STATUS.HTTP_ERROR, 'Site returned HTTP 500', { httpStatus: 500 }); };
+    const failed = await runSource('status-fake', 'search', ['broken', { limit: 1 }], { fresh: true });
+    assert.equal(failed.meta.status, STATUS.HTTP_ERROR);
+    assert.equal(failed.meta.httpStatus, 500);
+    assert.equal(failed.meta.error, 'Site returned HTTP 500');
+    assert.deepEqual(failed.results, []);
+
+    // Failures are not cached: the next call asks the source again
+    nextSearch = async () => [model];
+    assert.equal((await runSource('status-fake', 'search', ['broken', { limit: 1 }])).meta.status, STATUS.OK);
+});
+
+test('curated data is reported as served from fallback', async () => {
+    nextSearch = async () => fromFallback([model], 'Cloudflare protected');
+
+    const { results, meta } = await runSource('status-fake', 'search', ['curated', { limit: 1 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(meta.fallbackReason, 'Cloudflare protected');
+    assert.equal(results[0].title, 'Benchy');
+});
@@ -0,0 +1,65 @@
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setEntry, cacheKey, clearCache } = require('../lib/cache');
+const { createSavedSearch, deleteSavedSearch } = require('../lib/saved-searches');
+const { addItem, removeItem } = require('../lib/collections');
+const { recordSearch, clearHistory } = require('../lib/history');
+const { getSuggestions } = require('../lib/suggest');
+
+const texts = (q, limit) => getSuggestions(q, limit).map(suggestion => suggestion.text);
+
+const cached = (query, titles) => setEntry(cacheKey('printables', 'search', [query, { limit: 10, page: 1 }]), {
+    results: titles.map(title => ({ title })),
+    meta: {}
+});
+
+test('suggestions come from cached queries and result titles', () => {
+    clearCache();
+    cached('phone stand', ['Phone Stand Remix', 'Adjustable Phone Holder', 'Desk organizer with phone slot']);
+    cached('pi case', ['Raspberry Pi 4 Case']);
+
+    assert.deepEqual(texts('phone'), ['phone stand', 'Phone Stand Remix', 'Adjustable Phone Holder', 'Desk organizer with phone slot']);
+    assert.deepEqual(texts('Pi'), ['pi case', 'Raspberry Pi 4 Case']);
+    assert.deepEqual(texts('  '), []);
+    // The query itself isn't offered back
+    assert.deepEqual(texts('pi case'), []);
+});
+
+test('saved searches and collections rank above cached titles', () => {
+    clearCache();
+    cached('dragon', ['Dragon Egg']);
+    const saved = createSavedSearch({ q: 'dragon articulated' });
+    const { item } = addItem('favorites', {
+        model: { id: '9', title: 'Dragon Skull', url: 'https://www.printables.com/model/9', source: 'printables' }
+    });
+
+    try {
+        assert.deepEqual(texts('drag'), ['dragon articulated', 'dragon', 'Dragon Skull', 'Dragon Egg']);
+        assert.deepEqual(texts('drag', 2), ['dragon articulated', 'dragon']);
+    } finally {
+        deleteSavedSearch(saved.id);
+        removeItem('favorites', item.key);
+    }
+});
+
+test('past searches rank by how often and how recently they ran', () => {
+    clearCache();
+    clearHistory();
+    const day = 24 * 60 * 60 * 1000;
+    recordSearch('gear box', [], Date.now() - 60 * day);
+    recordSearch('gear box', [], Date.now() - 59 * day);
+    recordSearch('gearbox planetary', [], Date.now());
+    recordSearch('gear rack', [], Date.now() - 2 * day);
+    recordSearch('gear rack', [], Date.now() - day);
+    cached('gears', ['Gear Generator']);
+
+    assert.deepEqual(getSuggestions('gear'), [
+        { text: 'gear rack', kind: 'history', description: 'Searched 2 times' },
+        { text: 'gearbox planetary', kind: 'history', description: 'Searched 1 time' },
+        { text: 'gear box', kind: 'history', description: 'Searched 2 times' },
+        { text: 'gears', kind: 'query', description: 'Recent search' },
+        { text: 'Gear Generator', kind: 'title', description: 'Model' }
+    ]);
+    clearHistory();
+});
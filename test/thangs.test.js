@@ -0,0 +1,64 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const thangs = require('../lib/sources/thangs');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search maps the search API', async () => {
+    const transport = replay('thangs/search.json');
+
+    const results = await thangs.search('benchy', { limit: 2 });
+
+    assert.equal(transport.calls.length, 1);
+    assert.deepEqual(results[0], {
+        title: 'Benchy',
+        creator: 'CreativeTools',
+        thumbnail: 'https://storage.thangs.com/benchy.png',
+        url: 'https://thangs.com/designer/CreativeTools/3d-model/Benchy-1001',
+        likes: 40,
+        downloads: 800,
+        license: 'CC BY',
+        free: true,
+        source: 'thangs'
+    });
+    assert.equal(results[1].creator, 'harbor');
+    assert.equal(results[1].url, 'https://thangs.com/model/1002');
+    assert.equal(results[1].free, false);
+});
+
+test('search falls back to the alternate API', async () => {
+    const transport = replay('thangs/search-alt.json');
+
+    const results = await thangs.search('benchy', { limit: 2 });
+
+    assert.equal(transport.calls.length, 2);
+    assert.deepEqual(results.map(result => [result.title, result.url]), [['Benchy', 'https://thangs.com/model/1001']]);
+    assert.equal(results[0].free, undefined);
+});
+
+test('search reports the primary failure when both APIs fail', async () => {
+    replay('thangs/search-all-failing.json');
+
+    const { meta } = await runSource('thangs', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.BLOCKED);
+    assert.equal(meta.httpStatus, 403);
+});
+
+test('search sends the unified sort', async () => {
+    const transport = replay();
+
+    await assert.rejects(thangs.search('benchy', { sort: 'likes' }));
+    assert.match(transport.calls[0].url, /&sort=likes$/);
+});
+
+test('popular serves curated models', async () => {
+    const transport = replay();
+
+    const { results, meta } = await runSource('thangs', 'popular', [{ limit: 4 }], { fresh: true });
+
+    assert.equal(transport.calls.length, 0);
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(results.length, 4);
+});
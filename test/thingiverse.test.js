@@ -0,0 +1,160 @@
+const { replay, withApiKey } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const thingiverse = require('../lib/sources/thingiverse');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search uses the API when a key is set', withApiKey('test-key', async () => {
+    const transport = replay('thingiverse/api-search.json');
+
+    const results = await thingiverse.search('benchy', { limit: 2 });
+
+    assert.equal(transport.calls.length, 1);
+    assert.deepEqual(results[0], {
+        id: '763622',
+        title: '#3DBenchy - The jolly 3D printing torture-test',
+        creator: 'CreativeTools',
+        thumbnail: 'https://cdn.thingiverse.com/renders/benchy.jpg',
+        url: 'https://www.thingiverse.com/thing:763622',
+        likes: 17000,
+        downloads: 340000,
+        license: 'Creative Commons - Attribution - No Derivatives',
+        free: true,
+        publishedAt: '2015-04-09T12:00:00.000Z',
+        source: 'thingiverse'
+    });
+    assert.equal(results[1].creator, 'harbor');
+    assert.equal(results[1].publishedAt, null);
+}));
+
+test('search falls back to the page data when the API fails', withApiKey('test-key', async () => {
+    const transport = replay('thingiverse/api-search-error.json', 'thingiverse/search-page-next-data.json');
+
+    const results = await thingiverse.search('benchy', { limit: 2 });
+
+    assert.deepEqual(transport.calls.map(call => new URL(call.url).hostname), ['api.thingiverse.com', 'www.thingiverse.com']);
+    assert.equal(results.length, 2);
+    assert.equal(results[0].title, '#3DBenchy - The jolly 3D printing torture-test');
+    assert.equal(results[1].thumbnail, 'https://cdn.thingiverse.com/renders/stand.jpg');
+    assert.equal(results[1].downloads, 900);
+}));
+
+test('search reads __NEXT_DATA__ without a key', async () => {
+    const transport = replay('thingiverse/search-page-next-data.json');
+
+    const results = await thingiverse.search('benchy', { limit: 1 });
+
+    assert.equal(transport.calls.length, 1);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].id, '763622');
+});
+
+test('search falls back to the result cards in the markup', async () => {
+    replay('thingiverse/search-page-cards.json');
+
+    const results = await thingiverse.search('benchy', { limit: 10 });
+
+    assert.deepEqual(results.map(result => [result.title, result.url, result.thumbnail]), [
+        ['#3DBenchy - The jolly 3D printing torture-test', 'https://www.thingiverse.com/thing:763622', 'https://cdn.thingiverse.com/renders/benchy.jpg'],
+        ['Benchy Boat Stand', 'https://www.thingiverse.com/thing:2187167', 'https://cdn.thingiverse.com/renders/stand.jpg']
+    ]);
+});
+
+test('search survives malformed __NEXT_DATA__ and reports the empty markup', async () => {
+    replay('thingiverse/search-page-malformed-next-data.json');
+
+    await assert.rejects(thingiverse.search('benchy'), { status: STATUS.PARSE_ERROR });
+});
+
+test('search reports a page without results as a parse error', async () => {
+    replay('thingiverse/search-page-changed.json');
+
+    const { results, meta } = await runSource('thingiverse', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.deepEqual(results, []);
+    assert.equal(meta.status, STATUS.PARSE_ERROR);
+    assert.match(meta.error, /no recognizable results/);
+});
+
+test('search reports a Cloudflare challenge as blocked', async () => {
+    replay('thingiverse/search-page-blocked.json');
+
+    const { meta } = await runSource('thingiverse', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.BLOCKED);
+    assert.equal(meta.httpStatus, 403);
+});
+
+test('search reports a timeout', async () => {
+    replay('thingiverse/search-page-timeout.json');
+
+    const { meta } = await runSource('thingiverse', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.TIMEOUT);
+});
+
+test('search passes the unified sort to the page', async () => {
+    const transport = replay();
+
+    await assert.rejects(thingiverse.search('benchy', { sort: 'newest' }), { code: 'ENOFIXTURE' });
+    assert.match(transport.calls[0].url, /&sort=newest&/);
+});
+
+test('popular uses the API when a key is set', withApiKey('test-key', async () => {
+    replay('thingiverse/api-popular.json');
+
+    const results = await thingiverse.popular({ limit: 2 });
+
+    assert.ok(Array.isArray(results));
+    assert.deepEqual(results.map(result => result.id), ['763622', '2187167']);
+}));
+
+test('popular falls back to a snapshot when the API has none', withApiKey('test-key', async () => {
+    replay('thingiverse/api-popular-empty.json');
+
+    const answer = await thingiverse.popular({ limit: 2 });
+    const { results, meta } = await runSource('thingiverse', 'popular', [{ limit: 2 }], { fresh: true });
+
+    assert.equal(answer.fallback, true);
+    assert.equal(answer.reason, 'API returned no popular models');
+    assert.deepEqual(answer.results, []);
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(meta.snapshot.origin, 'bundled');
+    assert.equal(results.length, 2);
+}));
+
+test('popular serves curated models without a key', async () => {
+    const transport = replay();
+
+    const { results, meta } = await runSource('thingiverse', 'popular', [{ limit: 3 }], { fresh: true });
+
+    assert.equal(transport.calls.length, 0);
+    assert.equal(meta.status, STATUS.FALLBACK);
+    assert.equal(meta.fallbackReason, 'No API key configured');
+    assert.equal(results.length, 3);
+});
+
+test('detail combines the thing and its files', withApiKey('test-key', async () => {
+    replay('thingiverse/api-thing.json');
+
+    const model = await thingiverse.detail('thing:763622');
+
+    assert.equal(model.id, '763622');
+    assert.equal(model.description, 'The jolly 3D printing torture-test.\n\nPrint it in one go.');
+    assert.deepEqual(model.images, ['https://cdn.thingiverse.com/assets/benchy-large.jpg', 'https://cdn.thingiverse.com/assets/benchy-side.jpg']);
+    assert.deepEqual(model.files, [
+        { name: '3DBenchy.stl', size: 11283784, format: 'stl', url: 'https://www.thingiverse.com/download:1223854' },
+        { name: '3DBenchy.3mf', size: 2083112, format: '3mf', url: 'https://www.thingiverse.com/download:1223855' }
+    ]);
+    assert.equal(model.license.id, 'cc-by-nd');
+    assert.deepEqual(model.tags, ['benchy', 'calibration']);
+    assert.equal(model.category, '3D Printing Tests');
+    assert.equal(model.remixOf, null);
+}));
+
+test('detail needs an API key', async () => {
+    replay();
+
+    await assert.rejects(thingiverse.detail('763622'), { status: STATUS.HTTP_ERROR, httpStatus: 401 });
+});
@@ -0,0 +1,107 @@
+const { replay } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const youmagine = require('../lib/sources/youmagine');
+const { runSource } = require('../lib/sources/runner');
+const { STATUS } = require('../lib/sources/status');
+
+test('search reads the design cards', async () => {
+    replay('youmagine/search.json');
+
+    const { results, page } = await youmagine.search('benchy', { limit: 10 });
+
+    assert.equal(page.noResults, false);
+    assert.deepEqual(results, [
+        {
+            id: 'benchy-remix',
+            title: 'Benchy Remix',
+            creator: 'Unknown',
+            thumbnail: 'https://youmagine.com/uploads/designs/benchy-remix.jpg',
+            url: 'https://youmagine.com/designs/benchy-remix',
+            likes: 0,
+            downloads: 0,
+            free: true,
+            source: 'youmagine'
+        },
+        {
+            id: 'tugboat',
+            title: 'Tugboat',
+            creator: 'Unknown',
+            thumbnail: 'https://youmagine.com/uploads/designs/tugboat.jpg',
+            url: 'https://youmagine.com/designs/tugboat',
+            likes: 0,
+            downloads: 0,
+            free: true,
+            source: 'youmagine'
+        }
+    ]);
+});
+
+test('search stops at the limit', async () => {
+    replay('youmagine/search.json');
+
+    const { results } = await youmagine.search('benchy', { limit: 1 });
+
+    assert.deepEqual(results.map(result => result.id), ['benchy-remix']);
+});
+
+test('search without cards is empty, not an error', async () => {
+    replay('youmagine/search-empty.json');
+
+    const { results, meta } = await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.deepEqual(results, []);
+    assert.equal(meta.status, STATUS.EMPTY);
+});
+
+test('search reports upstream errors', async () => {
+    replay('youmagine/search-server-error.json');
+
+    const { meta } = await runSource('youmagine', 'search', ['benchy', { limit: 2 }], { fresh: true });
+
+    assert.equal(meta.status, STATUS.HTTP_ERROR);
+    assert.equal(meta.httpStatus, 502);
+});
+
+test('popular reads the designs index', async () => {
+    replay('youmagine/popular.json');
+
+    const { results } = await youmagine.popular({ limit: 10 });
+
+    assert.equal(results.length, 2);
+});
+
+test('detail scrapes the design page', async () => {
+    replay('youmagine/design.json');
+
+    const model = await youmagine.detail('benchy-remix');
+
+    assert.equal(model.title, 'Benchy Remix');
+    assert.equal(model.creator, 'Maker');
+    assert.equal(model.description, 'A remix of the classic benchmark.\n\nPrints without supports.');
+    assert.deepEqual(model.images, [
+        'https://youmagine.com/uploads/designs/benchy-remix.jpg',
+        'https://youmagine.com/uploads/designs/benchy-remix-side.jpg'
+    ]);
+    assert.deepEqual(model.files, [
+        { name: 'benchy-remix.stl', size: null, format: 'stl', url: 'https://youmagine.com/documents/1/benchy-remix.stl' },
+        { name: 'benchy-remix.3mf', size: null, format: '3mf', url: 'https://youmagine.com/documents/2/benchy-remix.3mf' }
+    ]);
+    assert.equal(model.license.id, 'cc-by-sa');
+    assert.deepEqual(model.tags, ['boat']);
+    assert.equal(model.publishedAt, '2021-06-01T10:00:00.000Z');
+});
+
+test('detail of a missing design keeps the 404', async () => {
+    replay('youmagine/design.json');
+
+    const { meta } = await runSource('youmagine', 'detail', ['gone'], { fresh: true });
+
+    assert.equal(meta.httpStatus, 404);
+});
+
+test('detail of an unrecognizable page is a parse error', async () => {
+    replay('youmagine/design.json');
+
+    await assert.rejects(youmagine.detail('blank'), { status: STATUS.PARSE_ERROR });
+});